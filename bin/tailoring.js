@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/**
+ * tailoring: headless counterpart of the editor, for CI pipelines and Ansible runs.
+ * Edits go through the same library as the UI, so the files it writes are identical
+ * to an export from the editor (including the version@time stamp, unless --keep-time).
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  parseTailoringDocument, isCacTailoring, tailoringToCac, convertTailoring, serializeTailoring, validateTailoring, validateValues, parseBenchmark, upsertItem, profileToCsv, tailoringToJson, tailoringToHtml, mergeLayers, resolvedProfileXml,
+  SEVERITIES
+} from '../public/src/lib/node.js';
+
+const USAGE = `Usage: tailoring <command> <file> [arguments] [options]
+
+Commands:
+  validate <file>                          Check the file; exits 1 when errors are found
+  show <file>                              List the profile's rules and variables
+  select <file> <idref> on|off             Select or deselect a rule
+  set-value <file> <idref> <value>         Set a variable value
+  set-severity <file> <idref> <severity>   Refine a rule's severity (${SEVERITIES.join(', ')}, default)
+  export <file> --format csv|json|xml|html|cac-json|resolved
+                                           Write the document in another format (html: audit report,
+                                           cac-json: ComplianceAsCode JSON tailoring, resolved: the
+                                           profile flattened onto its base as a standalone XCCDF
+                                           Profile; needs --benchmark)
+  merge <base> <overlay>...                Layer overlays on the base; later files take precedence
+
+Options:
+  -p, --profile <id>       Profile to work on (default: the first one)
+  -o, --output <file>      Where to write; edits default to the input file, export and merge to stdout ("-")
+      --keep-time          Keep the existing version@time instead of stamping the current time
+  -f, --format <fmt>       Output format for export
+      --xccdf <version>    XCCDF version of the XML written by export (1.1 or 1.2; default: the input's)
+      --id-namespace <ns>  Reverse-DNS namespace of the IDs when converting XCCDF 1.1 to 1.2
+                           (default: org.ssgproject.content)
+  -b, --benchmark <file>   Benchmark or datastream to check variables against (validate),
+                           or to take titles and defaults from (export --format html|resolved);
+                           also the benchmark href of a JSON tailoring read as input
+  -h, --help               Show this help`;
+
+class UsageError extends Error {}
+
+// Tailoring files are XCCDF XML or ComplianceAsCode JSON; commands take either
+const readText = (file) => {
+  if (!file) throw new UsageError('Missing tailoring file.');
+  return fs.readFileSync(file, 'utf8');
+};
+
+const readDocument = (file, options = {}) => parseTailoringDocument(readText(file), { benchmark: options.benchmark });
+
+// JSON output loses what the format cannot hold; say what
+const cacOutput = (data) => {
+  const { json, warnings } = tailoringToCac(data);
+  warnings.forEach(warning => console.error(`tailoring: warning: ${warning}`));
+  return JSON.stringify(json, null, 2);
+};
+
+const writeOutput = (content, target) => {
+  if (target === '-') process.stdout.write(content.endsWith('\n') ? content : `${content}\n`);
+  else fs.writeFileSync(target, content);
+};
+
+const findProfile = (data, profileId) => {
+  if (!profileId) return data.profiles[0];
+  const profile = data.profiles.find(p => p.profileId === profileId);
+  if (!profile) throw new UsageError(`No profile "${profileId}" in this tailoring.`);
+  return profile;
+};
+
+// Applies an item update to one profile and writes the document like an editor export.
+// An edit that leaves validation errors writes nothing and returns 1, so pipelines notice.
+const editItem = (file, options, type, idref, fields, initial) => {
+  if (!idref) throw new UsageError('Missing idref.');
+  const text = readText(file);
+  const data = parseTailoringDocument(text, { benchmark: options.benchmark });
+  const target = findProfile(data, options.profile);
+  const original = { ...data, keepVersionTime: !!options['keep-time'] };
+  const updated = {
+    ...original,
+    profiles: data.profiles.map(p => (p === target ? { ...p, items: upsertItem(p, type, idref, fields, initial) } : p))
+  };
+  // Only errors the edit introduces block it; a file that was already invalid can still be edited
+  const errorMessages = (doc) => validateTailoring(doc).filter(issue => issue.level === 'error').map(issue => issue.message);
+  const existing = new Set(errorMessages(original));
+  const errors = errorMessages(updated).filter(message => !existing.has(message));
+  errors.forEach(message => console.error(`tailoring: ${message}`));
+  if (errors.length) {
+    console.error(`tailoring: ${errors.length} error(s); nothing written.`);
+    return 1;
+  }
+  // A JSON tailoring edited in place stays JSON
+  const json = !options.output && isCacTailoring(text);
+  writeOutput(json ? cacOutput(updated) : serializeTailoring(updated), options.output || file);
+  return 0;
+};
+
+const commands = {
+  validate(file, args, options) {
+    const data = readDocument(file, options);
+    const issues = validateTailoring(data);
+    if (options.benchmark) issues.push(...validateValues(data, parseBenchmark(fs.readFileSync(options.benchmark, 'utf8'))));
+    issues.forEach(issue => console.log(`${issue.level}: ${issue.message}`));
+    const errors = issues.filter(issue => issue.level === 'error').length;
+    console.log(`${errors} error(s), ${issues.length - errors} warning(s)`);
+    return errors ? 1 : 0;
+  },
+
+  show(file, args, options) {
+    const data = readDocument(file, options);
+    const profile = findProfile(data, options.profile);
+    console.log(`${data.tailoringId} (version ${data.version}, XCCDF ${data.xccdfVersion})`);
+    console.log(`Benchmark: ${data.benchmark}`);
+    console.log(`Profile:   ${profile.profileId} extends ${profile.profileExtends || '-'}`);
+    console.log(`Title:     ${profile.profileTitle}`);
+    console.log('');
+    profile.items.forEach(item => {
+      const state = item.type === 'select'
+        ? [item.value === 'true' ? 'on' : item.value === 'false' ? 'off' : '-', item.severity === 'default' ? '' : item.severity]
+        : ['var', item.value ?? ''];
+      console.log([...state.map(text => String(text).padEnd(8)), item.idref, item.comment ? `# ${item.comment}` : ''].join(' ').trimEnd());
+    });
+    return 0;
+  },
+
+  select(file, [idref, state], options) {
+    if (state !== 'on' && state !== 'off') throw new UsageError('select needs "on" or "off".');
+    return editItem(file, options, 'select', idref, { value: state === 'on' ? 'true' : 'false' });
+  },
+
+  'set-value'(file, [idref, value], options) {
+    if (value === undefined) throw new UsageError('set-value needs a value.');
+    return editItem(file, options, 'set-value', idref, { value });
+  },
+
+  'set-severity'(file, [idref, severity], options) {
+    if (severity !== 'default' && !SEVERITIES.includes(severity)) {
+      throw new UsageError(`Severity must be one of ${SEVERITIES.join(', ')} or default.`);
+    }
+    // A rule the profile does not list yet only gets a refine-rule, not a <select>
+    return editItem(file, options, 'select', idref, { severity }, { value: 'default' });
+  },
+
+  export(file, args, options) {
+    const data = readDocument(file, options);
+    const output = options.output || '-';
+    if (options.format === 'csv') writeOutput(profileToCsv(data, findProfile(data, options.profile)), output);
+    else if (options.format === 'json') writeOutput(JSON.stringify(tailoringToJson(data), null, 2), output);
+    else if (options.format === 'xml') {
+      const converted = options.xccdf ? convertTailoring(data, options.xccdf, { namespace: options['id-namespace'] }) : data;
+      writeOutput(serializeTailoring({ ...converted, keepVersionTime: !!options['keep-time'] }), output);
+    }
+    else if (options.format === 'html') {
+      const catalog = options.benchmark ? parseBenchmark(fs.readFileSync(options.benchmark, 'utf8')) : null;
+      writeOutput(tailoringToHtml(data, findProfile(data, options.profile), { catalog }), output);
+    } else if (options.format === 'cac-json') writeOutput(cacOutput(data), output);
+    else if (options.format === 'resolved') {
+      if (!options.benchmark) throw new UsageError('export --format resolved needs --benchmark.');
+      const catalog = parseBenchmark(fs.readFileSync(options.benchmark, 'utf8'));
+      writeOutput(resolvedProfileXml(data, findProfile(data, options.profile), catalog), output);
+    } else throw new UsageError('export needs --format csv, json, xml, html, cac-json or resolved.');
+    return 0;
+  },
+
+  // The merged profile replaces the base file's profile, so its IDs and metadata are kept
+  merge(file, overlays, options) {
+    if (!overlays.length) throw new UsageError('merge needs at least one overlay file.');
+    const base = readDocument(file, options);
+    const target = findProfile(base, options.profile);
+    const layers = [file, ...overlays].map((name, index) => {
+      const data = index ? readDocument(name, options) : base;
+      const profile = data.profiles.find(p => p.profileId === target.profileId) || data.profiles[0];
+      return { name: path.basename(name), profile };
+    });
+    const { items, conflicts } = mergeLayers(layers);
+    conflicts.forEach(conflict => {
+      const values = conflict.options.map(option => `${option.value} (${layers[option.layer].name})`).join(' vs ');
+      console.error(`conflict: ${conflict.idref} ${conflict.label.toLowerCase()}: ${values}; using ${layers[conflict.chosen].name}`);
+    });
+    const merged = {
+      ...base,
+      keepVersionTime: !!options['keep-time'],
+      profiles: base.profiles.map(p => (p === target ? { ...p, items, layers: layers.map(layer => layer.name) } : p))
+    };
+    writeOutput(serializeTailoring(merged), options.output || '-');
+    return 0;
+  }
+};
+
+const main = (argv) => {
+  const { values: options, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      profile: { type: 'string', short: 'p' },
+      output: { type: 'string', short: 'o' },
+      format: { type: 'string', short: 'f' },
+      benchmark: { type: 'string', short: 'b' },
+      xccdf: { type: 'string' },
+      'id-namespace': { type: 'string' },
+      'keep-time': { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  const [command, file, ...args] = positionals;
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+  if (!commands[command]) throw new UsageError(`Unknown command "${command}".`);
+  return commands[command](file, args, options);
+};
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  console.error(`tailoring: ${err.message}`);
+  if (err instanceof UsageError || err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') console.error('Run "tailoring --help" for usage.');
+  process.exitCode = err instanceof UsageError ? 2 : 1;
+}
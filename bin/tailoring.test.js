@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const BIN = fileURLToPath(new URL('./tailoring.js', import.meta.url));
+
+const SAMPLE = `<?xml version="1.0" encoding="UTF-8"?>
+<Tailoring xmlns="http://checklists.nist.gov/xccdf/1.2" id="xccdf_org.example_tailoring_t">
+  <benchmark href="ssg-ds.xml"/>
+  <version time="2024-01-01T00:00:00">3</version>
+  <Profile id="xccdf_org.example_profile_p" extends="xccdf_org.example_profile_cis">
+    <title>P</title>
+    <!--1.1.1: Ensure cramfs is disabled-->
+    <select idref="xccdf_org.example_rule_cramfs" selected="true"/>
+  </Profile>
+</Tailoring>
+`;
+
+// A fresh copy of SAMPLE per test, since edits write in place
+const sampleFile = (t, content = SAMPLE) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tailoring-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 't.xml');
+  fs.writeFileSync(file, content);
+  return file;
+};
+
+const run = (...args) => spawnSync(process.execPath, [BIN, ...args], { encoding: 'utf8' });
+
+test('validate reports issues and exits 1 on errors', (t) => {
+  const ok = run('validate', sampleFile(t));
+  assert.equal(ok.status, 0);
+  assert.match(ok.stdout, /^0 error\(s\), 0 warning\(s\)$/m);
+
+  const bad = run('validate', sampleFile(t, SAMPLE.replace('xccdf_org.example_rule_cramfs', 'bad id')));
+  assert.equal(bad.status, 1);
+  assert.match(bad.stdout, /^error: .*bad id/m);
+});
+
+test('select edits the file in place', (t) => {
+  const file = sampleFile(t);
+  const result = run('select', file, 'xccdf_org.example_rule_cramfs', 'off', '--keep-time');
+  assert.equal(result.status, 0, result.stderr);
+  const written = fs.readFileSync(file, 'utf8');
+  assert.match(written, /<select idref="xccdf_org.example_rule_cramfs" selected="false"\/>/);
+  assert.match(written, /<version time="2024-01-01T00:00:00">3<\/version>/);
+});
+
+test('an edit that fails validation leaves the file alone and exits 1', (t) => {
+  const file = sampleFile(t);
+  const result = run('select', file, 'bad id', 'on');
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /nothing written/);
+  assert.equal(fs.readFileSync(file, 'utf8'), SAMPLE);
+});
+
+test('errors the file already had do not block an edit', (t) => {
+  const file = sampleFile(t, SAMPLE.replace('extends="xccdf_org.example_profile_cis"', 'extends="cis"'));
+  const result = run('select', file, 'xccdf_org.example_rule_tmp', 'off');
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(fs.readFileSync(file, 'utf8'), /<select idref="xccdf_org.example_rule_tmp" selected="false"\/>/);
+});
+
+test('export --format csv writes to stdout', (t) => {
+  const result = run('export', sampleFile(t), '--format', 'csv');
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /xccdf_org\.example_rule_cramfs/);
+  assert.match(result.stdout, /1\.1\.1: Ensure cramfs is disabled/);
+});
+
+test('usage errors exit 2', (t) => {
+  const unknown = run('frobnicate', sampleFile(t));
+  assert.equal(unknown.status, 2);
+  assert.match(unknown.stderr, /Unknown command "frobnicate"/);
+  assert.match(unknown.stderr, /tailoring --help/);
+  assert.equal(run('export', sampleFile(t)).status, 2);
+});
@@ -1,5 +1,13 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Save, Upload, Plus, Trash2, Search, FileText, Download, RefreshCw, X, AlertTriangle } from 'lucide-react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useMemo, useCallback, useDeferredValue, useId } from 'react';
+import { Save, Upload, Plus, Trash2, Search, FileText, Download, RefreshCw, X, AlertTriangle, BookOpen, Layers, Copy, Pencil, CheckCircle, GitCompare, Undo2, Redo2, History, Replace, FileSpreadsheet, ClipboardCheck, XCircle, ShieldAlert, ShieldCheck, List, ListTree, ChevronRight, ChevronDown, ArrowDown01, ArrowUp, ArrowDown, BookmarkPlus, Library, FolderOpen, GripVertical, ListPlus, ListChecks, Eraser } from 'lucide-react';
+import { twMerge } from 'tailwind-merge';
+import {
+  isCacTailoring, tailoringToCac, CAC_NAMESPACE, convertTailoring, newUuid, createItem, updateItem, removeItems, moveItem, insertItem, bumpVersion, hasException, RULE_ROLES, VALUE_OPERATORS,
+  checkValue, valueOptions, validateTailoring, validateValues, SEVERITIES, buildSectionTree, sortItemsBySection,
+  buildSearchIndex, searchItems, parseQuery, todayIso, describeDeviation, exceptionStatus, diffProfiles, mergeProfiles, describeItem, changesToMarkdown, mergeLayers,
+  CSV_DIFF_FIELDS, profileToCsv, csvToProfile, csvMetaChanges, tailoringToHtml, reportFileName, resolveProfile, resolvedProfileXml, resolvedFileName,
+  createWorkerRunner
+} from './lib/index.js';
 
 /**
  * XCCDF Tailoring Editor v2
@@ -30,10 +38,231 @@ const INITIAL_XML = `<?xml version='1.0' encoding='UTF-8'?>
   </Profile>
 </Tailoring>`;
 
+// --- Downloads ---
+
+const downloadFile = (content, fileName, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
+
+// --- Document Worker ---
+
+/**
+ * Parses or serializes a whole document in a Web Worker, so a large tailoring or
+ * datastream does not freeze typing and scrolling. Resolves with the same value the
+ * library function returns. If the worker cannot start, calls fall back to the main thread.
+ */
+const runInWorker = createWorkerRunner(() => (typeof Worker === 'undefined'
+  ? null
+  : new Worker(new URL('./lib/worker.js', import.meta.url), { type: 'module' })));
+
+// --- Scan Results ---
+
+// Whether a row passes the result filter of the rules list
+const matchesScanFilter = (item, scan, filter) => {
+  if (!scan || filter === 'all') return true;
+  const result = item.type === 'select' ? scan.results.get(item.idref) || null : null;
+  return {
+    fail: result === 'fail',
+    'fail-selected': result === 'fail' && item.value !== 'false',
+    pass: result === 'pass' || result === 'fixed',
+    notapplicable: result === 'notapplicable',
+    error: result === 'error' || result === 'unknown',
+    missing: item.type === 'select' && !result
+  }[filter];
+};
+
+// --- Undo History ---
+
+// Fields with a native text undo of their own; switches, checkboxes and selects have none
+const TEXT_ENTRY = 'textarea, [contenteditable="true"], input:not([type="checkbox"]):not([type="radio"]):not([type="button"]):not([type="submit"]):not([type="reset"]):not([type="file"]):not([type="range"]):not([type="color"])';
+
+const HISTORY_LIMIT = 200;
+const COALESCE_MS = 1000;
+
+/**
+ * useState with an undo/redo stack. Successive updates that share a coalesce key within
+ * COALESCE_MS (typing into the same field) collapse into one history entry.
+ * reset() replaces the state and clears the history, e.g. when a new file is loaded.
+ */
+const useUndoableState = (initial) => {
+  const [history, setHistory] = useState({ past: [], present: initial, future: [] });
+  const lastChange = useRef({ key: null, at: 0 });
+
+  const set = useCallback((updater, coalesceKey = null) => {
+    const now = Date.now();
+    const merge = coalesceKey !== null && coalesceKey === lastChange.current.key &&
+      now - lastChange.current.at < COALESCE_MS;
+    lastChange.current = { key: coalesceKey, at: now };
+
+    setHistory(h => {
+      const next = typeof updater === 'function' ? updater(h.present) : updater;
+      if (next === h.present) return h;
+      return {
+        past: merge ? h.past : [...h.past, h.present].slice(-HISTORY_LIMIT),
+        present: next,
+        future: []
+      };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    lastChange.current = { key: null, at: 0 };
+    setHistory(h => (h.past.length === 0 ? h : {
+      past: h.past.slice(0, -1),
+      present: h.past[h.past.length - 1],
+      future: [h.present, ...h.future]
+    }));
+  }, []);
+
+  const redo = useCallback(() => {
+    lastChange.current = { key: null, at: 0 };
+    setHistory(h => (h.future.length === 0 ? h : {
+      past: [...h.past, h.present],
+      present: h.future[0],
+      future: h.future.slice(1)
+    }));
+  }, []);
+
+  const reset = useCallback((value) => {
+    lastChange.current = { key: null, at: 0 };
+    setHistory({ past: [], present: value, future: [] });
+  }, []);
+
+  return [history.present, set, {
+    undo,
+    redo,
+    reset,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0
+  }];
+};
+
+// --- Autosave ---
+
+const AUTOSAVE_KEY = 'xccdf-tailoring-editor:autosave';
+const AUTOSAVE_DELAY_MS = 500;
+
+const readAutosave = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(AUTOSAVE_KEY));
+    return saved?.data?.profiles ? saved : null;
+  } catch {
+    return null;
+  }
+};
+
+// --- Library ---
+
+/**
+ * Tailoring documents kept in this browser's IndexedDB. A document record only holds its
+ * name; its content lives in named revisions of serialized XML (so a revision restores
+ * byte for byte), kept in the order they were saved.
+ */
+const LIBRARY_DB = 'xccdf-tailoring-editor';
+const LIBRARY_OPEN_KEY = 'xccdf-tailoring-editor:library-open'; // Document to open on start
+
+const hasLibrary = typeof indexedDB !== 'undefined';
+
+let libraryDb = null;
+const openLibraryDb = () => {
+  libraryDb = libraryDb || new Promise((resolve, reject) => {
+    const request = indexedDB.open(LIBRARY_DB, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('documents', { keyPath: 'id', autoIncrement: true });
+      request.result.createObjectStore('revisions', { keyPath: 'id', autoIncrement: true }).createIndex('documentId', 'documentId');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return libraryDb;
+};
+
+const settle = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Runs `body(documents, revisions)` in one transaction; resolves with its result once committed
+const inLibrary = (mode, body) => openLibraryDb().then(db => new Promise((resolve, reject) => {
+  const tx = db.transaction(['documents', 'revisions'], mode);
+  let result;
+  Promise.resolve(body(tx.objectStore('documents'), tx.objectStore('revisions'))).then(value => { result = value; }, reject);
+  tx.oncomplete = () => resolve(result);
+  tx.onabort = () => reject(tx.error);
+}));
+
+const listDocuments = () => inLibrary('readonly', (documents, revisions) => settle(documents.getAll())
+  .then(docs => Promise.all(docs.map(doc => settle(revisions.index('documentId').count(doc.id))
+    .then(revisionCount => ({ ...doc, revisionCount }))))));
+
+const listRevisions = (documentId) => inLibrary('readonly', (documents, revisions) =>
+  settle(revisions.index('documentId').getAll(documentId)));
+
+const addDocument = (name, revisionName, xml) => inLibrary('readwrite', (documents, revisions) => {
+  const now = new Date().toISOString();
+  const doc = { name, createdAt: now, updatedAt: now };
+  return settle(documents.add(doc)).then(id => {
+    revisions.add({ documentId: id, name: revisionName, savedAt: now, xml });
+    return { ...doc, id };
+  });
+});
+
+// Listed documents carry a revisionCount, which is not stored
+const documentRecord = ({ id, name, createdAt, updatedAt }) => ({ id, name, createdAt, updatedAt });
+
+const addRevision = (doc, name, xml) => inLibrary('readwrite', (documents, revisions) => {
+  const now = new Date().toISOString();
+  documents.put({ ...documentRecord(doc), updatedAt: now });
+  return settle(revisions.add({ documentId: doc.id, name, savedAt: now, xml }));
+});
+
+const renameDocument = (doc, name) => inLibrary('readwrite', (documents) => {
+  documents.put({ ...documentRecord(doc), name });
+});
+
+const deleteDocument = (id) => inLibrary('readwrite', (documents, revisions) => {
+  documents.delete(id);
+  return settle(revisions.index('documentId').getAllKeys(id)).then(keys => keys.forEach(key => revisions.delete(key)));
+});
+
+// The document to open on start: the one open last time, else the most recently saved
+const startDocument = () => listDocuments().then(docs => {
+  const lastId = Number(localStorage.getItem(LIBRARY_OPEN_KEY));
+  const doc = docs.find(d => d.id === lastId) || [...docs].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))[0];
+  return doc ? listRevisions(doc.id).then(revisions => ({ doc, revision: revisions[revisions.length - 1] })) : null;
+});
+
+// --- Search ---
+
+const SAVED_FILTERS_KEY = 'xccdf-tailoring-editor:filters';
+const SEARCH_PARAM = 'q'; // ?q=<query> makes a filtered view shareable
+
+const SEARCH_HELP = 'Words match the ID, comment or title; combine terms with AND, OR, NOT and ( ).\n' +
+  'Fields: type:rule|var, severity:high, selected:yes|no|default, section:1.1.*, refined:yes|no, role:unscored, exception:yes|no\n' +
+  'Regular expressions: /^xccdf_org\\.ssgproject\\.content_rule_audit/';
+
+const readSavedFilters = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SAVED_FILTERS_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+const readSearchParam = () => new URLSearchParams(window.location.search).get(SEARCH_PARAM) || '';
+
 // --- Components ---
 
-const Button = ({ children, onClick, variant = 'primary', className = '', icon: Icon }) => {
-  const baseStyle = "flex items-center gap-2 px-4 py-2 rounded-md font-medium transition-colors focus:outline-none focus:ring-2 focus:ring-offset-1";
+const Button = ({ children, onClick, variant = 'primary', className = '', icon: Icon, disabled = false }) => {
+  const baseStyle = "flex items-center gap-2 px-4 py-2 rounded-md font-medium transition-colors focus:outline-none focus:ring-2 focus:ring-offset-1 disabled:opacity-50 disabled:pointer-events-none";
   const variants = {
     primary: "bg-blue-600 hover:bg-blue-700 text-white focus:ring-blue-500",
     secondary: "bg-white border border-slate-300 text-slate-700 hover:bg-slate-50 focus:ring-slate-400",
@@ -42,25 +271,74 @@ const Button = ({ children, onClick, variant = 'primary', className = '', icon:
   };
 
   return (
-    <button onClick={onClick} className={`${baseStyle} ${variants[variant]} ${className}`}>
+    <button onClick={onClick} disabled={disabled} className={twMerge(baseStyle, variants[variant], className)}>
       {Icon && <Icon size={16} />}
       {children}
     </button>
   );
 };
 
-const Modal = ({ isOpen, onClose, title, children }) => {
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Dialog that keeps keyboard focus inside while open: it starts on the first control of
+ * the body, Tab wraps around, Escape closes, and focus returns where it was on close.
+ */
+const Modal = ({ isOpen, onClose, title, children, wide = false }) => {
+  const dialogRef = useRef(null);
+  const bodyRef = useRef(null);
+  const titleId = useId();
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const previous = document.activeElement;
+    (bodyRef.current.querySelector(FOCUSABLE) || dialogRef.current).focus();
+    return () => previous?.focus?.();
+  }, [isOpen]);
+
   if (!isOpen) return null;
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+    const focusable = Array.from(dialogRef.current.querySelectorAll(FOCUSABLE));
+    if (!focusable.length) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === dialogRef.current)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg overflow-hidden animate-in fade-in zoom-in duration-200">
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+        onKeyDown={handleKeyDown}
+        className={`bg-white rounded-lg shadow-xl w-full ${wide ? 'max-w-3xl' : 'max-w-lg'} overflow-hidden animate-in fade-in zoom-in duration-200 outline-none`}
+      >
         <div className="flex justify-between items-center p-4 border-b">
-          <h3 className="text-lg font-semibold text-slate-800">{title}</h3>
-          <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+          <h3 id={titleId} className="text-lg font-semibold text-slate-800">{title}</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600" aria-label="Close">
             <X size={20} />
           </button>
         </div>
-        <div className="p-4">
+        <div ref={bodyRef} className="p-4">
           {children}
         </div>
       </div>
@@ -68,6 +346,21 @@ const Modal = ({ isOpen, onClose, title, children }) => {
   );
 };
 
+const RESULT_STYLES = {
+  pass: "bg-green-100 text-green-700 border-green-200",
+  fixed: "bg-green-100 text-green-700 border-green-200",
+  fail: "bg-red-100 text-red-700 border-red-200",
+  error: "bg-orange-100 text-orange-700 border-orange-200",
+  unknown: "bg-orange-100 text-orange-700 border-orange-200",
+  default: "bg-slate-100 text-slate-500 border-slate-200"
+};
+
+const ResultBadge = ({ result }) => (
+  <span className={`text-[10px] font-bold px-1.5 py-0.5 rounded border uppercase font-sans ${RESULT_STYLES[result] || RESULT_STYLES.default}`}>
+    {result}
+  </span>
+);
+
 const SeverityBadge = ({ severity }) => {
   const colors = {
     high: "bg-red-100 text-red-700 border-red-200",
@@ -87,261 +380,2302 @@ const SeverityBadge = ({ severity }) => {
   );
 };
 
-// --- Main Application ---
-
-export default function App() {
-  // State
-  const [xmlContent, setXmlContent] = useState(INITIAL_XML);
-  const [parsedData, setParsedData] = useState(null);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [notification, setNotification] = useState(null);
-  const [isAddModalOpen, setIsAddModalOpen] = useState(false);
-  
-  // Form State for Adding
-  const [newRuleType, setNewRuleType] = useState('select'); // 'select' or 'set-value'
-  const [newRuleId, setNewRuleId] = useState('');
-  const [newRuleValue, setNewRuleValue] = useState('true');
-  const [newRuleSeverity, setNewRuleSeverity] = useState('default');
-  const [newRuleComment, setNewRuleComment] = useState('');
+const CUSTOM_VALUE = '__custom__'; // Dropdown entry that switches to free text
 
-  const fileInputRef = useRef(null);
+/**
+ * Value editor for a set-value row, typed by the benchmark's <Value> definition when one
+ * is loaded: a switch for booleans, a bounded number input, a dropdown of the defined
+ * values (with a custom entry unless the choices must match), else plain text.
+ */
+const ValueEditor = ({ item, entry, onChange }) => {
+  const [custom, setCustom] = useState(false);
+  const problems = entry ? checkValue(entry, item) : [];
+  const options = entry ? valueOptions(entry) : [];
+  const value = item.value ?? '';
+  const hasError = problems.some(problem => problem.level === 'error');
+  const inputClass = `w-full px-2 py-1 text-sm border rounded focus:ring-2 focus:ring-blue-500 outline-none ${
+    problems.length ? (hasError ? 'border-red-400' : 'border-amber-400') : 'border-slate-300'
+  }`;
+  // A refined variable without text writes no <set-value> at all
+  const setText = (text) => onChange(text === '' && (item.selector || item.operator) ? null : text);
+  const label = `Value of ${entry?.title || item.idref}`;
 
-  // --- Parser Logic ---
-  
-  const parseXML = (xmlString) => {
-    try {
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(xmlString, "application/xml");
-      
-      const parseError = doc.querySelector("parsererror");
-      if (parseError) throw new Error("Invalid XML");
+  const pickFromList = () => {
+    setCustom(false);
+    if (!options.some(option => option.value === value)) {
+      setText(options.some(option => option.value === entry.defaultValue) ? entry.defaultValue : options[0].value);
+    }
+  };
 
-      // Extract Root Info
-      const tailoring = doc.getElementsByTagName("Tailoring")[0];
-      const benchmark = doc.getElementsByTagName("benchmark")[0]?.getAttribute("href") || "";
-      const version = doc.getElementsByTagName("version")[0]?.textContent || "";
-      
-      // Extract Profile Info
-      const profile = doc.getElementsByTagName("Profile")[0];
-      if (!profile) throw new Error("No Profile found in XML");
+  let editor;
+  if (entry?.valueType === 'boolean') {
+    editor = (
+      <div className="flex items-center gap-3">
+        <label className="inline-flex items-center cursor-pointer">
+          <input
+            type="checkbox"
+            role="switch"
+            aria-label={label}
+            className="sr-only peer"
+            checked={value === 'true' || value === '1'}
+            onChange={(e) => onChange(e.target.checked ? 'true' : 'false')}
+          />
+          <div className="relative w-9 h-5 bg-slate-200 peer-focus:outline-none peer-focus:ring-2 peer-focus:ring-blue-100 rounded-full peer peer-checked:after:translate-x-full rtl:peer-checked:after:-translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-4 after:w-4 after:transition-all peer-checked:bg-purple-600"></div>
+        </label>
+        <span className="text-xs font-medium text-slate-600">{item.value === null ? 'Not set' : value}</span>
+      </div>
+    );
+  } else if (entry?.valueType !== 'number' && options.length && !custom &&
+      (value === '' || entry.mustMatch || options.some(option => option.value === value))) {
+    editor = (
+      <select
+        aria-label={label}
+        value={value}
+        onChange={(e) => (e.target.value === CUSTOM_VALUE ? setCustom(true) : setText(e.target.value))}
+        className={`${inputClass} bg-white cursor-pointer`}
+      >
+        {value === '' && <option value="">{item.value === null ? 'Not set' : 'Choose...'}</option>}
+        {value !== '' && !options.some(option => option.value === value) && <option value={value}>{value} (not allowed)</option>}
+        {options.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        {!entry.mustMatch && <option value={CUSTOM_VALUE}>Custom value...</option>}
+      </select>
+    );
+  } else {
+    const listId = entry && options.length ? `values-${item.uuid}` : undefined;
+    editor = (
+      <div className="flex items-center gap-1">
+        <input
+          type={entry?.valueType === 'number' ? 'number' : 'text'}
+          min={entry?.lowerBound ?? undefined}
+          max={entry?.upperBound ?? undefined}
+          list={listId}
+          aria-label={label}
+          className={inputClass}
+          value={value}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={item.value === null ? 'Not set' : entry?.defaultValue}
+        />
+        {listId && (
+          <datalist id={listId}>
+            {options.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </datalist>
+        )}
+        {custom && (
+          <button onClick={pickFromList} className="text-slate-400 hover:text-slate-700" title="Pick a benchmark value">
+            <ChevronDown size={14} />
+          </button>
+        )}
+      </div>
+    );
+  }
 
-      const profileId = profile.getAttribute("id");
-      const profileExtends = profile.getAttribute("extends");
-      
-      const titleNode = profile.getElementsByTagName("title")[0] || profile.getElementsByTagNameNS("*", "title")[0];
-      const descNode = profile.getElementsByTagName("description")[0] || profile.getElementsByTagNameNS("*", "description")[0];
-      
-      const profileTitle = titleNode ? titleNode.textContent : "Unknown Profile";
-      const profileDesc = descNode ? descNode.textContent : "";
+  const range = entry && (entry.lowerBound !== null || entry.upperBound !== null)
+    ? ` · ${entry.lowerBound ?? '…'}–${entry.upperBound ?? '…'}`
+    : '';
+  return (
+    <div className="space-y-0.5">
+      {editor}
+      {entry && (
+        <p className="text-[11px] text-slate-400 truncate" title={entry.description || entry.title}>
+          Default: {entry.defaultValue === '' ? '(empty)' : entry.defaultValue}{range}
+          {entry.description && ` · ${entry.description}`}
+        </p>
+      )}
+      {problems.map(problem => (
+        <p key={problem.message} className={`text-[11px] ${problem.level === 'error' ? 'text-red-600' : 'text-amber-600'}`}>
+          {problem.message}
+        </p>
+      ))}
+    </div>
+  );
+};
 
-      // Parse Rules and Comments
-      const itemsMap = new Map(); // Use Map to merge select/refine-rule
-      const itemsOrder = []; // Keep track of order
-      
-      let lastComment = null;
-
-      Array.from(profile.childNodes).forEach(node => {
-        if (node.nodeType === Node.COMMENT_NODE) {
-          lastComment = node.textContent.trim();
-        } else if (node.nodeType === Node.ELEMENT_NODE) {
-          const tagName = node.tagName;
-          const idref = node.getAttribute("idref");
-
-          if (!idref) return; // Skip invalid nodes
-
-          // Handle Select (Rule Selection)
-          if (tagName === "select") {
-            const uuid = Math.random().toString(36).substr(2, 9);
-            const item = {
-              uuid,
-              type: 'select',
-              idref,
-              value: node.getAttribute("selected") || "false",
-              severity: 'default', // Default severity
-              comment: lastComment || ""
-            };
-            itemsMap.set(idref, item);
-            itemsOrder.push(item);
-            lastComment = null;
-          } 
-          // Handle Refine-Rule (Severity)
-          else if (tagName === "refine-rule") {
-            const severity = node.getAttribute("severity");
-            if (itemsMap.has(idref)) {
-              // Update existing item
-              const existingItem = itemsMap.get(idref);
-              existingItem.severity = severity;
-            } else {
-              // Create new item if refine-rule appears before select or alone
-              const uuid = Math.random().toString(36).substr(2, 9);
-              const item = {
-                uuid,
-                type: 'select', // Treat as rule even if only refined
-                idref,
-                value: 'default', // Indicates no explicit select tag yet
-                severity: severity,
-                comment: lastComment || ""
-              };
-              itemsMap.set(idref, item);
-              itemsOrder.push(item);
-            }
-            lastComment = null;
-          }
-          // Handle Set-Value (Variables)
-          else if (tagName === "set-value") {
-             const uuid = Math.random().toString(36).substr(2, 9);
-             const item = {
-               uuid,
-               type: 'set-value',
-               idref,
-               value: node.textContent,
-               comment: lastComment || ""
-             };
-             itemsOrder.push(item);
-             lastComment = null;
-          }
-        }
-      });
+const CATALOG_RESULT_LIMIT = 50;
 
-      setParsedData({
-        benchmark,
-        version,
-        profileId,
-        profileExtends,
-        profileTitle,
-        profileDesc,
-        items: itemsOrder
-      });
-      setNotification({ type: 'success', message: 'XML parsed successfully.' });
-      setTimeout(() => setNotification(null), 3000);
+const CatalogPicker = ({ catalog, type, selectedId, existingIds, onPick }) => {
+  const [query, setQuery] = useState('');
 
-    } catch (e) {
-      console.error(e);
-      setNotification({ type: 'error', message: 'Failed to parse XML. Please check the file format.' });
+  const entries = type === 'select' ? catalog.rules : catalog.values;
+  const queryLower = query.toLowerCase();
+  const matches = [];
+  for (const entry of entries.values()) {
+    if (
+      entry.id.toLowerCase().includes(queryLower) ||
+      entry.title.toLowerCase().includes(queryLower)
+    ) {
+      matches.push(entry);
+      if (matches.length >= CATALOG_RESULT_LIMIT) break;
     }
+  }
+
+  return (
+    <div>
+      <div className="relative mb-2">
+        <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-slate-400" size={16} />
+        <input
+          type="text"
+          placeholder={`Search ${entries.size} ${type === 'select' ? 'rules' : 'values'} in ${catalog.title}...`}
+          className="w-full pl-9 pr-4 py-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500 outline-none text-sm"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+      </div>
+      <div className="max-h-64 overflow-y-auto border border-slate-200 rounded divide-y divide-slate-100">
+        {matches.length === 0 ? (
+          <div className="p-4 text-center text-sm text-slate-400">No catalog entries match your search.</div>
+        ) : (
+          matches.map(entry => (
+            <button
+              key={entry.id}
+              type="button"
+              onClick={() => onPick(entry)}
+              className={`w-full text-left p-2 hover:bg-slate-50 transition-colors ${
+                entry.id === selectedId ? 'bg-blue-50' : ''
+              }`}
+            >
+              <div className="flex items-center gap-2">
+                <span className="font-medium text-sm text-slate-800 truncate flex-1">{entry.title || entry.id}</span>
+                {existingIds.has(entry.id) && (
+                  <span className="text-[10px] font-bold px-2 py-0.5 rounded bg-slate-100 text-slate-500 uppercase">In tailoring</span>
+                )}
+                {type === 'select' ? (
+                  <SeverityBadge severity={entry.severity} />
+                ) : (
+                  <span className="text-xs text-slate-500 font-mono truncate max-w-[8rem]" title="Default value">{entry.defaultValue}</span>
+                )}
+              </div>
+              <div className="text-xs text-slate-500 font-mono truncate">{entry.id}</div>
+              {entry.description && (
+                <div className="text-xs text-slate-400 line-clamp-2">{entry.description}</div>
+              )}
+            </button>
+          ))
+        )}
+      </div>
+      {matches.length >= CATALOG_RESULT_LIMIT && (
+        <p className="text-xs text-slate-400 mt-1">Showing the first {CATALOG_RESULT_LIMIT} matches. Refine your search to see more.</p>
+      )}
+    </div>
+  );
+};
+
+const ValidationPanel = ({ issues, profiles, onSelect }) => {
+  const [expanded, setExpanded] = useState(true);
+  const errors = issues.filter(issue => issue.level === 'error').length;
+  const warnings = issues.length - errors;
+  const profileName = (uuid) => {
+    const profile = profiles.find(p => p.uuid === uuid);
+    return profile ? (profile.profileTitle || profile.profileId) : 'Document';
   };
 
+  if (issues.length === 0) {
+    return (
+      <div className="mb-6 p-3 rounded-md border border-green-200 bg-green-50 text-green-800 text-sm flex items-center gap-2">
+        <CheckCircle size={16} /> No validation problems found.
+      </div>
+    );
+  }
+
+  return (
+    <div className={`mb-6 rounded-md border ${errors ? 'border-red-200 bg-red-50' : 'border-amber-200 bg-amber-50'}`}>
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className={`w-full flex items-center gap-2 p-3 text-sm font-medium ${errors ? 'text-red-800' : 'text-amber-800'}`}
+      >
+        <AlertTriangle size={16} />
+        Validation: {errors} error{errors === 1 ? '' : 's'}, {warnings} warning{warnings === 1 ? '' : 's'}
+        <span className="ml-auto text-xs font-normal">{expanded ? 'Hide' : 'Show'}</span>
+      </button>
+      {expanded && (
+        <ul className="max-h-48 overflow-y-auto border-t border-inherit divide-y divide-white text-sm">
+          {issues.map((issue, index) => (
+            <li key={index}>
+              <button
+                onClick={() => onSelect(issue)}
+                className="w-full text-left px-3 py-1.5 flex gap-2 hover:bg-white/60"
+              >
+                <span className={`text-[10px] font-bold px-1.5 py-0.5 rounded uppercase h-fit ${
+                  issue.level === 'error' ? 'bg-red-200 text-red-800' : 'bg-amber-200 text-amber-800'
+                }`}>
+                  {issue.level}
+                </span>
+                <span className="text-slate-500 shrink-0">{issue.profileUuid ? profileName(issue.profileUuid) : 'Document'}:</span>
+                <span className="text-slate-800">{issue.message}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Global find pattern for comment find/replace; null when the regex is invalid
+const buildFindPattern = (find, useRegex, matchCase) => {
+  if (!find) return null;
+  const source = useRegex ? find : find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  try {
+    return new RegExp(source, matchCase ? 'g' : 'gi');
+  } catch {
+    return null;
+  }
+};
+
+// Flattens the open part of a section tree into list rows: each section's header, then
+// its rules and subsections unless the section is collapsed
+const sectionTreeRows = (nodes, collapsed, depth = 0) => nodes.flatMap(node => {
+  const sectionKey = node.section || 'unsectioned';
+  const header = { key: `section:${sectionKey}`, node, sectionKey, depth };
+  if (collapsed.has(sectionKey)) return [header];
+  return [header, ...node.entries.flatMap(entry => (entry.node
+    ? sectionTreeRows([entry.node], collapsed, depth + 1)
+    : [{ key: entry.item.uuid, item: entry.item }]))];
+});
+
+const SectionHeader = ({ node, depth, rowIndex, isCollapsed, onToggle, onSetSelection }) => (
+  <div
+    role="row"
+    aria-rowindex={rowIndex}
+    className="flex items-center gap-3 pr-4 py-2 bg-slate-50 text-sm"
+    style={{ paddingLeft: `${16 + depth * 20}px` }}
+  >
+    <div role="gridcell" className="contents">
+      <button
+        onClick={onToggle}
+        aria-expanded={!isCollapsed}
+        className="flex items-center gap-1 font-semibold text-slate-700 hover:text-blue-700"
+      >
+        {isCollapsed ? <ChevronRight size={16} /> : <ChevronDown size={16} />}
+        {node.section ? `Section ${node.section}` : 'Unsectioned'}
+      </button>
+      <span className="text-xs text-green-700">{node.counts.enabled} on</span>
+      <span className="text-xs text-slate-500">{node.counts.disabled} off</span>
+      <span className="text-xs text-purple-700">{node.counts.refined} refined</span>
+      <div className="ml-auto flex gap-2 text-xs">
+        <button onClick={() => onSetSelection(node, 'true')} className="text-blue-700 hover:underline">Enable all</button>
+        <button onClick={() => onSetSelection(node, 'false')} className="text-blue-700 hover:underline">Disable all</button>
+      </div>
+    </div>
+  </div>
+);
+
+const VIRTUALIZE_ABOVE = 150; // Shorter lists render every row
+const ROW_ESTIMATE_PX = 90; // Height assumed for rows not rendered yet
+const OVERSCAN_PX = 800;
+
+// First index whose offset exceeds `top`, less one: the row that contains `top`
+const rowAt = (offsets, top) => {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (offsets[mid] <= top) low = mid;
+    else high = mid - 1;
+  }
+  return Math.min(low, Math.max(offsets.length - 2, 0));
+};
+
+/**
+ * Renders only the rows of a long list that are near the viewport; spacers stand in for
+ * the rest. The page scrolls as before. Rows are measured once rendered, so rows with
+ * badges or issue notes keep their real height. A new `scrollTo` ({ key }) object brings
+ * that row into view, also while it is not rendered.
+ */
+const VirtualList = ({ rows, renderRow, scrollTo }) => {
+  const containerRef = useRef(null);
+  const heights = useRef(new Map()); // row key -> measured height
+  const scrolledTo = useRef(null);
+  const [viewport, setViewport] = useState({ top: 0, height: window.innerHeight });
+  const [, setMeasured] = useState(0);
+  const virtual = rows.length > VIRTUALIZE_ABOVE;
+
   useEffect(() => {
-    parseXML(xmlContent);
-  }, []); 
+    if (!virtual) return;
+    let frame = null;
+    const update = () => {
+      frame = null;
+      if (containerRef.current) setViewport({ top: -containerRef.current.getBoundingClientRect().top, height: window.innerHeight });
+    };
+    const schedule = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+    update();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [virtual]);
 
-  // --- Handlers ---
+  const offsets = [0];
+  if (virtual) rows.forEach(row => offsets.push(offsets[offsets.length - 1] + (heights.current.get(row.key) ?? ROW_ESTIMATE_PX)));
+  const start = virtual ? rowAt(offsets, viewport.top - OVERSCAN_PX) : 0;
+  const end = virtual ? rowAt(offsets, viewport.top + viewport.height + OVERSCAN_PX) + 1 : rows.length;
 
-  const handleFileUpload = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+  // Record the heights of the rendered rows whenever they may have changed (renderRow is
+  // new on every parent render); re-render if any differ from what was assumed
+  useLayoutEffect(() => {
+    if (!virtual) return;
+    let changed = false;
+    Array.from(containerRef.current.children).forEach(el => {
+      const key = el.dataset.rowKey;
+      if (key !== undefined && el.offsetHeight && heights.current.get(key) !== el.offsetHeight) {
+        heights.current.set(key, el.offsetHeight);
+        changed = true;
+      }
+    });
+    if (changed) setMeasured(count => count + 1);
+  }, [virtual, rows, renderRow, start, end]);
 
-    const reader = new FileReader();
-    reader.onload = (event) => {
-      const content = event.target.result;
-      setXmlContent(content);
-      parseXML(content);
+  useEffect(() => {
+    if (!scrollTo || scrolledTo.current === scrollTo) return;
+    const index = rows.findIndex(row => row.key === scrollTo.key);
+    if (index === -1) return; // Not listed yet, e.g. while a search is being cleared
+    scrolledTo.current = scrollTo;
+    const el = Array.from(containerRef.current.children).find(child => child.dataset.rowKey === scrollTo.key);
+    if (el) {
+      el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    } else {
+      const listTop = containerRef.current.getBoundingClientRect().top + window.scrollY;
+      const rowHeight = offsets[index + 1] - offsets[index];
+      window.scrollTo({ top: listTop + offsets[index] - (window.innerHeight - rowHeight) / 2, behavior: 'smooth' });
+    }
+  });
+
+  return (
+    <div ref={containerRef} className="divide-y divide-slate-100">
+      {start > 0 && <div style={{ height: offsets[start] }} />}
+      {rows.slice(start, end).map(row => (
+        <div key={row.key} data-row-key={row.key}>{renderRow(row)}</div>
+      ))}
+      {end < rows.length && <div style={{ height: offsets[rows.length] - offsets[end] }} />}
+    </div>
+  );
+};
+
+const EXCEPTION_STYLES = {
+  expired: { badge: 'bg-red-100 text-red-700', icon: 'text-red-600' },
+  unjustified: { badge: 'bg-amber-100 text-amber-700', icon: 'text-amber-600' },
+  justified: { badge: 'bg-green-100 text-green-700', icon: 'text-green-600' }
+};
+
+// Deviations and exception records of the profile, worst first
+const ExceptionsView = ({ rows, onEdit }) => {
+  const [filter, setFilter] = useState('all');
+  const order = { expired: 0, unjustified: 1, justified: 2 };
+  const visible = rows
+    .filter(row => filter === 'all' || row.status === filter)
+    .sort((a, b) => order[a.status] - order[b.status]);
+  const count = (status) => rows.filter(row => row.status === status).length;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-slate-200 overflow-hidden">
+      <div className="p-4 border-b border-slate-200 flex flex-wrap items-center gap-2 text-sm">
+        {[['all', `All (${rows.length})`], ['expired', `Expired (${count('expired')})`],
+          ['unjustified', `Unjustified (${count('unjustified')})`], ['justified', `Justified (${count('justified')})`]].map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setFilter(key)}
+            className={`px-3 py-1 rounded-full border ${
+              filter === key ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-slate-300 text-slate-600 hover:bg-slate-50'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div className="grid grid-cols-12 bg-slate-100 p-4 border-b border-slate-200 text-xs font-semibold text-slate-500 uppercase tracking-wider gap-4">
+        <div className="col-span-1">Status</div>
+        <div className="col-span-4">Rule</div>
+        <div className="col-span-2">Deviation</div>
+        <div className="col-span-4">Justification</div>
+        <div className="col-span-1 text-right">Edit</div>
+      </div>
+      <div className="divide-y divide-slate-100">
+        {visible.length === 0 ? (
+          <div className="p-8 text-center text-slate-400">No deviations or exceptions to show.</div>
+        ) : visible.map(({ item, title, deviations, status }) => (
+          <div key={item.uuid} className="grid grid-cols-12 p-4 items-start gap-4 text-sm">
+            <div className="col-span-1">
+              <span className={`text-[10px] font-bold px-2 py-0.5 rounded uppercase ${EXCEPTION_STYLES[status].badge}`}>{status}</span>
+            </div>
+            <div className="col-span-4 overflow-hidden">
+              <p className="font-medium text-slate-800 truncate">{item.comment || title || item.idref}</p>
+              <p className="font-mono text-xs text-slate-500 truncate">{item.idref}</p>
+            </div>
+            <div className="col-span-2 text-xs text-slate-600">
+              {deviations.length ? deviations.join(', ') : <span className="italic text-slate-400">None</span>}
+            </div>
+            <div className="col-span-4 text-xs text-slate-600 space-y-0.5">
+              <p className={item.exception?.justification ? '' : 'italic text-slate-400'}>
+                {item.exception?.justification || 'No justification'}
+              </p>
+              {hasException(item.exception) && (
+                <p className="text-slate-400">
+                  {[
+                    item.exception.owner && `Owner: ${item.exception.owner}`,
+                    item.exception.ticket && `Ticket: ${item.exception.ticket}`,
+                    item.exception.expires && `Expires: ${item.exception.expires}`
+                  ].filter(Boolean).join(' · ')}
+                </p>
+              )}
+            </div>
+            <div className="col-span-1 flex justify-end">
+              <button
+                onClick={() => onEdit(item)}
+                className="p-1.5 text-slate-400 hover:text-blue-600 hover:bg-blue-50 rounded-md transition-colors"
+                title="Edit exception"
+              >
+                <Pencil size={16} />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const RESOLUTION_STYLES = {
+  overridden: 'bg-blue-100 text-blue-700',
+  'no-op': 'bg-slate-200 text-slate-600',
+  inherited: 'bg-slate-100 text-slate-400'
+};
+
+const RESOLUTION_HINTS = {
+  overridden: 'Changes what the base profile sets',
+  'no-op': 'The base profile already sets this',
+  inherited: 'Comes from the base profile unchanged'
+};
+
+// Every benchmark Rule and Value with its state after the base profile and the tailoring
+const EffectiveView = ({ resolution, baseLabel, onCleanup, onExport }) => {
+  const [filter, setFilter] = useState('all');
+  const entries = useMemo(() => [
+    ...resolution.rules.map(rule => ({ ...rule, type: 'select' })),
+    ...resolution.values.map(value => ({ ...value, type: 'set-value' }))
+  ], [resolution]);
+  const rows = useMemo(() => entries
+    .filter(entry => filter === 'all' || entry.status === filter)
+    .map(entry => ({ key: entry.id, entry })), [entries, filter]);
+  const count = (status) => entries.filter(entry => entry.status === status).length;
+  const evaluated = resolution.rules.filter(rule => rule.selected).length;
+  const ruleState = (selected, severity) => `${selected ? 'ON' : 'OFF'} · ${severity}`;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-slate-200 overflow-hidden">
+      <div className="p-4 border-b border-slate-200 space-y-3 text-sm">
+        <div className="flex flex-wrap items-center gap-2">
+          <p className="text-slate-600 mr-auto">
+            {evaluated} of {resolution.rules.length} rules evaluated, resolved against {baseLabel}.
+          </p>
+          <Button variant="secondary" icon={Eraser} onClick={onCleanup} disabled={!resolution.redundant.length}>
+            Remove {resolution.redundant.length} Redundant
+          </Button>
+          <Button variant="secondary" icon={Download} onClick={onExport}>
+            Export Resolved Profile
+          </Button>
+        </div>
+        {!resolution.baseFound && (
+          <p className="flex items-center gap-2 text-amber-700 bg-amber-50 border border-amber-200 rounded px-3 py-2">
+            <AlertTriangle size={16} /> The base profile is not in the loaded benchmark; its settings are missing from the result.
+          </p>
+        )}
+        <div className="flex flex-wrap items-center gap-2">
+          {[['all', `All (${entries.length})`], ['overridden', `Overridden (${count('overridden')})`],
+            ['no-op', `No-op (${count('no-op')})`], ['inherited', `Inherited (${count('inherited')})`]].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setFilter(key)}
+              className={`px-3 py-1 rounded-full border ${
+                filter === key ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-slate-300 text-slate-600 hover:bg-slate-50'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="grid grid-cols-12 bg-slate-100 p-4 border-b border-slate-200 text-xs font-semibold text-slate-500 uppercase tracking-wider gap-4">
+        <div className="col-span-2">Status</div>
+        <div className="col-span-6">Rule or Variable</div>
+        <div className="col-span-2">Effective</div>
+        <div className="col-span-2">Base</div>
+      </div>
+      {rows.length === 0 ? (
+        <div className="p-8 text-center text-slate-400">Nothing to show.</div>
+      ) : (
+        <VirtualList
+          rows={rows}
+          renderRow={({ entry }) => (
+            <div className="grid grid-cols-12 p-4 items-center gap-4 text-sm border-b border-slate-100">
+              <div className="col-span-2">
+                <span className={`text-[10px] font-bold px-2 py-0.5 rounded uppercase ${RESOLUTION_STYLES[entry.status]}`} title={RESOLUTION_HINTS[entry.status]}>
+                  {entry.status}
+                </span>
+              </div>
+              <div className="col-span-6 overflow-hidden">
+                <p className="font-medium text-slate-800 truncate">{entry.title || entry.id}</p>
+                <p className="font-mono text-xs text-slate-500 truncate">{entry.id}</p>
+              </div>
+              <div className="col-span-2 text-xs font-medium text-slate-700 truncate">
+                {entry.type === 'select' ? ruleState(entry.selected, entry.severity) : entry.value}
+              </div>
+              <div className="col-span-2 text-xs text-slate-500 truncate">
+                {entry.type === 'select' ? ruleState(entry.base.selected, entry.base.severity) : entry.base}
+              </div>
+            </div>
+          )}
+        />
+      )}
+    </div>
+  );
+};
+
+const CHANGE_STYLES = {
+  added: 'bg-green-100 text-green-700',
+  removed: 'bg-red-100 text-red-700',
+  changed: 'bg-amber-100 text-amber-700'
+};
+
+const CompareView = ({ leftData, leftProfile, leftName, rightData, rightName, titleOf, onApply, onError, onClose }) => {
+  const [rightProfileUuid, setRightProfileUuid] = useState(() => (
+    rightData.profiles.find(p => p.profileId === leftProfile.profileId) || rightData.profiles[0]
+  ).uuid);
+  const [choices, setChoices] = useState({}); // change key -> 'left' | 'right'
+
+  const rightProfile = rightData.profiles.find(p => p.uuid === rightProfileUuid) || rightData.profiles[0];
+  const changes = useMemo(() => diffProfiles(leftProfile, rightProfile), [leftProfile, rightProfile]);
+  const choiceOf = (change) => choices[change.key] || 'left';
+  const takeAll = (side) => setChoices(Object.fromEntries(changes.map(c => [c.key, side])));
+  const mergedItems = () => mergeProfiles(leftProfile, rightProfile, changes, choices);
+  const rightTaken = changes.filter(c => choiceOf(c) === 'right').length;
+
+  const handleDownloadMerged = () => {
+    const items = mergedItems();
+    const merged = {
+      ...leftData,
+      profiles: leftData.profiles.map(p => (p.uuid === leftProfile.uuid ? { ...p, items } : p))
     };
-    reader.readAsText(file);
+    runInWorker('serializeTailoring', merged)
+      .then(xml => downloadFile(xml, 'tailoring_merged.xml', 'application/xml'))
+      .catch(() => onError('Download failed: the merged document could not be written as XML.'));
   };
 
-  const handleUpdateItem = (uuid, field, newValue) => {
-    setParsedData(prev => ({
-      ...prev,
-      items: prev.items.map(item => 
-        item.uuid === uuid ? { ...item, [field]: newValue } : item
-      )
-    }));
+  const handleDownloadSummary = () => {
+    const markdown = changesToMarkdown(changes, { leftName, rightName, leftProfile, rightProfile, titleOf });
+    downloadFile(markdown, 'tailoring_changes.md', 'text/markdown');
   };
 
-  const handleDeleteItem = (uuid) => {
-    if (window.confirm("Are you sure you want to delete this rule?")) {
-      setParsedData(prev => ({
-        ...prev,
-        items: prev.items.filter(item => item.uuid !== uuid)
-      }));
-    }
+  const renderSide = (change, side) => {
+    const item = change[side];
+    if (!item) return <span className="text-slate-400 italic">Not present</span>;
+    if (change.kind !== 'changed') return <span className="font-mono text-xs">{describeItem(item)}</span>;
+    return (
+      <ul className="text-xs space-y-0.5">
+        {change.fields.map(f => (
+          <li key={f.field}>
+            <span className="text-slate-500">{f.label}:</span>{' '}
+            <span className="font-mono">{f[side] || '(unset)'}</span>
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-slate-200 overflow-hidden">
+      <div className="p-4 border-b border-slate-200 flex flex-col lg:flex-row lg:items-center justify-between gap-4">
+        <div className="text-sm text-slate-600 space-y-1">
+          <p><span className="font-semibold text-slate-800">Left:</span> {leftName} — {leftProfile.profileTitle}</p>
+          <p className="flex items-center gap-2">
+            <span className="font-semibold text-slate-800">Right:</span> {rightName} —
+            <select
+              value={rightProfile.uuid}
+              onChange={(e) => { setRightProfileUuid(e.target.value); setChoices({}); }}
+              className="text-sm border border-slate-300 rounded px-2 py-1 bg-white outline-none"
+            >
+              {rightData.profiles.map(p => <option key={p.uuid} value={p.uuid}>{p.profileTitle || p.profileId}</option>)}
+            </select>
+          </p>
+          <p className="text-xs text-slate-400">
+            {['added', 'removed', 'changed'].map(kind => `${changes.filter(c => c.kind === kind).length} ${kind}`).join(', ')}
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <Button variant="secondary" className="px-3 py-1.5 text-sm" onClick={() => takeAll('left')}>All Left</Button>
+          <Button variant="secondary" className="px-3 py-1.5 text-sm" onClick={() => takeAll('right')}>All Right</Button>
+          <Button variant="secondary" icon={FileText} className="px-3 py-1.5 text-sm" onClick={handleDownloadSummary}>Markdown Summary</Button>
+          <Button variant="secondary" icon={Download} className="px-3 py-1.5 text-sm" onClick={handleDownloadMerged}>Download Merged</Button>
+          <Button icon={Save} className="px-3 py-1.5 text-sm" onClick={() => onApply(mergedItems(), rightTaken)}>Apply to Editor</Button>
+          <Button variant="secondary" icon={X} className="px-3 py-1.5 text-sm" onClick={onClose}>Close</Button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-12 bg-slate-100 p-4 border-b border-slate-200 text-xs font-semibold text-slate-500 uppercase tracking-wider gap-4">
+        <div className="col-span-1">Change</div>
+        <div className="col-span-4">Rule</div>
+        <div className="col-span-3">Left</div>
+        <div className="col-span-3">Right</div>
+        <div className="col-span-1 text-right">Take</div>
+      </div>
+      <div className="divide-y divide-slate-100">
+        {changes.length === 0 ? (
+          <div className="p-8 text-center text-slate-400">The two profiles are identical.</div>
+        ) : (
+          changes.map(change => (
+            <div key={change.key} className="grid grid-cols-12 p-4 items-center gap-4 text-sm">
+              <div className="col-span-1">
+                <span className={`text-[10px] font-bold px-2 py-1 rounded-full uppercase ${CHANGE_STYLES[change.kind]}`}>
+                  {change.kind}
+                </span>
+              </div>
+              <div className="col-span-4 overflow-hidden">
+                <div className="font-medium text-slate-800 truncate">{titleOf(change.left || change.right) || change.idref}</div>
+                <div className="text-xs text-slate-500 font-mono truncate" title={change.idref}>{change.idref}</div>
+              </div>
+              <div className={`col-span-3 p-2 rounded ${choiceOf(change) === 'left' ? 'bg-blue-50 ring-1 ring-blue-200' : ''}`}>
+                {renderSide(change, 'left')}
+              </div>
+              <div className={`col-span-3 p-2 rounded ${choiceOf(change) === 'right' ? 'bg-blue-50 ring-1 ring-blue-200' : ''}`}>
+                {renderSide(change, 'right')}
+              </div>
+              <div className="col-span-1 flex flex-col items-end gap-1">
+                {['left', 'right'].map(side => (
+                  <button
+                    key={side}
+                    onClick={() => setChoices({ ...choices, [change.key]: side })}
+                    className={`text-xs px-2 py-0.5 rounded border ${
+                      choiceOf(change) === side
+                        ? 'bg-blue-600 border-blue-600 text-white'
+                        : 'bg-white border-slate-300 text-slate-600 hover:bg-slate-50'
+                    }`}
+                  >
+                    {side === 'left' ? 'Left' : 'Right'}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Layered merge: the current profile plus imported tailorings, lowest precedence first.
+ * Fields set by several layers with different values are listed as conflicts; the
+ * highest layer wins unless another one is picked.
+ */
+const LayersView = ({ layers, baseData, baseProfile, titleOf, onMove, onRemove, onSetProfile, onAddLayers, onApply, onError, onClose }) => {
+  const [resolutions, setResolutions] = useState({}); // conflict key -> layer id
+
+  const stack = layers.map(layer => ({
+    name: layer.name,
+    profile: layer.data.profiles.find(p => p.uuid === layer.profileUuid) || layer.data.profiles[0]
+  }));
+  const { items, conflicts } = mergeLayers(stack, Object.fromEntries(
+    Object.entries(resolutions).map(([key, id]) => [key, layers.findIndex(layer => layer.id === id)])
+  ));
+  const names = layers.map(layer => layer.name);
+
+  const handleDownloadMerged = () => {
+    const merged = {
+      ...baseData,
+      profiles: baseData.profiles.map(p => (p.uuid === baseProfile.uuid ? { ...p, items, layers: names } : p))
+    };
+    runInWorker('serializeTailoring', merged)
+      .then(xml => downloadFile(xml, 'tailoring_merged.xml', 'application/xml'))
+      .catch(() => onError('Download failed: the merged document could not be written as XML.'));
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-slate-200 overflow-hidden">
+      <div className="p-4 border-b border-slate-200 flex flex-col lg:flex-row lg:items-start justify-between gap-4">
+        <div className="text-sm text-slate-600 space-y-2">
+          <p className="font-semibold text-slate-800">Layers (later layers take precedence)</p>
+          <ol className="space-y-1">
+            {layers.map((layer, index) => (
+              <li key={layer.id} className="flex items-center gap-2">
+                <span className="w-5 text-right text-xs text-slate-400">{index + 1}.</span>
+                <span className="font-medium text-slate-800">{layer.name}</span>
+                {layer.id === 'current' ? (
+                  <span className="text-xs text-slate-400">(current profile)</span>
+                ) : (
+                  layer.data.profiles.length > 1 && (
+                    <select
+                      value={layer.profileUuid}
+                      onChange={(e) => onSetProfile(layer.id, e.target.value)}
+                      className="text-xs border border-slate-300 rounded px-1 py-0.5 bg-white outline-none"
+                    >
+                      {layer.data.profiles.map(p => <option key={p.uuid} value={p.uuid}>{p.profileTitle || p.profileId}</option>)}
+                    </select>
+                  )
+                )}
+                <button onClick={() => onMove(layer.id, -1)} disabled={index === 0} className="text-slate-400 hover:text-slate-700 disabled:opacity-30" title="Lower precedence">
+                  <ArrowUp size={14} />
+                </button>
+                <button onClick={() => onMove(layer.id, 1)} disabled={index === layers.length - 1} className="text-slate-400 hover:text-slate-700 disabled:opacity-30" title="Higher precedence">
+                  <ArrowDown size={14} />
+                </button>
+                {layer.id !== 'current' && (
+                  <button onClick={() => onRemove(layer.id)} className="text-slate-400 hover:text-red-600" title="Remove layer">
+                    <X size={14} />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ol>
+          <p className="text-xs text-slate-400">
+            {items.length} merged rows, {conflicts.length} conflict{conflicts.length === 1 ? '' : 's'}
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <Button variant="secondary" icon={Plus} className="px-3 py-1.5 text-sm" onClick={onAddLayers}>Add Layer</Button>
+          <Button variant="secondary" icon={Download} className="px-3 py-1.5 text-sm" onClick={handleDownloadMerged}>Download Merged</Button>
+          <Button icon={Save} className="px-3 py-1.5 text-sm" onClick={() => onApply(items, names)}>Apply to Editor</Button>
+          <Button variant="secondary" icon={X} className="px-3 py-1.5 text-sm" onClick={onClose}>Close</Button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-12 bg-slate-100 p-4 border-b border-slate-200 text-xs font-semibold text-slate-500 uppercase tracking-wider gap-4">
+        <div className="col-span-4">Rule</div>
+        <div className="col-span-2">Setting</div>
+        <div className="col-span-6">Layer values (pick the one to keep)</div>
+      </div>
+      <div className="divide-y divide-slate-100">
+        {conflicts.length === 0 ? (
+          <div className="p-8 text-center text-slate-400">
+            {layers.length > 1 ? 'The layers do not conflict.' : 'Add tailoring files to layer on top of the current profile.'}
+          </div>
+        ) : (
+          conflicts.map(conflict => (
+            <div key={conflict.key} className="grid grid-cols-12 p-4 items-center gap-4 text-sm">
+              <div className="col-span-4 overflow-hidden">
+                <div className="font-medium text-slate-800 truncate">{titleOf(conflict) || conflict.idref}</div>
+                <div className="text-xs text-slate-500 font-mono truncate" title={conflict.idref}>{conflict.idref}</div>
+              </div>
+              <div className="col-span-2 text-slate-600">{conflict.label}</div>
+              <div className="col-span-6 flex flex-wrap gap-2">
+                {conflict.options.map(option => (
+                  <button
+                    key={option.layer}
+                    onClick={() => setResolutions({ ...resolutions, [conflict.key]: layers[option.layer].id })}
+                    className={`text-xs px-2 py-1 rounded border ${
+                      conflict.chosen === option.layer
+                        ? 'bg-blue-600 border-blue-600 text-white'
+                        : 'bg-white border-slate-300 text-slate-600 hover:bg-slate-50'
+                    }`}
+                  >
+                    <span className="font-mono">{option.value === '' ? '(empty)' : option.value}</span>
+                    <span className="opacity-75"> — {layers[option.layer].name}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Documents in the browser library and their revisions; `currentId` is the open document.
+// Storage can be blocked or full (private windows, quota); failures go to `onError`.
+const LibraryView = ({ currentId, onOpen, onRestore, onCompare, onSaveRevision, onDeleted, onRenamed, onError, onClose }) => {
+  const [documents, setDocuments] = useState(null);
+  const [expandedId, setExpandedId] = useState(currentId);
+  const [revisions, setRevisions] = useState([]);
+
+  const reload = useCallback(() => listDocuments()
+    .then(docs => setDocuments([...docs].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))))
+    .catch(() => {
+      setDocuments([]);
+      onError('Could not read the library. Browser storage may be blocked or full.');
+    }), [onError]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  useEffect(() => {
+    if (expandedId === null) return;
+    listRevisions(expandedId)
+      .then(list => setRevisions([...list].reverse()))
+      .catch(() => onError('Could not read the revisions of this document.'));
+  }, [expandedId, documents, onError]);
+
+  const handleRename = (doc) => {
+    const name = window.prompt('Document name:', doc.name)?.trim();
+    if (!name || name === doc.name) return;
+    renameDocument(doc, name)
+      .then(() => {
+        onRenamed({ ...doc, name });
+        reload();
+      })
+      .catch(() => onError(`Could not rename "${doc.name}".`));
+  };
+
+  const handleDelete = (doc) => {
+    if (!window.confirm(`Delete "${doc.name}" and its ${doc.revisionCount} revision(s) from the library?`)) return;
+    deleteDocument(doc.id)
+      .then(() => {
+        onDeleted(doc);
+        reload();
+      })
+      .catch(() => onError(`Could not delete "${doc.name}".`));
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-slate-200 overflow-hidden">
+      <div className="p-4 border-b border-slate-200 flex flex-col lg:flex-row lg:items-start justify-between gap-4">
+        <div className="text-sm text-slate-600">
+          <p className="font-semibold text-slate-800">Library</p>
+          <p>Tailoring documents stored in this browser. Each saved revision can be restored or compared with the editor.</p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <Button icon={Save} className="px-3 py-1.5 text-sm" onClick={() => onSaveRevision()?.then(reload)}>
+            {currentId === null ? 'Add Current Document' : 'Save Revision'}
+          </Button>
+          <Button variant="secondary" icon={X} className="px-3 py-1.5 text-sm" onClick={onClose}>Close</Button>
+        </div>
+      </div>
+
+      <div className="divide-y divide-slate-100">
+        {documents === null ? (
+          <div className="p-8 text-center text-slate-400">Loading…</div>
+        ) : documents.length === 0 ? (
+          <div className="p-8 text-center text-slate-400">The library is empty. Add the current document or import a file to start.</div>
+        ) : (
+          documents.map(doc => {
+            const isExpanded = expandedId === doc.id;
+            const isCurrent = currentId === doc.id;
+            return (
+              <div key={doc.id}>
+                <div className="flex items-center gap-3 p-4 text-sm">
+                  <button onClick={() => setExpandedId(isExpanded ? null : doc.id)} className="text-slate-500 hover:text-slate-800" title="Show revisions">
+                    {isExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                  </button>
+                  <div className="flex-1 overflow-hidden">
+                    <div className="font-medium text-slate-800 truncate">
+                      {doc.name}
+                      {isCurrent && <span className="ml-2 text-xs font-normal text-blue-700 bg-blue-50 px-1.5 py-0.5 rounded">open</span>}
+                    </div>
+                    <div className="text-xs text-slate-500">
+                      {doc.revisionCount} revision{doc.revisionCount === 1 ? '' : 's'} · saved {new Date(doc.updatedAt).toLocaleString()}
+                    </div>
+                  </div>
+                  {!isCurrent && (
+                    <Button variant="secondary" icon={FolderOpen} className="px-3 py-1 text-sm" onClick={() => onOpen(doc)}>Open</Button>
+                  )}
+                  <button onClick={() => handleRename(doc)} className="p-1.5 text-slate-400 hover:text-blue-600" title="Rename">
+                    <Pencil size={16} />
+                  </button>
+                  <button onClick={() => handleDelete(doc)} className="p-1.5 text-slate-400 hover:text-red-600" title="Delete from library">
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+                {isExpanded && (
+                  <ol className="pb-3 pl-12 pr-4 space-y-1 text-sm">
+                    {revisions.map((revision, index) => (
+                      <li key={revision.id} className="flex items-center gap-3">
+                        <History size={14} className="text-slate-400 shrink-0" />
+                        <span className="font-medium text-slate-700">{revision.name}</span>
+                        <span className="text-xs text-slate-500">{new Date(revision.savedAt).toLocaleString()}</span>
+                        {index === 0 && <span className="text-xs text-slate-400">(latest)</span>}
+                        <div className="ml-auto flex gap-3 text-xs">
+                          <button onClick={() => (isCurrent ? onRestore(revision) : onOpen(doc, revision))} className="text-blue-700 hover:underline">
+                            {isCurrent ? 'Restore' : 'Open'}
+                          </button>
+                          <button onClick={() => onCompare(doc, revision)} className="text-blue-700 hover:underline">
+                            Compare with editor
+                          </button>
+                        </div>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+};
+
+// --- Main Application ---
+
+export default function App() {
+  // State
+  const [xmlContent, setXmlContent] = useState(INITIAL_XML);
+  const [parsedData, setParsedData, history] = useUndoableState(null);
+  const [savedData, setSavedData] = useState(null); // Snapshot as last imported/exported
+  const [restoreOffer, setRestoreOffer] = useState(() => readAutosave());
+  const [activeProfileUuid, setActiveProfileUuid] = useState(null);
+  const [profileForm, setProfileForm] = useState(null); // Create/clone/rename dialog state
+  const [metaForm, setMetaForm] = useState(null); // Document & profile details dialog state
+  const [exceptionForm, setExceptionForm] = useState(null); // { uuid, idref, justification, owner, ticket, expires }
+  const [csvImport, setCsvImport] = useState(null); // { fileName, profile, changes, metaChanges, ignoredMeta, errors, meta, accepted }
+  const [searchTerm, setSearchTerm] = useState(readSearchParam);
+  const [savedFilters, setSavedFilters] = useState(readSavedFilters); // [{ name, query }], shown as chips
+  const [notification, setNotification] = useState(null);
+  const [isAddModalOpen, setIsAddModalOpen] = useState(false);
+  const [insertAfter, setInsertAfter] = useState(null); // Row a new rule goes after; null puts it at the top
+  const [catalog, setCatalog] = useState(null); // Rules/Values of the loaded benchmark
+  const [scan, setScan] = useState(null); // Rule results of an imported oscap scan
+  const [scanFilter, setScanFilter] = useState('all');
+  const [compare, setCompare] = useState(null); // Right-hand tailoring of the compare mode
+  const [layering, setLayering] = useState(null); // { layers } of the layer merge; { id: 'current' } is the active profile
+  const [selectedUuids, setSelectedUuids] = useState(() => new Set()); // Rows checked for bulk actions
+  const [replaceForm, setReplaceForm] = useState(null); // Find/replace dialog state
+  const [viewMode, setViewMode] = useState('list'); // 'list' | 'tree' (grouped by CIS section)
+  const [collapsedSections, setCollapsedSections] = useState(new Set());
+  const [scrollTarget, setScrollTarget] = useState(null); // { key } of the row to bring into view
+  const [dropTarget, setDropTarget] = useState(null); // { uuid, position: 'before' | 'after' } while a row is dragged
+  const [moved, setMoved] = useState(null); // { uuid, focus: 'handle' | 'row' } of a row moved from the keyboard
+  const [activeRowUuid, setActiveRowUuid] = useState(null); // Row that holds the grid's single tab stop
+  const [busy, setBusy] = useState(null); // Label of the document task running in the worker
+  const [libraryDoc, setLibraryDoc] = useState(null); // Library document open in the editor
+  const [libraryOffer, setLibraryOffer] = useState(null); // { fileName, xml } of an import not yet in the library
+  const [showLibrary, setShowLibrary] = useState(false);
+  
+  // Form State for Adding
+  const [newRuleType, setNewRuleType] = useState('select'); // 'select' or 'set-value'
+  const [newRuleId, setNewRuleId] = useState('');
+  const [newRuleValue, setNewRuleValue] = useState('true');
+  const [newRuleSeverity, setNewRuleSeverity] = useState('default');
+  const [newRuleComment, setNewRuleComment] = useState('');
+
+  const fileInputRef = useRef(null);
+  const benchmarkInputRef = useRef(null);
+  const compareInputRef = useRef(null);
+  const layersInputRef = useRef(null);
+  const csvInputRef = useRef(null);
+  const scanInputRef = useRef(null);
+  const parseRequest = useRef(0); // Only the latest parse may replace the document
+  const draggedUuid = useRef(null); // Row being dragged by its handle
+  const moveHandles = useRef(new Map()); // Row uuid -> drag handle button
+  const rowNodes = useRef(new Map()); // Row uuid -> grid row element
+  const pendingRowFocus = useRef(null); // Row to focus once it is scrolled into the rendered window
+  const searchInputRef = useRef(null);
+
+  const activeProfile = parsedData?.profiles.find(profile => profile.uuid === activeProfileUuid)
+    || parsedData?.profiles[0];
+
+  const issues = useMemo(() => {
+    if (!parsedData) return [];
+    // With a benchmark loaded, variables are also checked against their <Value> definitions
+    return [...validateTailoring(parsedData), ...(catalog ? validateValues(parsedData, catalog) : [])];
+  }, [parsedData, catalog]);
+  // With a benchmark loaded: the effective profile and whether each row changes anything
+  const resolution = useMemo(
+    () => (catalog && activeProfile ? resolveProfile(activeProfile, catalog) : null),
+    [activeProfile, catalog]
+  );
+  const issuesByItem = new Map();
+  issues.forEach(issue => {
+    if (issue.itemUuid) issuesByItem.set(issue.itemUuid, [...(issuesByItem.get(issue.itemUuid) || []), issue]);
+  });
+
+  const isDirty = !!parsedData && parsedData !== savedData;
+
+  const notify = (type, message) => {
+    setNotification({ type, message });
+    if (type !== 'error') setTimeout(() => setNotification(null), 3000);
+  };
+
+  // --- Parser Logic ---
+  
+  // Runs a parse/serialize in the worker, labelled in the header while it takes
+  const inWorker = (label, operation, ...args) => {
+    setBusy(label);
+    return runInWorker(operation, ...args).finally(() => setBusy(current => (current === label ? null : current)));
+  };
+
+  // Resolves with the parsed document once it is in the editor, or null
+  const parseXML = (xmlString) => {
+    const request = ++parseRequest.current;
+    return inWorker('Parsing…', 'parseTailoringDocument', xmlString)
+      .then(data => {
+        if (request !== parseRequest.current) return null; // Another file (or a restored session) took over
+        history.reset(data);
+        setSavedData(data);
+        setActiveProfileUuid(data.profiles[0].uuid);
+        notify('success', isCacTailoring(xmlString)
+          ? 'JSON tailoring imported. It names no benchmark; set the benchmark href under Details.'
+          : 'XML parsed successfully.');
+        return data;
+      })
+      .catch(e => {
+        if (request !== parseRequest.current) return null;
+        console.error(e);
+        notify('error', 'Failed to parse XML. Please check the file format.');
+        return null;
+      });
+  };
+
+  // Start with the library document that was open last, else the built-in example
+  useEffect(() => {
+    const request = parseRequest.current;
+    (hasLibrary ? startDocument().catch(() => null) : Promise.resolve(null)).then(start => {
+      if (request !== parseRequest.current) return; // A file was imported in the meantime
+      if (start?.revision) {
+        setLibraryDoc(start.doc);
+        parseXML(start.revision.xml);
+      } else {
+        parseXML(xmlContent);
+      }
+    });
+  }, []); 
+
+  // Autosave the working document; hold off while a previous session is waiting to be restored
+  useEffect(() => {
+    if (!parsedData || restoreOffer) return;
+    const timer = setTimeout(() => {
+      try {
+        localStorage.setItem(AUTOSAVE_KEY, JSON.stringify({
+          savedAt: new Date().toISOString(),
+          dirty: isDirty,
+          activeProfileUuid,
+          libraryDoc,
+          data: parsedData
+        }));
+      } catch (e) {
+        console.error(e); // Quota exceeded or storage disabled
+      }
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [parsedData, isDirty, activeProfileUuid, libraryDoc, restoreOffer]);
+
+  useEffect(() => {
+    if (!isDirty) return;
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [isDirty]);
+
+  const { undo, redo } = history;
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      // Text fields keep their own undo, and a dialog's edits are not applied yet
+      if (e.target.closest?.(`${TEXT_ENTRY}, [role="dialog"]`)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // Single-key shortcuts, except while typing or inside a dialog
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"], [role="dialog"]')) return;
+      if (e.key === '/') {
+        e.preventDefault();
+        searchInputRef.current?.focus();
+      } else if (e.key === 'a') {
+        e.preventDefault();
+        setInsertAfter(null);
+        setIsAddModalOpen(true);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const handleRestoreSession = () => {
+    parseRequest.current++;
+    history.reset(restoreOffer.data);
+    setSavedData(restoreOffer.dirty ? null : restoreOffer.data);
+    setActiveProfileUuid(restoreOffer.activeProfileUuid);
+    setLibraryDoc(restoreOffer.libraryDoc || null);
+    setRestoreOffer(null);
+    notify('success', 'Previous session restored.');
+  };
+
+  const handleDiscardSession = () => {
+    localStorage.removeItem(AUTOSAVE_KEY);
+    setRestoreOffer(null);
+  };
+
+  // --- Handlers ---
+
+  const handleFileUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = '';
+    if (isDirty && !window.confirm("You have unexported changes. Discard them and import this file?")) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      const content = event.target.result;
+      setXmlContent(content);
+      parseXML(content).then(data => {
+        if (!data) return;
+        setLibraryDoc(null);
+        if (hasLibrary) setLibraryOffer({ fileName: file.name, xml: content });
+      });
+    };
+    reader.readAsText(file);
+  };
+
+  const handleCompareUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = '';
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      inWorker('Parsing…', 'parseTailoringDocument', event.target.result)
+        .then(data => {
+          setShowLibrary(false);
+          setCompare({ data, fileName: file.name });
+        })
+        .catch(err => {
+          console.error(err);
+          notify('error', 'Failed to parse the tailoring file to compare.');
+        });
+    };
+    reader.readAsText(file);
+  };
+
+  const handleApplyMerge = (items, takenCount) => {
+    updateActiveProfile(() => ({ items }));
+    setCompare(null);
+    notify('success', `Merged ${takenCount} change${takenCount === 1 ? '' : 's'} from the compared file.`);
+  };
+
+  // --- Library ---
+
+  const rememberOpenDocument = (doc) => {
+    setLibraryDoc(documentRecord(doc));
+    localStorage.setItem(LIBRARY_OPEN_KEY, String(doc.id));
+  };
+
+  // Opens the latest revision of a library document, or the given one
+  const handleOpenDocument = (doc, revision = null) => {
+    if (isDirty && !window.confirm("You have unexported changes. Discard them and open this document?")) return;
+    (revision ? Promise.resolve(revision) : listRevisions(doc.id).then(list => list[list.length - 1]))
+      .then(opened => parseXML(opened.xml))
+      .then(data => {
+        if (!data) return;
+        rememberOpenDocument(doc);
+        setLibraryOffer(null);
+        setShowLibrary(false);
+      })
+      .catch(err => {
+        console.error(err);
+        notify('error', `Could not open "${doc.name}" from the library.`);
+      });
+  };
+
+  // Saves the editor state as a new revision of the open document, or as a new document
+  const handleSaveRevision = () => {
+    const isNew = !libraryDoc;
+    const name = window.prompt(
+      isNew ? 'Name for the library document:' : 'Name for this revision:',
+      isNew ? parsedData.tailoringId : `Version ${parsedData.version}`
+    )?.trim();
+    if (!name) return null;
+    const snapshot = parsedData;
+    return inWorker('Saving…', 'serializeTailoring', snapshot)
+      .then(xml => (isNew
+        ? addDocument(name, `Version ${snapshot.version}`, xml)
+        : addRevision(libraryDoc, name, xml).then(() => libraryDoc)))
+      .then(doc => {
+        rememberOpenDocument(doc);
+        setSavedData(snapshot);
+        setLibraryOffer(null);
+        notify('success', isNew ? `Added "${name}" to the library.` : `Saved revision "${name}".`);
+      })
+      .catch(err => {
+        console.error(err);
+        notify('error', 'Could not save to the library.');
+      });
+  };
+
+  // The imported file goes in unchanged, as the document's first revision
+  const handleAddImportToLibrary = () => {
+    const { fileName, xml } = libraryOffer;
+    addDocument(fileName.replace(/\.xml$/i, ''), `Imported ${fileName}`, xml)
+      .then(doc => {
+        rememberOpenDocument(doc);
+        setLibraryOffer(null);
+        notify('success', `Added ${fileName} to the library.`);
+      })
+      .catch(err => {
+        console.error(err);
+        notify('error', 'Could not save to the library.');
+      });
+  };
+
+  // Restoring is an ordinary edit of the open document, so undo takes it back
+  const handleRestoreRevision = (revision) => {
+    inWorker('Parsing…', 'parseTailoringDocument', revision.xml)
+      .then(data => {
+        setParsedData(data);
+        if (!data.profiles.some(profile => profile.uuid === activeProfileUuid)) setActiveProfileUuid(data.profiles[0].uuid);
+        setShowLibrary(false);
+        notify('success', `Restored revision "${revision.name}". Undo returns to the previous state.`);
+      })
+      .catch(err => {
+        console.error(err);
+        notify('error', 'Failed to parse the stored revision.');
+      });
+  };
+
+  const handleCompareRevision = (doc, revision) => {
+    inWorker('Parsing…', 'parseTailoringDocument', revision.xml)
+      .then(data => {
+        setShowLibrary(false);
+        setLayering(null);
+        setCompare({ data, fileName: `${doc.name}: ${revision.name}` });
+      })
+      .catch(err => {
+        console.error(err);
+        notify('error', 'Failed to parse the stored revision.');
+      });
+  };
+
+  const handleLibraryDocumentDeleted = (doc) => {
+    if (libraryDoc?.id !== doc.id) return;
+    setLibraryDoc(null);
+    localStorage.removeItem(LIBRARY_OPEN_KEY);
+  };
+
+  // Stable, since the library view reloads whenever its error handler changes
+  const handleLibraryError = useCallback((message) => setNotification({ type: 'error', message }), []);
+
+  const handleLibraryDocumentRenamed = (doc) => {
+    if (libraryDoc?.id === doc.id) setLibraryDoc(documentRecord(doc));
+  };
+
+  // --- Layers ---
+
+  const handleLayersUpload = (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+
+    files.forEach(file => {
+      const reader = new FileReader();
+      reader.onload = (event) => {
+        inWorker('Parsing…', 'parseTailoringDocument', event.target.result)
+          .then(data => {
+            const layer = { id: newUuid(), name: file.name, data, profileUuid: data.profiles[0].uuid };
+            setCompare(null);
+            setShowLibrary(false);
+            setLayering(prev => ({ layers: [...(prev ? prev.layers : [{ id: 'current' }]), layer] }));
+          })
+          .catch(err => {
+            console.error(err);
+            notify('error', `Failed to parse ${file.name} as a tailoring file.`);
+          });
+      };
+      reader.readAsText(file);
+    });
+  };
+
+  const handleMoveLayer = (id, offset) => {
+    setLayering(prev => {
+      const layers = [...prev.layers];
+      const index = layers.findIndex(layer => layer.id === id);
+      [layers[index], layers[index + offset]] = [layers[index + offset], layers[index]];
+      return { layers };
+    });
+  };
+
+  const handleRemoveLayer = (id) => {
+    setLayering(prev => ({ layers: prev.layers.filter(layer => layer.id !== id) }));
+  };
+
+  const handleSetLayerProfile = (id, profileUuid) => {
+    setLayering(prev => ({ layers: prev.layers.map(layer => (layer.id === id ? { ...layer, profileUuid } : layer)) }));
+  };
+
+  const handleApplyLayers = (items, names) => {
+    updateActiveProfile(() => ({ items, layers: names }));
+    setLayering(null);
+    notify('success', `Merged ${names.length} layers into ${activeProfile.profileTitle || activeProfile.profileId}.`);
+  };
+
+  const handleBenchmarkUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = '';
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      inWorker('Loading benchmark…', 'parseBenchmark', event.target.result)
+        .then(loaded => {
+          setCatalog({ ...loaded, fileName: file.name });
+          notify('success', `Loaded ${loaded.rules.size} rules and ${loaded.values.size} values from ${file.name}.`);
+        })
+        .catch(err => {
+          console.error(err);
+          notify('error', 'Failed to load benchmark. Please select an XCCDF benchmark or SCAP datastream.');
+        });
+    };
+    reader.readAsText(file);
+  };
+
+  // The effective view needs the benchmark; leave it along with the catalog
+  const handleUnloadBenchmark = () => {
+    setCatalog(null);
+    if (viewMode === 'effective') setViewMode('list');
+  };
+
+  const handleScanUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = '';
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      inWorker('Loading results…', 'parseScanResults', event.target.result)
+        .then(loaded => {
+          setScan({ ...loaded, fileName: file.name });
+          setScanFilter('all');
+          notify('success', `Loaded ${loaded.results.size} rule results from ${file.name}.`);
+        })
+        .catch(err => {
+          console.error(err);
+          notify('error', 'Failed to load scan results. Please select an XCCDF results or ARF file from oscap.');
+        });
+    };
+    reader.readAsText(file);
+  };
+
+  // Catalog entry (Rule or Value definition) for a tailoring item, if a benchmark is loaded
+  const lookupCatalog = (type, idref) => {
+    if (!catalog) return null;
+    return (type === 'select' ? catalog.rules : catalog.values).get(idref) || null;
+  };
+
+  const handlePickCatalogEntry = (entry) => {
+    // Only pre-fill the comment while it still mirrors a previous pick
+    const previous = lookupCatalog(newRuleType, newRuleId);
+    if (!newRuleComment || newRuleComment === previous?.title) {
+      setNewRuleComment(entry.title);
+    }
+    setNewRuleId(entry.id);
+    if (entry.type === 'set-value') setNewRuleValue(entry.defaultValue);
+  };
+
+  // Applies an update to the profile currently shown in the editor
+  const updateActiveProfile = (updater, coalesceKey) => {
+    setParsedData(prev => ({
+      ...prev,
+      profiles: prev.profiles.map(profile =>
+        profile.uuid === activeProfile.uuid ? { ...profile, ...updater(profile) } : profile
+      )
+    }), coalesceKey);
+  };
+
+  const handleUpdateItem = (uuid, field, newValue) => {
+    updateActiveProfile(profile => ({
+      items: profile.items.map(item => 
+        item.uuid === uuid ? updateItem(item, { [field]: newValue }) : item
+      )
+    }), `${uuid}:${field}`);
+  };
+
+  const handleDeleteItem = (uuid) => {
+    updateActiveProfile(profile => removeItems(profile, new Set([uuid])));
+    notify('success', 'Rule deleted. Press Ctrl+Z to undo.');
+  };
+
+  // --- Bulk Operations ---
+
+  const selectedItems = activeProfile ? activeProfile.items.filter(item => selectedUuids.has(item.uuid)) : [];
+
+  const toggleItemSelection = (uuid) => {
+    setSelectedUuids(prev => {
+      const next = new Set(prev);
+      if (next.has(uuid)) next.delete(uuid);
+      else next.add(uuid);
+      return next;
+    });
+  };
+
+  const handleBulkUpdate = (updater, message) => {
+    updateActiveProfile(profile => ({
+      items: profile.items.map(item => (selectedUuids.has(item.uuid) ? updater(item) : item))
+    }));
+    notify('success', message);
+  };
+
+  // Selection, severity and role only apply to rules; variables in the selection are left alone
+  const handleBulkRuleField = (field, value, label) => {
+    const count = selectedItems.filter(item => item.type === 'select').length;
+    handleBulkUpdate(
+      item => (item.type === 'select' ? updateItem(item, { [field]: value }) : item),
+      `${label} on ${count} rule${count === 1 ? '' : 's'}.`
+    );
+  };
+
+  const handleBulkDelete = () => {
+    const count = selectedItems.length;
+    updateActiveProfile(profile => removeItems(profile, selectedUuids));
+    setSelectedUuids(new Set());
+    notify('success', `Deleted ${count} item${count === 1 ? '' : 's'}. Press Ctrl+Z to undo.`);
+  };
+
+  const replacePattern = replaceForm && buildFindPattern(replaceForm.find, replaceForm.useRegex, replaceForm.matchCase);
+  const replaceMatches = replacePattern
+    ? selectedItems.filter(item => item.comment && item.comment.search(replacePattern) >= 0)
+    : [];
+
+  const handleBulkReplace = () => {
+    const { find, replace, useRegex, matchCase } = replaceForm;
+    const pattern = buildFindPattern(find, useRegex, matchCase);
+    if (!pattern) {
+      alert("Enter valid text or a valid regular expression to find.");
+      return;
+    }
+    const count = replaceMatches.length;
+    handleBulkUpdate(
+      item => (item.comment ? { ...item, comment: item.comment.replace(pattern, replace) } : item),
+      `Replaced text in ${count} comment${count === 1 ? '' : 's'}.`
+    );
+    setReplaceForm(null);
+  };
+
+  // --- Scan Triage ---
+
+  const scanResultOf = (item) => (scan && item.type === 'select' ? scan.results.get(item.idref) || null : null);
+
+  /**
+   * Deselects every rule the scan reports as failing: rules already in the profile are
+   * switched off, failing rules inherited from the base profile get a new select="false".
+   * Each touched row records the scan date in its comment.
+   */
+  const handleDeselectFailing = () => {
+    const date = (scan.time || new Date().toISOString()).slice(0, 10);
+    const note = `deselected: failed scan on ${date}`;
+    const failing = Array.from(scan.results).filter(([, result]) => result === 'fail').map(([idref]) => idref);
+    const listed = new Map(activeProfile.items.filter(item => item.type === 'select').map(item => [item.idref, item]));
+    const toSwitch = new Set(failing.filter(idref => listed.has(idref) && listed.get(idref).value !== 'false'));
+    const toAdd = failing.filter(idref => !listed.has(idref));
+    if (!toSwitch.size && !toAdd.length) {
+      notify('success', 'No failing rules are still selected.');
+      return;
+    }
+
+    const withNote = (comment) => (comment ? `${comment} (${note})` : note);
+    const added = toAdd.map(idref => createItem('select', idref, {
+      value: 'false',
+      comment: withNote(lookupCatalog('select', idref)?.title)
+    }));
+    updateActiveProfile(profile => ({
+      items: [
+        ...profile.items.map(item => (item.type === 'select' && toSwitch.has(item.idref)
+          ? updateItem(item, { value: 'false', comment: withNote(item.comment) })
+          : item)),
+        ...added
+      ]
+    }));
+    notify('success', `Deselected ${toSwitch.size} failing rule${toSwitch.size === 1 ? '' : 's'} and added ${added.length} for inherited ones. Press Ctrl+Z to undo.`);
+  };
+
+  // --- Exceptions ---
+
+  const openExceptionModal = (item) => {
+    setExceptionForm({
+      uuid: item.uuid,
+      idref: item.idref,
+      justification: '',
+      owner: '',
+      ticket: '',
+      expires: '',
+      ...item.exception
+    });
+  };
+
+  const handleSaveException = () => {
+    const { uuid, idref, ...exception } = exceptionForm;
+    handleUpdateItem(uuid, 'exception', hasException(exception) ? exception : undefined);
+    setExceptionForm(null);
+    notify('success', hasException(exception) ? `Exception saved for ${idref}.` : `Exception removed from ${idref}.`);
+  };
+
+  // --- Section Tree ---
+
+  const handleToggleSection = (section) => {
+    setCollapsedSections(prev => {
+      const next = new Set(prev);
+      if (next.has(section)) next.delete(section);
+      else next.add(section);
+      return next;
+    });
+  };
+
+  // Section toggles only touch the rows visible under the current search
+  const handleSetSectionSelection = (node, value) => {
+    const uuids = new Set(node.uuids);
+    updateActiveProfile(profile => ({
+      items: profile.items.map(item => (uuids.has(item.uuid) && item.type === 'select' ? updateItem(item, { value }) : item))
+    }));
+    const label = node.section ? `section ${node.section}` : 'unsectioned rules';
+    notify('success', `${value === 'true' ? 'Enabled' : 'Disabled'} ${label}.`);
+  };
+
+  const handleSortBySection = () => {
+    const sorted = sortItemsBySection(activeProfile.items);
+    if (sorted.every((item, index) => item === activeProfile.items[index])) {
+      notify('success', 'Rules are already in section order.');
+      return;
+    }
+    updateActiveProfile(() => ({ items: sorted }));
+    notify('success', 'Rules sorted by section; export will keep this order.');
+  };
+
+  const handleAddItem = () => {
+    if (!newRuleId) {
+      alert("Rule ID (idref) is required");
+      return;
+    }
+    if (catalog && !lookupCatalog(newRuleType, newRuleId) &&
+        !window.confirm(`"${newRuleId}" is not defined in ${catalog.title}. Add it anyway?`)) {
+      return;
+    }
+
+    const newItem = {
+      uuid: newUuid(),
+      type: newRuleType,
+      idref: newRuleId,
+      value: newRuleValue,
+      severity: newRuleType === 'select' ? newRuleSeverity : undefined,
+      selector: '',
+      ...(newRuleType === 'select' ? { weight: '', role: '' } : { operator: '' }),
+      comment: newRuleComment
+    };
+
+    updateActiveProfile(profile => ({
+      items: insertItem(profile.items, newItem, insertAfter)
+    }));
+    if (insertAfter) setScrollTarget({ key: newItem.uuid });
+
+    setIsAddModalOpen(false);
+    setNewRuleId('');
+    setNewRuleComment('');
+    setNewRuleSeverity('default');
+    notify('success', 'New rule added.');
+  };
+
+  const openAddModal = (afterUuid = null) => {
+    setInsertAfter(afterUuid);
+    setIsAddModalOpen(true);
+  };
+
+  // --- Reordering ---
+
+  const handleMoveItem = (uuid, targetUuid, position) => {
+    updateActiveProfile(profile => ({ items: moveItem(profile.items, uuid, targetUuid, position) }));
+  };
+
+  // Arrow keys on a row's handle (Alt+arrows on the row) swap it with the neighbouring visible row
+  const handleMoveKey = (e, item, focus = 'handle') => {
+    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+    e.preventDefault();
+    const up = e.key === 'ArrowUp';
+    const index = filteredItems.findIndex(row => row.uuid === item.uuid);
+    const neighbour = filteredItems[index + (up ? -1 : 1)];
+    if (!neighbour) return;
+    handleMoveItem(item.uuid, neighbour.uuid, up ? 'before' : 'after');
+    setMoved({ uuid: item.uuid, focus });
+  };
+
+  const handleDragStart = (e, item) => {
+    draggedUuid.current = item.uuid;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', item.idref);
+    const row = e.currentTarget.closest('[data-row-key]');
+    if (row) e.dataTransfer.setDragImage(row, 0, 0);
+  };
+
+  const handleDragOver = (e, item) => {
+    if (!draggedUuid.current) return;
+    e.preventDefault();
+    const rect = e.currentTarget.getBoundingClientRect();
+    const position = e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+    if (dropTarget?.uuid !== item.uuid || dropTarget.position !== position) setDropTarget({ uuid: item.uuid, position });
+  };
+
+  const handleDrop = (e, item) => {
+    if (!draggedUuid.current) return;
+    e.preventDefault();
+    handleMoveItem(draggedUuid.current, item.uuid, dropTarget?.uuid === item.uuid ? dropTarget.position : 'before');
+    handleDragEnd();
+  };
+
+  const handleDragEnd = () => {
+    draggedUuid.current = null;
+    setDropTarget(null);
+  };
+
+  // React moves the row's DOM node, which drops focus; put it back where it was
+  useEffect(() => {
+    if (!moved) return;
+    (moved.focus === 'row' ? rowNodes : moveHandles).current.get(moved.uuid)?.focus();
+    setMoved(null);
+  }, [moved, parsedData]);
+
+  // --- Keyboard navigation of the grid ---
+
+  // Rows outside the rendered window get scrolled in first and focused when they mount
+  const focusRow = (uuid) => {
+    const node = rowNodes.current.get(uuid);
+    if (node) {
+      node.focus();
+    } else {
+      pendingRowFocus.current = uuid;
+      setScrollTarget({ key: uuid });
+    }
+  };
+
+  const rowRef = (uuid) => (node) => {
+    if (!node) {
+      rowNodes.current.delete(uuid);
+      return;
+    }
+    rowNodes.current.set(uuid, node);
+    if (pendingRowFocus.current === uuid) {
+      pendingRowFocus.current = null;
+      node.focus();
+    }
+  };
+
+  const handleRowKeyDown = (e, item) => {
+    // From a control inside the row, Escape goes back to the row itself
+    if (e.target !== e.currentTarget) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.currentTarget.focus();
+      }
+      return;
+    }
+    if (e.ctrlKey || e.metaKey) return;
+    if (e.altKey) {
+      if (viewMode === 'list') handleMoveKey(e, item, 'row');
+      return;
+    }
+    const itemRows = listRows.filter(row => row.item);
+    const index = itemRows.findIndex(row => row.key === item.uuid);
+    const goTo = (target) => {
+      e.preventDefault();
+      if (target) focusRow(target.key);
+    };
+    const severity = e.key === '0' ? 'default' : SEVERITIES[Number(e.key) - 1];
+    if (e.key === 'ArrowDown') goTo(itemRows[index + 1]);
+    else if (e.key === 'ArrowUp') goTo(itemRows[index - 1]);
+    else if (e.key === 'Home') goTo(itemRows[0]);
+    else if (e.key === 'End') goTo(itemRows[itemRows.length - 1]);
+    else if (e.key === ' ' && e.shiftKey) {
+      e.preventDefault();
+      toggleItemSelection(item.uuid);
+    } else if (e.key === ' ' && item.type === 'select') {
+      e.preventDefault();
+      handleUpdateItem(item.uuid, 'value', item.value === 'true' ? 'false' : 'true');
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      e.currentTarget.querySelector('input[type="text"]')?.focus();
+    } else if (e.key === 'Delete') {
+      goTo(itemRows[index + 1] || itemRows[index - 1]);
+      handleDeleteItem(item.uuid);
+    } else if (e.key === 'a') {
+      e.preventDefault();
+      openAddModal(item.uuid);
+    } else if (/^[0-5]$/.test(e.key) && item.type === 'select') {
+      e.preventDefault();
+      handleUpdateItem(item.uuid, 'severity', severity);
+    }
+  };
+
+  // Both exports go through validation; with errors left the user has to confirm
+  const confirmExport = () => {
+    const errorCount = issues.filter(issue => issue.level === 'error').length;
+    return !errorCount || window.confirm(`${errorCount} validation error(s) remain. The exported file may be rejected by OpenSCAP. Export anyway?`);
+  };
+
+  const handleExport = () => {
+    if (!parsedData || !confirmExport()) return;
+
+    const exported = parsedData;
+    inWorker('Exporting…', 'serializeTailoring', exported)
+      .then(xml => {
+        downloadFile(xml, "tailoring_custom.xml", "application/xml");
+        setSavedData(exported);
+        notify('success', 'File downloaded successfully.');
+      })
+      .catch(err => {
+        console.error(err);
+        notify('error', 'Export failed: the document could not be written as XML.');
+      });
+  };
+
+  // JSON tailorings hold selections, refinements and values only; say what was left out
+  const handleExportJson = () => {
+    if (!parsedData || !confirmExport()) return;
+    const { json, warnings } = tailoringToCac(parsedData);
+    downloadFile(JSON.stringify(json, null, 2), 'tailoring_custom.json', 'application/json');
+    notify('success', warnings.length ? `JSON downloaded. ${warnings.join(' ')}` : 'JSON downloaded.');
+  };
+
+  // The benchmark's base profile with the tailoring applied, as one Profile that extends nothing
+  const handleExportResolved = () => {
+    downloadFile(resolvedProfileXml(parsedData, activeProfile, catalog), resolvedFileName(activeProfile), 'application/xml');
+    notify('success', 'Resolved profile downloaded.');
+  };
+
+  const handleRemoveRedundant = () => {
+    const count = resolution.redundant.length;
+    updateActiveProfile(profile => removeItems(profile, new Set(resolution.redundant)));
+    notify('success', `Removed ${count} row${count === 1 ? '' : 's'} the base profile already covers. Press Ctrl+Z to undo.`);
+  };
+
+  const handleExportReport = () => {
+    const report = tailoringToHtml(parsedData, activeProfile, { catalog });
+    downloadFile(report, reportFileName(activeProfile), 'text/html;charset=utf-8');
+    notify('success', catalog ? 'Report downloaded.' : 'Report downloaded. Load the benchmark to include rule titles and default severities.');
+  };
+
+  // --- CSV ---
+
+  const handleExportCsv = () => {
+    const csv = profileToCsv(parsedData, activeProfile);
+    const name = (activeProfile.profileId || 'profile').replace(/^xccdf_[^_]+_profile_/, '');
+    downloadFile(csv, `${name}.csv`, 'text/csv;charset=utf-8');
+    notify('success', 'CSV downloaded.');
+  };
+
+  const handleCsvUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = '';
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        const { profile, meta, errors } = csvToProfile(activeProfile, event.target.result);
+        const changes = diffProfiles(activeProfile, profile, CSV_DIFF_FIELDS);
+        const { changes: metaChanges, ignored: ignoredMeta } = csvMetaChanges(parsedData, activeProfile, meta);
+        // Rows deleted in the sheet are only removed on request; a filtered export should not wipe the profile
+        const accepted = new Set([...metaChanges, ...changes.filter(c => c.kind !== 'removed')].map(c => c.key));
+        setCsvImport({ fileName: file.name, profile, changes, metaChanges, ignoredMeta, errors, meta, accepted });
+      } catch (err) {
+        console.error(err);
+        notify('error', `Failed to read CSV: ${err.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const toggleCsvChange = (key) => {
+    setCsvImport(prev => {
+      const accepted = new Set(prev.accepted);
+      if (accepted.has(key)) accepted.delete(key);
+      else accepted.add(key);
+      return { ...prev, accepted };
+    });
+  };
+
+  const handleApplyCsv = () => {
+    const { profile, changes, metaChanges, accepted } = csvImport;
+    const chosen = changes.filter(c => accepted.has(c.key));
+    const choices = Object.fromEntries(chosen.filter(c => c.kind !== 'removed').map(c => [c.key, 'right']));
+    const removed = new Set(chosen.filter(c => c.kind === 'removed').map(c => c.left.uuid));
+    const details = Object.fromEntries(metaChanges.filter(c => accepted.has(c.key)).map(c => [c.field, c.right]));
+    updateActiveProfile(current => {
+      const items = mergeProfiles(current, profile, changes, choices);
+      return { ...removeItems({ ...current, items }, removed), ...details };
+    });
+    setCsvImport(null);
+    notify('success', `Applied ${accepted.size} change${accepted.size === 1 ? '' : 's'} from the CSV.`);
+  };
+
+  // Jump to the profile and row an issue refers to
+  const handleSelectIssue = (issue) => {
+    if (issue.profileUuid) setActiveProfileUuid(issue.profileUuid);
+    if (!issue.itemUuid) return;
+    setSearchTerm('');
+    setScrollTarget({ key: issue.itemUuid });
+  };
+
+  // --- Profile Management ---
+
+  const openProfileModal = (mode) => {
+    if (mode === 'rename') {
+      setProfileForm({
+        mode,
+        profileId: activeProfile.profileId,
+        profileTitle: activeProfile.profileTitle
+      });
+    } else {
+      const source = activeProfile;
+      setProfileForm({
+        mode,
+        profileId: `${source.profileId}_${mode === 'clone' ? 'copy' : 'new'}`,
+        profileTitle: mode === 'clone' ? `${source.profileTitle} (Copy)` : '',
+        profileExtends: source.profileExtends || ''
+      });
+    }
+  };
+
+  const handleSaveProfile = () => {
+    const { mode, profileId, profileTitle, profileExtends } = profileForm;
+    if (!profileId) {
+      alert("Profile ID is required");
+      return;
+    }
+    const clash = parsedData.profiles.some(profile =>
+      profile.profileId === profileId && !(mode === 'rename' && profile.uuid === activeProfile.uuid)
+    );
+    if (clash) {
+      alert(`A profile with ID "${profileId}" already exists in this tailoring.`);
+      return;
+    }
+
+    if (mode === 'rename') {
+      updateActiveProfile(() => ({ profileId, profileTitle }));
+      notify('success', 'Profile renamed.');
+    } else {
+      const profile = mode === 'clone'
+        ? {
+            ...activeProfile,
+            items: activeProfile.items.map(item => ({ ...item, uuid: newUuid() }))
+          }
+        : { profileDesc: '', items: [] };
+      const created = { ...profile, uuid: newUuid(), profileId, profileTitle, profileExtends };
+      setParsedData(prev => ({ ...prev, profiles: [...prev.profiles, created] }));
+      setActiveProfileUuid(created.uuid);
+      notify('success', mode === 'clone' ? 'Profile cloned.' : 'New profile created.');
+    }
+    setProfileForm(null);
+  };
+
+  // --- Document Metadata ---
+
+  const openMetaModal = () => {
+    setMetaForm({
+      tailoringId: parsedData.tailoringId,
+      benchmark: parsedData.benchmark,
+      version: parsedData.version,
+      versionTime: parsedData.versionTime || '',
+      keepVersionTime: !!parsedData.keepVersionTime,
+      profileId: activeProfile.profileId,
+      profileExtends: activeProfile.profileExtends || '',
+      profileTitle: activeProfile.profileTitle,
+      profileDesc: activeProfile.profileDesc,
+      xccdfVersion: parsedData.xccdfVersion || '1.2',
+      idNamespace: CAC_NAMESPACE
+    });
+  };
+
+  const handleSaveMeta = () => {
+    const { tailoringId, benchmark, version, versionTime, keepVersionTime, xccdfVersion, idNamespace, ...profileFields } = metaForm;
+    if (!profileFields.profileId) {
+      alert("Profile ID is required");
+      return;
+    }
+    const converting = xccdfVersion !== (parsedData.xccdfVersion || '1.2');
+    if (converting && xccdfVersion === '1.2' && !/^[^_\s]+$/.test(idNamespace)) {
+      alert('The ID namespace must be a reverse-DNS name such as org.example, without "_" or spaces.');
+      return;
+    }
+    if (parsedData.profiles.some(profile => profile.profileId === profileFields.profileId && profile.uuid !== activeProfile.uuid)) {
+      alert(`A profile with ID "${profileFields.profileId}" already exists in this tailoring.`);
+      return;
+    }
+
+    // IDs edited in the form are converted along with the rest of the document
+    setParsedData(prev => convertTailoring({
+      ...prev,
+      tailoringId,
+      benchmark,
+      version,
+      versionTime,
+      keepVersionTime,
+      profiles: prev.profiles.map(profile =>
+        profile.uuid === activeProfile.uuid ? { ...profile, ...profileFields } : profile
+      )
+    }, xccdfVersion, { namespace: idNamespace }));
+    setMetaForm(null);
+    notify('success', converting ? `Converted to XCCDF ${xccdfVersion}.` : 'Details updated.');
+  };
+
+  const handleBumpVersion = () => {
+    const next = bumpVersion(parsedData.version);
+    setParsedData(prev => ({ ...prev, version: next }));
+    notify('success', `Version bumped to ${next}.`);
   };
 
-  const handleAddItem = () => {
-    if (!newRuleId) {
-      alert("Rule ID (idref) is required");
+  const handleDeleteProfile = () => {
+    if (parsedData.profiles.length === 1) {
+      alert("A tailoring must contain at least one profile.");
       return;
     }
+    if (!window.confirm(`Delete profile "${activeProfile.profileTitle || activeProfile.profileId}" and all of its rules?`)) return;
 
-    const newItem = {
-      uuid: Math.random().toString(36).substr(2, 9),
-      type: newRuleType,
-      idref: newRuleId,
-      value: newRuleValue,
-      severity: newRuleType === 'select' ? newRuleSeverity : undefined,
-      comment: newRuleComment
-    };
+    const remaining = parsedData.profiles.filter(profile => profile.uuid !== activeProfile.uuid);
+    setParsedData(prev => ({ ...prev, profiles: remaining }));
+    setActiveProfileUuid(remaining[0].uuid);
+    notify('success', 'Profile deleted.');
+  };
 
-    setParsedData(prev => ({
-      ...prev,
-      items: [newItem, ...prev.items] 
-    }));
+  // --- Filtering ---
+  
+  // Typing only re-renders the search box; the list follows once React has time for it
+  const deferredSearchTerm = useDeferredValue(searchTerm);
+  const activeItems = activeProfile?.items;
+  const searchIndex = useMemo(() => buildSearchIndex(activeItems || [], item => (
+    catalog ? (item.type === 'select' ? catalog.rules : catalog.values).get(item.idref) : null
+  )), [activeItems, catalog]);
+  const query = useMemo(() => parseQuery(deferredSearchTerm), [deferredSearchTerm]);
+  const filteredItems = useMemo(() => searchItems(searchIndex, query)
+    .filter(item => matchesScanFilter(item, scan, scanFilter)), [searchIndex, query, scan, scanFilter]);
 
-    setIsAddModalOpen(false);
-    setNewRuleId('');
-    setNewRuleComment('');
-    setNewRuleSeverity('default');
-    setNotification({ type: 'success', message: 'New rule added.' });
-    setTimeout(() => setNotification(null), 3000);
+  // Keep the query in the address bar, so the link opens the same filtered view
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    if (searchTerm) url.searchParams.set(SEARCH_PARAM, searchTerm);
+    else url.searchParams.delete(SEARCH_PARAM);
+    window.history.replaceState(window.history.state, '', url);
+  }, [searchTerm]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(SAVED_FILTERS_KEY, JSON.stringify(savedFilters));
+    } catch (e) {
+      console.error(e);
+    }
+  }, [savedFilters]);
+
+  const handleSaveFilter = () => {
+    const name = window.prompt('Name for this filter:', searchTerm)?.trim();
+    if (!name) return;
+    setSavedFilters(prev => [...prev.filter(filter => filter.name !== name), { name, query: searchTerm }]);
+    notify('success', `Saved filter "${name}".`);
   };
 
-  const handleExport = () => {
-    if (!parsedData) return;
-    
-    let xml = `<?xml version='1.0' encoding='UTF-8'?>\n`;
-    xml += `<Tailoring xmlns="http://checklists.nist.gov/xccdf/1.2" id="xccdf_scap-workbench_tailoring_default">\n`;
-    xml += `  <benchmark href="${parsedData.benchmark}"/>\n`;
-    xml += `  <version time="${new Date().toISOString()}">${parsedData.version}</version>\n`;
-    xml += `  <Profile id="${parsedData.profileId}" extends="${parsedData.profileExtends}">\n`;
-    xml += `    <title xmlns:xhtml="http://www.w3.org/1999/xhtml" xml:lang="en-US" override="true">${parsedData.profileTitle}</title>\n`;
-    xml += `    <description xmlns:xhtml="http://www.w3.org/1999/xhtml" xml:lang="en-US" override="true">${parsedData.profileDesc}</description>\n`;
-    
-    parsedData.items.forEach(item => {
-      if (item.comment) {
-        xml += `    <!--${item.comment}-->\n`;
-      }
-      
-      if (item.type === 'select') {
-        // Only write select if value is not 'default' (meaning we have an explicit selection)
-        // OR if we want to enforce inclusion. XCCDF usually requires explicit select.
-        if (item.value !== 'default') {
-             xml += `    <select idref="${item.idref}" selected="${item.value}"/>\n`;
-        }
-        // Write refine-rule if severity is not default
-        if (item.severity && item.severity !== 'default') {
-            xml += `    <refine-rule idref="${item.idref}" severity="${item.severity}"/>\n`;
-        }
-      } else if (item.type === 'set-value') {
-        xml += `    <set-value idref="${item.idref}">${item.value}</set-value>\n`;
-      }
-    });
+  const handleDeleteFilter = (name) => {
+    setSavedFilters(prev => prev.filter(filter => filter.name !== name));
+  };
+
+  const listRows = useMemo(() => (viewMode === 'tree'
+    ? sectionTreeRows(buildSectionTree(filteredItems), collapsedSections)
+    : filteredItems.map(item => ({ key: item.uuid, item }))), [viewMode, filteredItems, collapsedSections]);
 
-    xml += `  </Profile>\n`;
-    xml += `</Tailoring>`;
+  // aria-rowindex counts the column header as row 1
+  const rowIndexes = useMemo(() => new Map(listRows.map((row, index) => [row.key, index + 2])), [listRows]);
+  const tabStopUuid = rowIndexes.has(activeRowUuid) ? activeRowUuid : listRows.find(row => row.item)?.key;
 
-    const blob = new Blob([xml], { type: "application/xml" });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement("a");
-    link.href = url;
-    link.download = "tailoring_custom.xml";
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    
-    setNotification({ type: 'success', message: 'File downloaded successfully.' });
-    setTimeout(() => setNotification(null), 3000);
+  const today = todayIso();
+  const exceptionOf = (item) => {
+    const deviations = describeDeviation(item, lookupCatalog(item.type, item.idref));
+    return { deviations, status: exceptionStatus(item, deviations, today) };
   };
+  const exceptionRows = viewMode === 'exceptions'
+    ? filteredItems
+        .map(item => ({ item, title: lookupCatalog(item.type, item.idref)?.title, ...exceptionOf(item) }))
+        .filter(row => row.status)
+    : [];
 
-  // --- Filtering ---
-  
-  const filteredItems = parsedData?.items.filter(item => {
-    const searchLower = searchTerm.toLowerCase();
+  const visibleSelectedCount = filteredItems.filter(item => selectedUuids.has(item.uuid)).length;
+  const hiddenSelectedCount = selectedItems.length - visibleSelectedCount;
+
+  // Select-all works on the rows matching the current search
+  const handleToggleSelectAll = () => {
+    const selectAll = visibleSelectedCount < filteredItems.length;
+    setSelectedUuids(prev => {
+      const next = new Set(prev);
+      filteredItems.forEach(item => (selectAll ? next.add(item.uuid) : next.delete(item.uuid)));
+      return next;
+    });
+  };
+
+  const renderItemRow = (item) => {
+    const entry = lookupCatalog(item.type, item.idref);
+    const rowIssues = issuesByItem.get(item.uuid) || [];
+    const rowHasError = rowIssues.some(issue => issue.level === 'error');
+    const exception = exceptionOf(item);
+    const drop = dropTarget?.uuid === item.uuid ? dropTarget.position : null;
+    const canMove = viewMode === 'list';
     return (
-      item.idref.toLowerCase().includes(searchLower) ||
-      (item.comment && item.comment.toLowerCase().includes(searchLower))
+      <div
+        ref={rowRef(item.uuid)}
+        role="row"
+        aria-rowindex={rowIndexes.get(item.uuid)}
+        aria-selected={selectedUuids.has(item.uuid)}
+        aria-label={entry?.title || item.comment || item.idref}
+        tabIndex={item.uuid === tabStopUuid ? 0 : -1}
+        onFocus={() => setActiveRowUuid(item.uuid)}
+        onKeyDown={(e) => handleRowKeyDown(e, item)}
+        className={`grid grid-cols-12 p-4 items-center hover:bg-slate-50 transition-colors gap-4 outline-none focus:bg-blue-50 ${
+          rowIssues.length ? `border-l-4 ${rowHasError ? 'border-red-400' : 'border-amber-400'}` : ''
+        } ${drop === 'before' ? 'shadow-[inset_0_2px_0_0_#3b82f6]' : drop === 'after' ? 'shadow-[inset_0_-2px_0_0_#3b82f6]' : ''}`}
+        onDragOver={canMove ? (e) => handleDragOver(e, item) : undefined}
+        onDrop={canMove ? (e) => handleDrop(e, item) : undefined}
+      >
+
+        {/* Move Handle, Selection & Type Badge */}
+        <div role="gridcell" className="col-span-1 flex items-center justify-center gap-2">
+          {canMove && (
+            <button
+              ref={node => (node ? moveHandles.current.set(item.uuid, node) : moveHandles.current.delete(item.uuid))}
+              draggable
+              onDragStart={(e) => handleDragStart(e, item)}
+              onDragEnd={handleDragEnd}
+              onKeyDown={(e) => handleMoveKey(e, item)}
+              className="-ml-2 text-slate-300 hover:text-slate-600 cursor-grab focus:outline-none focus:ring-2 focus:ring-blue-300 rounded"
+              title="Drag to move, or focus and press ↑/↓"
+              aria-label={`Move ${item.idref}`}
+            >
+              <GripVertical size={16} />
+            </button>
+          )}
+          <input
+            type="checkbox"
+            checked={selectedUuids.has(item.uuid)}
+            onChange={() => toggleItemSelection(item.uuid)}
+            className="cursor-pointer"
+            aria-label={`Select ${item.idref} for bulk actions`}
+          />
+          <span className={`text-[10px] font-bold px-2 py-1 rounded-full uppercase ${
+            item.type === 'select' ? 'bg-blue-100 text-blue-700' : 'bg-purple-100 text-purple-700'
+          }`}>
+            {item.type === 'select' ? 'Rule' : 'Var'}
+          </span>
+        </div>
+
+        {/* Description & ID */}
+        <div role="gridcell" className="col-span-4 overflow-hidden">
+          <input 
+            type="text" 
+            className={`w-full font-medium text-slate-800 bg-transparent border-none p-0 focus:ring-0 mb-1 truncate ${
+              entry?.title ? 'placeholder-slate-600' : 'placeholder-slate-400'
+            }`}
+            value={item.comment}
+            onChange={(e) => handleUpdateItem(item.uuid, 'comment', e.target.value)}
+            placeholder={entry?.title || "No description (Add a comment)"}
+            title={entry?.title}
+            aria-label={`Comment for ${item.idref}`}
+          />
+          <div className="flex items-center gap-2 text-xs text-slate-500 font-mono">
+            <span className="truncate" title={entry?.description || item.idref}>{item.idref}</span>
+            {scanResultOf(item) && <ResultBadge result={scanResultOf(item)} />}
+            {resolution && (
+              <span
+                className={`shrink-0 font-sans text-[10px] font-bold px-1.5 rounded uppercase ${RESOLUTION_STYLES[resolution.rowStatus.get(item.uuid)]}`}
+                title={resolution.rowStatus.get(item.uuid) === 'no-op'
+                  ? `${RESOLUTION_HINTS['no-op']}; ${hasException(item.exception) ? 'kept for its exception' : 'safe to remove'}`
+                  : RESOLUTION_HINTS.overridden}
+              >
+                {resolution.rowStatus.get(item.uuid)}
+              </span>
+            )}
+            {item.origin && (
+              <span
+                className="flex items-center gap-1 shrink-0 font-sans text-slate-400"
+                title={Object.entries(item.origin).map(([field, layer]) => `${field}: ${layer}`).join('\n')}
+              >
+                <Layers size={12} /> {[...new Set(Object.values(item.origin))].join(', ')}
+              </span>
+            )}
+            {catalog && !entry && (
+              <span className="flex items-center gap-1 shrink-0 font-sans text-amber-600" title={`Not defined in ${catalog.title}`}>
+                <AlertTriangle size={12} /> Not in benchmark
+              </span>
+            )}
+            {rowIssues.length > 0 && (
+              <span
+                className={`flex items-center gap-1 shrink-0 font-sans ${rowHasError ? 'text-red-600' : 'text-amber-600'}`}
+                title={rowIssues.map(issue => issue.message).join('\n')}
+              >
+                <AlertTriangle size={12} /> {rowIssues.length} issue{rowIssues.length === 1 ? '' : 's'}
+              </span>
+            )}
+          </div>
+        </div>
+
+         {/* Severity Selector (Only for Rules) */}
+         <div role="gridcell" className="col-span-2">
+          {item.type === 'select' ? (
+             <div className="flex items-center">
+               <select
+                 aria-label={`Severity of ${item.idref}`}
+                 value={item.severity || 'default'}
+                 onChange={(e) => handleUpdateItem(item.uuid, 'severity', e.target.value)}
+                 className="text-xs border border-slate-300 rounded px-2 py-1 bg-white focus:ring-2 focus:ring-blue-100 outline-none w-full cursor-pointer"
+               >
+                 <option value="default">{entry ? `Default (${entry.severity})` : 'Default'}</option>
+                 <option value="high">High</option>
+                 <option value="medium">Medium</option>
+                 <option value="low">Low</option>
+                 <option value="info">Info</option>
+                 <option value="unknown">Unknown</option>
+               </select>
+               <div className="ml-2">
+                  <SeverityBadge severity={item.severity} />
+               </div>
+             </div>
+          ) : (
+            <span className="text-xs text-slate-400 italic">N/A</span>
+          )}
+         </div>
+
+        {/* Value Editor */}
+        <div role="gridcell" className="col-span-2">
+          {item.type === 'select' ? (
+            <div className="flex items-center gap-3">
+              <label className="inline-flex items-center cursor-pointer">
+                <input 
+                  type="checkbox" 
+                  role="switch"
+                  aria-label={`Selected: ${entry?.title || item.idref}`}
+                  className="sr-only peer"
+                  checked={item.value === 'true'}
+                  onChange={(e) => handleUpdateItem(item.uuid, 'value', e.target.checked ? 'true' : 'false')}
+                />
+                <div className="relative w-9 h-5 bg-slate-200 peer-focus:outline-none peer-focus:ring-2 peer-focus:ring-blue-100 rounded-full peer peer-checked:after:translate-x-full rtl:peer-checked:after:-translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-4 after:w-4 after:transition-all peer-checked:bg-blue-600"></div>
+              </label>
+              <span className="text-xs font-medium text-slate-600 w-12">
+                {item.value === 'true' ? 'ON' : 'OFF'}
+              </span>
+            </div>
+          ) : (
+            <ValueEditor item={item} entry={entry} onChange={(value) => handleUpdateItem(item.uuid, 'value', value)} />
+          )}
+        </div>
+
+        {/* Refinements (refine-rule / refine-value attributes) */}
+        <div role="gridcell" className="col-span-2 space-y-1">
+          {item.type === 'select' ? (
+            <>
+              <div className="flex gap-1">
+                <select
+                  aria-label={`Role of ${item.idref}`}
+                  value={item.role || ''}
+                  onChange={(e) => handleUpdateItem(item.uuid, 'role', e.target.value)}
+                  className="text-xs border border-slate-300 rounded px-1 py-1 bg-white focus:ring-2 focus:ring-blue-100 outline-none w-full cursor-pointer"
+                  title="Role"
+                >
+                  <option value="">Role: default</option>
+                  {RULE_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                </select>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  aria-label={`Weight of ${item.idref}`}
+                  value={item.weight || ''}
+                  onChange={(e) => handleUpdateItem(item.uuid, 'weight', e.target.value)}
+                  className="text-xs border border-slate-300 rounded px-1 py-1 focus:ring-2 focus:ring-blue-100 outline-none w-16"
+                  placeholder="Weight"
+                  title="Weight"
+                />
+              </div>
+              <input
+                type="text"
+                aria-label={`Selector of ${item.idref}`}
+                value={item.selector || ''}
+                onChange={(e) => handleUpdateItem(item.uuid, 'selector', e.target.value)}
+                className="text-xs border border-slate-300 rounded px-1 py-1 focus:ring-2 focus:ring-blue-100 outline-none w-full"
+                placeholder="Selector"
+                title="Selector (check, fix or description to use)"
+              />
+            </>
+          ) : (
+            <>
+              <select
+                aria-label={`Operator of ${item.idref}`}
+                value={item.operator || ''}
+                onChange={(e) => handleUpdateItem(item.uuid, 'operator', e.target.value)}
+                className="text-xs border border-slate-300 rounded px-1 py-1 bg-white focus:ring-2 focus:ring-blue-100 outline-none w-full cursor-pointer"
+                title="Operator"
+              >
+                <option value="">Operator: default</option>
+                {VALUE_OPERATORS.map(op => <option key={op} value={op}>{op}</option>)}
+              </select>
+              {entry?.selectors.length ? (
+                <select
+                  aria-label={`Selector of ${item.idref}`}
+                  value={item.selector || ''}
+                  onChange={(e) => handleUpdateItem(item.uuid, 'selector', e.target.value)}
+                  className="text-xs border border-slate-300 rounded px-1 py-1 bg-white focus:ring-2 focus:ring-blue-100 outline-none w-full cursor-pointer"
+                  title="Selector of the benchmark value to use"
+                >
+                  <option value="">Selector: none</option>
+                  {item.selector && !entry.selectors.some(({ selector }) => selector === item.selector) && (
+                    <option value={item.selector}>{item.selector} (not defined)</option>
+                  )}
+                  {entry.selectors.map(({ selector, value }) => (
+                    <option key={selector} value={selector}>{selector === value ? selector : `${selector} (${value})`}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type="text"
+                  aria-label={`Selector of ${item.idref}`}
+                  value={item.selector || ''}
+                  onChange={(e) => handleUpdateItem(item.uuid, 'selector', e.target.value)}
+                  className="text-xs border border-slate-300 rounded px-1 py-1 focus:ring-2 focus:ring-blue-100 outline-none w-full"
+                  placeholder="Selector"
+                  title="Selector of the benchmark value to use"
+                />
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Actions */}
+        <div role="gridcell" className="col-span-1 flex justify-end">
+          <button
+            onClick={() => openExceptionModal(item)}
+            className={`p-1.5 hover:bg-slate-100 rounded-md transition-colors ${
+              exception.status ? EXCEPTION_STYLES[exception.status].icon : 'text-slate-300 hover:text-slate-600'
+            }`}
+            title={exception.status
+              ? `Exception: ${exception.status}${exception.deviations.length ? ` (${exception.deviations.join(', ')})` : ''}`
+              : 'Add exception'}
+            aria-label={`Exception for ${item.idref}${exception.status ? ` (${exception.status})` : ''}`}
+          >
+            {exception.status === 'justified' ? <ShieldCheck size={16} /> : <ShieldAlert size={16} />}
+          </button>
+          <button
+            onClick={() => openAddModal(item.uuid)}
+            className="p-1.5 text-slate-300 hover:text-blue-600 hover:bg-blue-50 rounded-md transition-colors"
+            title="Insert rule after this row"
+            aria-label={`Insert rule after ${item.idref}`}
+          >
+            <ListPlus size={16} />
+          </button>
+          <button 
+            onClick={() => handleDeleteItem(item.uuid)}
+            className="p-1.5 text-slate-400 hover:text-red-600 hover:bg-red-50 rounded-md transition-colors"
+            title="Delete Rule"
+            aria-label={`Delete ${item.idref}`}
+          >
+            <Trash2 size={16} />
+          </button>
+        </div>
+      </div>
     );
-  }) || [];
+  };
 
   if (!parsedData) return <div className="p-8 text-center text-slate-500">Loading XML Parser...</div>;
 
@@ -356,21 +2690,117 @@ export default function App() {
               <FileText size={24} className="text-white" />
             </div>
             <div>
-              <h1 className="text-xl font-bold">XCCDF Tailoring Editor</h1>
-              <p className="text-xs text-slate-400">Edit CIS Benchmark Tailoring XMLs</p>
+              <h1 className="text-xl font-bold flex items-center gap-2">
+                XCCDF Tailoring Editor
+                {isDirty && (
+                  <span className="flex items-center gap-1 text-xs font-normal text-amber-300" title="There are changes that have not been exported yet">
+                    <span className="w-2 h-2 rounded-full bg-amber-400" /> Unexported changes
+                  </span>
+                )}
+                {busy && (
+                  <span className="flex items-center gap-1 text-xs font-normal text-blue-300">
+                    <RefreshCw size={12} className="animate-spin" /> {busy}
+                  </span>
+                )}
+              </h1>
+              <p className="text-xs text-slate-400">
+                {libraryDoc ? `Library: ${libraryDoc.name}` : 'Edit CIS Benchmark Tailoring XMLs'}
+                {parsedData?.xccdfVersion === '1.1' && ' · XCCDF 1.1'}
+              </p>
             </div>
           </div>
           
           <div className="flex gap-2">
+            <button
+              onClick={history.undo}
+              disabled={!history.canUndo}
+              className="p-2 rounded-md text-slate-300 hover:bg-slate-800 disabled:opacity-40 disabled:hover:bg-transparent"
+              title="Undo (Ctrl+Z)"
+            >
+              <Undo2 size={18} />
+            </button>
+            <button
+              onClick={history.redo}
+              disabled={!history.canRedo}
+              className="p-2 rounded-md text-slate-300 hover:bg-slate-800 disabled:opacity-40 disabled:hover:bg-transparent"
+              title="Redo (Ctrl+Shift+Z)"
+            >
+              <Redo2 size={18} />
+            </button>
             <input 
               type="file" 
-              accept=".xml" 
+              accept=".xml,.json" 
               ref={fileInputRef} 
               className="hidden" 
               onChange={handleFileUpload}
             />
+            <input
+              type="file"
+              accept=".xml"
+              ref={benchmarkInputRef}
+              className="hidden"
+              onChange={handleBenchmarkUpload}
+            />
+            {hasLibrary && (
+              <Button variant="secondary" icon={Library} onClick={() => setShowLibrary(open => !open)}>
+                Library
+              </Button>
+            )}
             <Button variant="secondary" icon={Upload} onClick={() => fileInputRef.current?.click()}>
-              Import XML
+              Import
+            </Button>
+            <Button variant="secondary" icon={BookOpen} onClick={() => benchmarkInputRef.current?.click()}>
+              Load Benchmark
+            </Button>
+            <input
+              type="file"
+              accept=".xml,.json"
+              ref={compareInputRef}
+              className="hidden"
+              onChange={handleCompareUpload}
+            />
+            <Button variant="secondary" icon={GitCompare} onClick={() => compareInputRef.current?.click()}>
+              Compare
+            </Button>
+            <input
+              type="file"
+              accept=".xml,.json"
+              multiple
+              ref={layersInputRef}
+              className="hidden"
+              onChange={handleLayersUpload}
+            />
+            <Button variant="secondary" icon={Layers} onClick={() => layersInputRef.current?.click()}>
+              Layers
+            </Button>
+            <input
+              type="file"
+              accept=".xml"
+              ref={scanInputRef}
+              className="hidden"
+              onChange={handleScanUpload}
+            />
+            <Button variant="secondary" icon={ClipboardCheck} onClick={() => scanInputRef.current?.click()}>
+              Load Results
+            </Button>
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              ref={csvInputRef}
+              className="hidden"
+              onChange={handleCsvUpload}
+            />
+            <Button variant="secondary" icon={FileSpreadsheet} onClick={() => csvInputRef.current?.click()}>
+              Import CSV
+            </Button>
+            <Button variant="secondary" icon={FileSpreadsheet} onClick={handleExportCsv}>
+              Export CSV
+            </Button>
+            <Button variant="secondary" icon={FileText} onClick={handleExportReport}>
+              Report
+            </Button>
+            <Button variant="secondary" icon={Download} onClick={handleExportJson}>
+              Export JSON
             </Button>
             <Button variant="success" icon={Download} onClick={handleExport}>
               Export XML
@@ -382,6 +2812,33 @@ export default function App() {
       {/* Main Content */}
       <main className="flex-1 max-w-7xl w-full mx-auto px-4 py-8">
         
+        {restoreOffer && (
+          <div className="mb-4 p-4 rounded-md flex flex-col md:flex-row md:items-center gap-3 bg-blue-50 text-blue-800 border border-blue-200 shadow-sm">
+            <History size={18} className="shrink-0" />
+            <span className="flex-1">
+              An autosaved session from {new Date(restoreOffer.savedAt).toLocaleString()} was found
+              {restoreOffer.dirty ? ' with unexported changes' : ''}. Restore it?
+            </span>
+            <div className="flex gap-2">
+              <Button className="px-3 py-1.5 text-sm" onClick={handleRestoreSession}>Restore</Button>
+              <Button variant="secondary" className="px-3 py-1.5 text-sm" onClick={handleDiscardSession}>Discard</Button>
+            </div>
+          </div>
+        )}
+
+        {libraryOffer && (
+          <div className="mb-4 p-4 rounded-md flex flex-col md:flex-row md:items-center gap-3 bg-blue-50 text-blue-800 border border-blue-200 shadow-sm">
+            <Library size={18} className="shrink-0" />
+            <span className="flex-1">
+              Add {libraryOffer.fileName} to the library? Its revisions can then be saved, compared and restored.
+            </span>
+            <div className="flex gap-2">
+              <Button className="px-3 py-1.5 text-sm" onClick={handleAddImportToLibrary}>Add to Library</Button>
+              <Button variant="secondary" className="px-3 py-1.5 text-sm" onClick={() => setLibraryOffer(null)}>Not Now</Button>
+            </div>
+          </div>
+        )}
+
         {notification && (
           <div className={`mb-4 p-4 rounded-md flex items-center gap-2 ${
             notification.type === 'error' ? 'bg-red-100 text-red-800 border-red-200' : 'bg-green-100 text-green-800 border-green-200'
@@ -391,158 +2848,408 @@ export default function App() {
           </div>
         )}
 
+        {/* Profile Switcher */}
+        <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-4">
+          <div className="flex items-center gap-2 overflow-x-auto">
+            <Layers size={18} className="text-slate-400 shrink-0" />
+            {parsedData.profiles.map(profile => (
+              <button
+                key={profile.uuid}
+                onClick={() => setActiveProfileUuid(profile.uuid)}
+                title={profile.profileId}
+                className={`px-3 py-1.5 rounded-md text-sm font-medium whitespace-nowrap border transition-colors ${
+                  profile.uuid === activeProfile.uuid
+                    ? 'bg-blue-600 border-blue-600 text-white'
+                    : 'bg-white border-slate-300 text-slate-600 hover:bg-slate-50'
+                }`}
+              >
+                {profile.profileTitle || profile.profileId}
+                <span className={`ml-2 text-xs ${profile.uuid === activeProfile.uuid ? 'text-blue-100' : 'text-slate-400'}`}>
+                  {profile.items.length}
+                </span>
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-2 shrink-0">
+            <Button variant="secondary" icon={Plus} className="px-3 py-1.5 text-sm" onClick={() => openProfileModal('create')}>New</Button>
+            <Button variant="secondary" icon={Copy} className="px-3 py-1.5 text-sm" onClick={() => openProfileModal('clone')}>Clone</Button>
+            <Button variant="secondary" icon={Pencil} className="px-3 py-1.5 text-sm" onClick={() => openProfileModal('rename')}>Rename</Button>
+            <Button variant="danger" icon={Trash2} className="px-3 py-1.5 text-sm" onClick={handleDeleteProfile}>Delete</Button>
+          </div>
+        </div>
+
         {/* Profile Meta Card */}
         <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-6 mb-6">
           <div className="flex justify-between items-start mb-4">
             <div>
-              <h2 className="text-2xl font-bold text-slate-800 mb-1">{parsedData.profileTitle}</h2>
-              <p className="text-slate-500 text-sm">Base Profile ID: <code className="bg-slate-100 px-1 py-0.5 rounded text-xs">{parsedData.profileExtends}</code></p>
+              <h2 className="text-2xl font-bold text-slate-800 mb-1 flex items-center gap-2">
+                {activeProfile.profileTitle}
+                <button onClick={openMetaModal} className="text-slate-400 hover:text-blue-600" title="Edit document and profile details">
+                  <Pencil size={16} />
+                </button>
+              </h2>
+              <p className="text-slate-500 text-sm">Profile ID: <code className="bg-slate-100 px-1 py-0.5 rounded text-xs">{activeProfile.profileId}</code></p>
+              <p className="text-slate-500 text-sm">Base Profile ID: <code className="bg-slate-100 px-1 py-0.5 rounded text-xs">{activeProfile.profileExtends}</code></p>
+              {activeProfile.layers?.length > 0 && (
+                <p className="text-slate-500 text-sm flex items-center gap-1">
+                  <Layers size={14} /> Merged from: {activeProfile.layers.join(' → ')}
+                </p>
+              )}
             </div>
             <div className="text-right text-xs text-slate-400">
+              <p>Tailoring: <code>{parsedData.tailoringId}</code></p>
               <p>Benchmark: {parsedData.benchmark}</p>
-              <p>Version: {parsedData.version}</p>
+              <p className="flex items-center justify-end gap-2">
+                Version: {parsedData.version}
+                <button onClick={handleBumpVersion} className="text-blue-600 hover:underline" title="Increment the version number">
+                  Bump
+                </button>
+              </p>
+              <p title="The version@time stamp written on export">
+                {parsedData.keepVersionTime && parsedData.versionTime
+                  ? `Time: ${parsedData.versionTime} (kept on export)`
+                  : 'Time: set to now on export'}
+              </p>
+              {scan && (
+                <p className="flex items-center justify-end gap-1 mt-1 text-slate-500" title={scan.profileId}>
+                  <ClipboardCheck size={12} />
+                  Scan {scan.target && `of ${scan.target} `}{scan.time && `at ${scan.time.replace('T', ' ')} `}
+                  ({['pass', 'fail', 'notapplicable'].map(result =>
+                    `${Array.from(scan.results.values()).filter(r => r === result).length} ${result}`
+                  ).join(', ')})
+                  <button onClick={() => { setScan(null); setScanFilter('all'); }} className="hover:text-red-600" title="Unload scan results">
+                    <X size={12} />
+                  </button>
+                </p>
+              )}
+              {catalog ? (
+                <p className="flex items-center justify-end gap-1 mt-1 text-slate-500">
+                  <BookOpen size={12} />
+                  {catalog.title} ({catalog.rules.size} rules, {catalog.values.size} values)
+                  <button onClick={handleUnloadBenchmark} className="hover:text-red-600" title="Unload benchmark">
+                    <X size={12} />
+                  </button>
+                </p>
+              ) : (
+                <p className="mt-1">
+                  No benchmark loaded
+                  {parsedData.benchmark && ` (expected ${parsedData.benchmark.split('/').pop()})`}
+                </p>
+              )}
             </div>
           </div>
           <p className="text-slate-600 leading-relaxed bg-slate-50 p-4 rounded-md border border-slate-100">
-            {parsedData.profileDesc}
+            {activeProfile.profileDesc}
           </p>
         </div>
 
-        {/* Toolbar */}
-        <div className="flex flex-col md:flex-row justify-between items-center gap-4 mb-6">
-          <div className="relative w-full md:w-96">
-            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-slate-400" size={18} />
-            <input 
-              type="text"
-              placeholder="Search rules by ID or description..."
-              className="w-full pl-10 pr-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-all"
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-            />
-          </div>
-          
-          <Button icon={Plus} onClick={() => setIsAddModalOpen(true)}>
-            Add New Rule
-          </Button>
-        </div>
+        {/* Validation Panel */}
+        <ValidationPanel
+          issues={issues}
+          profiles={parsedData.profiles}
+          onSelect={handleSelectIssue}
+        />
 
-        {/* Rules List */}
-        <div className="bg-white rounded-lg shadow-sm border border-slate-200 overflow-hidden">
-          <div className="grid grid-cols-12 bg-slate-100 p-4 border-b border-slate-200 text-xs font-semibold text-slate-500 uppercase tracking-wider">
-            <div className="col-span-1 text-center">Type</div>
-            <div className="col-span-6">Rule Description & ID</div>
-            <div className="col-span-2">Severity</div>
-            <div className="col-span-2">Value</div>
-            <div className="col-span-1 text-right">Actions</div>
+        {showLibrary ? (
+          <LibraryView
+            currentId={libraryDoc ? libraryDoc.id : null}
+            onOpen={handleOpenDocument}
+            onRestore={handleRestoreRevision}
+            onCompare={handleCompareRevision}
+            onSaveRevision={handleSaveRevision}
+            onDeleted={handleLibraryDocumentDeleted}
+            onRenamed={handleLibraryDocumentRenamed}
+            onError={handleLibraryError}
+            onClose={() => setShowLibrary(false)}
+          />
+        ) : compare ? (
+          <CompareView
+            leftData={parsedData}
+            leftProfile={activeProfile}
+            leftName="Current document"
+            rightData={compare.data}
+            rightName={compare.fileName}
+            titleOf={(item) => item.comment || lookupCatalog(item.type, item.idref)?.title}
+            onApply={handleApplyMerge}
+            onError={(message) => notify('error', message)}
+            onClose={() => setCompare(null)}
+          />
+        ) : layering ? (
+          <LayersView
+            layers={layering.layers.map(layer => (layer.id === 'current'
+              ? { id: 'current', name: parsedData.tailoringId || 'Current document', data: parsedData, profileUuid: activeProfile.uuid }
+              : layer))}
+            baseData={parsedData}
+            baseProfile={activeProfile}
+            titleOf={(conflict) => activeProfile.items.find(item => item.type === conflict.type && item.idref === conflict.idref)?.comment
+              || lookupCatalog(conflict.type, conflict.idref)?.title}
+            onMove={handleMoveLayer}
+            onRemove={handleRemoveLayer}
+            onSetProfile={handleSetLayerProfile}
+            onAddLayers={() => layersInputRef.current?.click()}
+            onApply={handleApplyLayers}
+            onError={(message) => notify('error', message)}
+            onClose={() => setLayering(null)}
+          />
+        ) : (
+          <>
+          {/* Toolbar */}
+          <div className="flex flex-col md:flex-row justify-between items-center gap-4 mb-6">
+            <div className="relative w-full md:w-96">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-slate-400" size={18} />
+              <input 
+                type="text"
+                placeholder="Search, e.g. severity:high section:1.1.* NOT selected:no"
+                title={SEARCH_HELP}
+                className={`w-full pl-10 pr-10 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-all ${
+                  query.error ? 'border-red-300' : 'border-slate-300'
+                }`}
+                aria-label="Search rules"
+                aria-keyshortcuts="/"
+                value={searchTerm}
+                ref={searchInputRef}
+                onChange={(e) => setSearchTerm(e.target.value)}
+              />
+              {searchTerm && (
+                <button
+                  onClick={handleSaveFilter}
+                  className="absolute right-3 top-1/2 transform -translate-y-1/2 text-slate-400 hover:text-blue-600"
+                  title="Save this search as a filter"
+                >
+                  <BookmarkPlus size={18} />
+                </button>
+              )}
+            </div>
+          
+            <div className="flex items-center gap-2">
+              {scan && (
+                <>
+                  <select
+                    value={scanFilter}
+                    onChange={(e) => setScanFilter(e.target.value)}
+                    className="text-sm border border-slate-300 rounded-md px-2 py-2 bg-white outline-none cursor-pointer"
+                    title="Filter by scan result"
+                  >
+                    <option value="all">All results</option>
+                    <option value="fail">Failing</option>
+                    <option value="fail-selected">Failing &amp; still selected</option>
+                    <option value="pass">Passing</option>
+                    <option value="notapplicable">Not applicable</option>
+                    <option value="error">Error / unknown</option>
+                    <option value="missing">Not in scan</option>
+                  </select>
+                  <Button variant="danger" icon={XCircle} onClick={handleDeselectFailing}>
+                    Deselect Failing
+                  </Button>
+                </>
+              )}
+              <div className="flex rounded-md border border-slate-300 overflow-hidden">
+                <button
+                  onClick={() => setViewMode('list')}
+                  className={`p-2 ${viewMode === 'list' ? 'bg-slate-200 text-slate-900' : 'bg-white text-slate-500 hover:bg-slate-50'}`}
+                  title="Flat list in file order"
+                >
+                  <List size={16} />
+                </button>
+                <button
+                  onClick={() => setViewMode('tree')}
+                  className={`p-2 ${viewMode === 'tree' ? 'bg-slate-200 text-slate-900' : 'bg-white text-slate-500 hover:bg-slate-50'}`}
+                  title="Group by CIS section"
+                >
+                  <ListTree size={16} />
+                </button>
+                <button
+                  onClick={() => setViewMode('exceptions')}
+                  className={`p-2 ${viewMode === 'exceptions' ? 'bg-slate-200 text-slate-900' : 'bg-white text-slate-500 hover:bg-slate-50'}`}
+                  title="Exceptions and deviations"
+                >
+                  <ShieldAlert size={16} />
+                </button>
+                {catalog && (
+                  <button
+                    onClick={() => setViewMode('effective')}
+                    className={`p-2 ${viewMode === 'effective' ? 'bg-slate-200 text-slate-900' : 'bg-white text-slate-500 hover:bg-slate-50'}`}
+                    title="Effective profile: the base profile with this tailoring applied"
+                  >
+                    <ListChecks size={16} />
+                  </button>
+                )}
+              </div>
+              <Button variant="secondary" icon={ArrowDown01} onClick={handleSortBySection}>
+                Sort by Section
+              </Button>
+              <Button icon={Plus} onClick={() => openAddModal()}>
+                Add New Rule
+              </Button>
+            </div>
           </div>
 
-          <div className="divide-y divide-slate-100">
-            {filteredItems.length === 0 ? (
-              <div className="p-8 text-center text-slate-400">
-                No rules found matching your search.
-              </div>
-            ) : (
-              filteredItems.map((item) => (
-                <div key={item.uuid} className="grid grid-cols-12 p-4 items-center hover:bg-slate-50 transition-colors gap-4">
-                  
-                  {/* Type Badge */}
-                  <div className="col-span-1 flex justify-center">
-                    <span className={`text-[10px] font-bold px-2 py-1 rounded-full uppercase ${
-                      item.type === 'select' ? 'bg-blue-100 text-blue-700' : 'bg-purple-100 text-purple-700'
-                    }`}>
-                      {item.type === 'select' ? 'Rule' : 'Var'}
-                    </span>
-                  </div>
+          {/* Query problems and saved filters */}
+          {(query.error || savedFilters.length > 0) && (
+            <div className="flex flex-wrap items-center gap-2 -mt-3 mb-4 text-sm">
+              {query.error && (
+                <span className="flex items-center gap-1 text-red-600 mr-2">
+                  <AlertTriangle size={14} /> {query.error} Matching the text as typed.
+                </span>
+              )}
+              {savedFilters.map(filter => {
+                const isActive = filter.query === searchTerm;
+                return (
+                  <span
+                    key={filter.name}
+                    className={`flex items-center gap-1 pl-3 pr-2 py-1 rounded-full border ${
+                      isActive ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-slate-300 text-slate-700 hover:bg-slate-50'
+                    }`}
+                  >
+                    <button onClick={() => setSearchTerm(isActive ? '' : filter.query)} title={filter.query}>
+                      {filter.name}
+                    </button>
+                    <button
+                      onClick={() => handleDeleteFilter(filter.name)}
+                      className={isActive ? 'text-blue-100 hover:text-white' : 'text-slate-400 hover:text-red-600'}
+                      title={`Remove saved filter "${filter.name}"`}
+                    >
+                      <X size={12} />
+                    </button>
+                  </span>
+                );
+              })}
+            </div>
+          )}
 
-                  {/* Description & ID */}
-                  <div className="col-span-6 overflow-hidden">
-                    <input 
-                      type="text" 
-                      className="w-full font-medium text-slate-800 bg-transparent border-none p-0 focus:ring-0 mb-1 truncate placeholder-slate-400"
-                      value={item.comment}
-                      onChange={(e) => handleUpdateItem(item.uuid, 'comment', e.target.value)}
-                      placeholder="No description (Add a comment)"
-                    />
-                    <div className="text-xs text-slate-500 font-mono truncate" title={item.idref}>
-                      {item.idref}
-                    </div>
-                  </div>
+          {/* Bulk Actions */}
+          {selectedItems.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm">
+              <span className="font-medium text-blue-800 mr-2">
+                {selectedItems.length} selected
+                {hiddenSelectedCount > 0 && (
+                  <span className="font-normal text-blue-600"> ({hiddenSelectedCount} hidden by search)</span>
+                )}
+              </span>
+              <Button variant="secondary" className="px-3 py-1 text-sm" onClick={() => handleBulkRuleField('value', 'true', 'Selected')}>Enable</Button>
+              <Button variant="secondary" className="px-3 py-1 text-sm" onClick={() => handleBulkRuleField('value', 'false', 'Deselected')}>Disable</Button>
+              <select
+                value=""
+                onChange={(e) => handleBulkRuleField('severity', e.target.value, `Severity set to ${e.target.value}`)}
+                className="text-sm border border-slate-300 rounded px-2 py-1 bg-white outline-none cursor-pointer"
+              >
+                <option value="" disabled>Set severity...</option>
+                <option value="default">Default</option>
+                <option value="high">High</option>
+                <option value="medium">Medium</option>
+                <option value="low">Low</option>
+                <option value="info">Info</option>
+              </select>
+              <select
+                value="-"
+                onChange={(e) => handleBulkRuleField('role', e.target.value, `Role set to ${e.target.value || 'default'}`)}
+                className="text-sm border border-slate-300 rounded px-2 py-1 bg-white outline-none cursor-pointer"
+              >
+                <option value="-" disabled>Set role...</option>
+                <option value="">Default</option>
+                {RULE_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+              </select>
+              <Button
+                variant="secondary"
+                icon={Replace}
+                className="px-3 py-1 text-sm"
+                onClick={() => setReplaceForm({ find: '', replace: '', useRegex: false, matchCase: false })}
+              >
+                Find &amp; Replace
+              </Button>
+              <Button variant="danger" icon={Trash2} className="px-3 py-1 text-sm" onClick={handleBulkDelete}>Delete</Button>
+              <button onClick={() => setSelectedUuids(new Set())} className="ml-auto text-blue-700 hover:underline">
+                Clear selection
+              </button>
+            </div>
+          )}
 
-                   {/* Severity Selector (Only for Rules) */}
-                   <div className="col-span-2">
-                    {item.type === 'select' ? (
-                       <div className="flex items-center">
-                         <select
-                           value={item.severity || 'default'}
-                           onChange={(e) => handleUpdateItem(item.uuid, 'severity', e.target.value)}
-                           className="text-xs border border-slate-300 rounded px-2 py-1 bg-white focus:ring-2 focus:ring-blue-100 outline-none w-full cursor-pointer"
-                         >
-                           <option value="default">Default</option>
-                           <option value="high">High</option>
-                           <option value="medium">Medium</option>
-                           <option value="low">Low</option>
-                           <option value="info">Info</option>
-                         </select>
-                         <div className="ml-2">
-                            <SeverityBadge severity={item.severity} />
-                         </div>
-                       </div>
-                    ) : (
-                      <span className="text-xs text-slate-400 italic">N/A</span>
-                    )}
-                   </div>
-
-                  {/* Value Editor */}
-                  <div className="col-span-2">
-                    {item.type === 'select' ? (
-                      <div className="flex items-center gap-3">
-                        <label className="inline-flex items-center cursor-pointer">
-                          <input 
-                            type="checkbox" 
-                            className="sr-only peer"
-                            checked={item.value === 'true'}
-                            onChange={(e) => handleUpdateItem(item.uuid, 'value', e.target.checked ? 'true' : 'false')}
-                          />
-                          <div className="relative w-9 h-5 bg-slate-200 peer-focus:outline-none peer-focus:ring-2 peer-focus:ring-blue-100 rounded-full peer peer-checked:after:translate-x-full rtl:peer-checked:after:-translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-4 after:w-4 after:transition-all peer-checked:bg-blue-600"></div>
-                        </label>
-                        <span className="text-xs font-medium text-slate-600 w-12">
-                          {item.value === 'true' ? 'ON' : 'OFF'}
-                        </span>
-                      </div>
-                    ) : (
-                      <input 
-                        type="text" 
-                        className="w-full px-2 py-1 text-sm border border-slate-300 rounded focus:ring-2 focus:ring-blue-500 outline-none"
-                        value={item.value}
-                        onChange={(e) => handleUpdateItem(item.uuid, 'value', e.target.value)}
-                      />
-                    )}
-                  </div>
+          {viewMode === 'exceptions' ? (
+            <ExceptionsView rows={exceptionRows} onEdit={openExceptionModal} />
+          ) : viewMode === 'effective' && resolution ? (
+            <EffectiveView
+              resolution={resolution}
+              baseLabel={catalog.profiles.get(activeProfile.profileExtends)?.title || activeProfile.profileExtends || `the defaults of ${catalog.title}`}
+              onCleanup={handleRemoveRedundant}
+              onExport={handleExportResolved}
+            />
+          ) : (
+          /* Rules List */
+          <>
+          <p id="grid-keys" className="mb-2 text-xs text-slate-400">
+            Keyboard: ↑/↓ Home/End move between rows, Space turns a rule on/off, Shift+Space selects, 1–5 set severity (unknown to high), 0 resets it,
+            Enter edits, Escape goes back to the row, Delete removes (Ctrl+Z undoes), Alt+↑/↓ reorders,
+            a adds a rule after the row, / searches.
+          </p>
+          <div
+            role="grid"
+            aria-label={`Rules of ${activeProfile?.profileTitle || 'the profile'}`}
+            aria-rowcount={(listRows.length || 1) + 1}
+            aria-describedby="grid-keys"
+            className="bg-white rounded-lg shadow-sm border border-slate-200 overflow-hidden"
+          >
+            <div role="row" aria-rowindex={1} className="grid grid-cols-12 bg-slate-100 p-4 border-b border-slate-200 text-xs font-semibold text-slate-500 uppercase tracking-wider">
+              <div role="columnheader" className="col-span-1 flex items-center justify-center gap-2">
+                <input
+                  type="checkbox"
+                  ref={(el) => {
+                    if (el) el.indeterminate = visibleSelectedCount > 0 && visibleSelectedCount < filteredItems.length;
+                  }}
+                  checked={filteredItems.length > 0 && visibleSelectedCount === filteredItems.length}
+                  onChange={handleToggleSelectAll}
+                  title="Select all rules matching the search"
+                  aria-label="Select all rules matching the search"
+                  className="cursor-pointer"
+                />
+                Type
+              </div>
+              <div role="columnheader" className="col-span-4">Rule Description & ID</div>
+              <div role="columnheader" className="col-span-2">Severity</div>
+              <div role="columnheader" className="col-span-2">Value</div>
+              <div role="columnheader" className="col-span-2">Refinements</div>
+              <div role="columnheader" className="col-span-1 text-right">Actions</div>
+            </div>
 
-                  {/* Actions */}
-                  <div className="col-span-1 flex justify-end">
-                    <button 
-                      onClick={() => handleDeleteItem(item.uuid)}
-                      className="p-1.5 text-slate-400 hover:text-red-600 hover:bg-red-50 rounded-md transition-colors"
-                      title="Delete Rule"
-                    >
-                      <Trash2 size={16} />
-                    </button>
-                  </div>
-                </div>
-              ))
+            {filteredItems.length === 0 ? (
+              <div role="row" aria-rowindex={2} className="p-8 text-center text-slate-400">
+                <span role="gridcell">No rules found matching your search.</span>
+              </div>
+            ) : (
+              <VirtualList
+                rows={listRows}
+                scrollTo={scrollTarget}
+                renderRow={row => (row.item ? renderItemRow(row.item) : (
+                  <SectionHeader
+                    node={row.node}
+                    depth={row.depth}
+                    rowIndex={rowIndexes.get(row.key)}
+                    isCollapsed={collapsedSections.has(row.sectionKey)}
+                    onToggle={() => handleToggleSection(row.sectionKey)}
+                    onSetSelection={handleSetSectionSelection}
+                  />
+                ))}
+              />
             )}
           </div>
-        </div>
+          </>
+          )}
+          </>
+        )}
       </main>
 
       {/* Add Rule Modal */}
       <Modal 
         isOpen={isAddModalOpen} 
         onClose={() => setIsAddModalOpen(false)}
-        title="Add New Tailoring Rule"
+        title={insertAfter ? 'Insert Tailoring Rule' : 'Add New Tailoring Rule'}
+        wide={!!catalog}
       >
         <div className="space-y-4">
+          {insertAfter && (
+            <p className="text-sm text-slate-500">
+              Goes after <span className="font-mono text-slate-700">{activeProfile?.items.find(item => item.uuid === insertAfter)?.idref}</span>.
+            </p>
+          )}
           <div>
             <label className="block text-sm font-medium text-slate-700 mb-1">Rule Type</label>
             <div className="flex gap-4">
@@ -574,6 +3281,26 @@ export default function App() {
             </div>
           </div>
 
+          {catalog ? (
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">
+                Benchmark Catalog ({newRuleType === 'select' ? 'Rules' : 'Values'})
+              </label>
+              <CatalogPicker
+                key={newRuleType}
+                catalog={catalog}
+                type={newRuleType}
+                selectedId={newRuleId}
+                existingIds={new Set(activeProfile.items.map(item => item.idref))}
+                onPick={handlePickCatalogEntry}
+              />
+            </div>
+          ) : (
+            <p className="text-xs text-slate-500 bg-slate-50 border border-slate-200 rounded p-2">
+              Load the benchmark or datastream this tailoring extends to search its rules and values instead of typing IDs by hand.
+            </p>
+          )}
+
           <div>
             <label className="block text-sm font-medium text-slate-700 mb-1">XCCDF ID Reference</label>
             <input 
@@ -608,6 +3335,13 @@ export default function App() {
                   <option value="true">True (Selected)</option>
                   <option value="false">False (Unselected)</option>
                 </select>
+              ) : lookupCatalog('set-value', newRuleId) ? (
+                <ValueEditor
+                  key={newRuleId}
+                  item={{ uuid: 'new', value: newRuleValue, selector: '', operator: '' }}
+                  entry={lookupCatalog('set-value', newRuleId)}
+                  onChange={(value) => setNewRuleValue(value ?? '')}
+                />
               ) : (
                 <input 
                   type="text" 
@@ -644,6 +3378,390 @@ export default function App() {
         </div>
       </Modal>
 
+      {/* Comment Find & Replace Modal */}
+      <Modal
+        isOpen={!!replaceForm}
+        onClose={() => setReplaceForm(null)}
+        title={`Find & Replace in ${selectedItems.length} Comment${selectedItems.length === 1 ? '' : 's'}`}
+      >
+        {replaceForm && (
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Find</label>
+              <input
+                type="text"
+                className="w-full p-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500 outline-none text-sm font-mono"
+                value={replaceForm.find}
+                onChange={(e) => setReplaceForm({ ...replaceForm, find: e.target.value })}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Replace with</label>
+              <input
+                type="text"
+                className="w-full p-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500 outline-none text-sm font-mono"
+                value={replaceForm.replace}
+                onChange={(e) => setReplaceForm({ ...replaceForm, replace: e.target.value })}
+              />
+            </div>
+            <div className="flex gap-4 text-sm text-slate-700">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  checked={replaceForm.useRegex}
+                  onChange={(e) => setReplaceForm({ ...replaceForm, useRegex: e.target.checked })}
+                />
+                Regular expression
+              </label>
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  checked={replaceForm.matchCase}
+                  onChange={(e) => setReplaceForm({ ...replaceForm, matchCase: e.target.checked })}
+                />
+                Match case
+              </label>
+            </div>
+            {replaceForm.find && (replacePattern ? (
+              <div className="text-xs text-slate-500 space-y-1">
+                <p>{replaceMatches.length} of {selectedItems.length} selected comments match.</p>
+                {replaceMatches.slice(0, 3).map(item => (
+                  <p key={item.uuid} className="font-mono truncate">
+                    {item.comment} → {item.comment.replace(replacePattern, replaceForm.replace)}
+                  </p>
+                ))}
+              </div>
+            ) : (
+              <p className="text-xs text-red-600">Invalid regular expression.</p>
+            ))}
+            <div className="pt-4 flex justify-end gap-2">
+              <Button variant="secondary" onClick={() => setReplaceForm(null)}>Cancel</Button>
+              <Button variant="primary" onClick={handleBulkReplace}>Replace All</Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      {/* Exception Modal */}
+      <Modal isOpen={!!exceptionForm} onClose={() => setExceptionForm(null)} title="Rule Exception">
+        {exceptionForm && (
+          <div className="space-y-4">
+            <p className="font-mono text-xs text-slate-500 break-all">{exceptionForm.idref}</p>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Justification</label>
+              <textarea
+                rows={3}
+                className="w-full p-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500 outline-none text-sm"
+                placeholder="Why this rule deviates from the baseline"
+                value={exceptionForm.justification}
+                onChange={(e) => setExceptionForm({ ...exceptionForm, justification: e.target.value })}
+              />
+            </div>
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Owner</label>
+                <input
+                  type="text"
+                  className="w-full p-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500 outline-none text-sm"
+                  value={exceptionForm.owner}
+                  onChange={(e) => setExceptionForm({ ...exceptionForm, owner: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Ticket</label>
+                <input
+                  type="text"
+                  className="w-full p-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500 outline-none text-sm"
+                  placeholder="e.g. SEC-1234"
+                  value={exceptionForm.ticket}
+                  onChange={(e) => setExceptionForm({ ...exceptionForm, ticket: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Expires</label>
+                <input
+                  type="date"
+                  className="w-full p-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500 outline-none text-sm"
+                  value={exceptionForm.expires}
+                  onChange={(e) => setExceptionForm({ ...exceptionForm, expires: e.target.value })}
+                />
+              </div>
+            </div>
+            <div className="pt-4 flex justify-between gap-2">
+              <Button
+                variant="danger"
+                icon={Trash2}
+                onClick={() => setExceptionForm({ ...exceptionForm, justification: '', owner: '', ticket: '', expires: '' })}
+              >
+                Clear
+              </Button>
+              <div className="flex gap-2">
+                <Button variant="secondary" onClick={() => setExceptionForm(null)}>Cancel</Button>
+                <Button variant="primary" onClick={handleSaveException}>Save</Button>
+              </div>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      {/* CSV Import Preview Modal */}
+      <Modal isOpen={!!csvImport} onClose={() => setCsvImport(null)} title={`Import ${csvImport?.fileName || 'CSV'}`} wide>
+        {csvImport && (
+          <div className="space-y-4">
+            <p className="text-sm text-slate-600">
+              Changes to <span className="font-semibold">{activeProfile.profileTitle || activeProfile.profileId}</span>.
+              Untick anything that should not be applied.
+            </p>
+            {csvImport.meta.profile_id && csvImport.meta.profile_id !== activeProfile.profileId && (
+              <p className="text-sm p-2 rounded bg-amber-50 border border-amber-200 text-amber-800 flex items-center gap-2">
+                <AlertTriangle size={14} /> This CSV was exported from {csvImport.meta.profile_id}.
+              </p>
+            )}
+            {csvImport.ignoredMeta.length > 0 && (
+              <p className="text-sm p-2 rounded bg-amber-50 border border-amber-200 text-amber-800 flex items-center gap-2">
+                <AlertTriangle size={14} /> The CSV rows for {csvImport.ignoredMeta.join(' and ')} differ from this document and are not imported; change them in Edit Details.
+              </p>
+            )}
+            {csvImport.errors.length > 0 && (
+              <ul className="text-xs p-2 rounded bg-red-50 border border-red-200 text-red-700 max-h-24 overflow-y-auto space-y-0.5">
+                {csvImport.errors.map((error, index) => <li key={index}>{error}</li>)}
+              </ul>
+            )}
+            {csvImport.changes.length + csvImport.metaChanges.length === 0 ? (
+              <p className="text-sm text-slate-400 text-center py-6">The CSV matches the current profile.</p>
+            ) : (
+              <ul className="max-h-96 overflow-y-auto divide-y divide-slate-100 border border-slate-200 rounded">
+                {csvImport.metaChanges.map(change => (
+                  <li key={change.key} className="flex items-start gap-3 p-2 text-sm">
+                    <input
+                      type="checkbox"
+                      className="mt-1 cursor-pointer"
+                      checked={csvImport.accepted.has(change.key)}
+                      onChange={() => toggleCsvChange(change.key)}
+                    />
+                    <span className={`text-[10px] font-bold px-2 py-0.5 rounded uppercase ${CHANGE_STYLES.changed}`}>
+                      profile
+                    </span>
+                    <p className="text-xs text-slate-500 min-w-0">
+                      {change.label}: {change.left || '(unset)'} → {change.right || '(unset)'}
+                    </p>
+                  </li>
+                ))}
+                {csvImport.changes.map(change => (
+                  <li key={change.key} className="flex items-start gap-3 p-2 text-sm">
+                    <input
+                      type="checkbox"
+                      className="mt-1 cursor-pointer"
+                      checked={csvImport.accepted.has(change.key)}
+                      onChange={() => toggleCsvChange(change.key)}
+                    />
+                    <span className={`text-[10px] font-bold px-2 py-0.5 rounded uppercase ${CHANGE_STYLES[change.kind]}`}>
+                      {change.kind}
+                    </span>
+                    <div className="min-w-0">
+                      <p className="font-mono text-xs text-slate-700 truncate">{change.idref}</p>
+                      <p className="text-xs text-slate-500">
+                        {change.kind === 'changed'
+                          ? change.fields.map(f => `${f.label}: ${f.left || '(unset)'} → ${f.right || '(unset)'}`).join('; ')
+                          : describeItem(change.left || change.right)}
+                      </p>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="pt-2 flex justify-end gap-2">
+              <Button variant="secondary" onClick={() => setCsvImport(null)}>Cancel</Button>
+              <Button variant="primary" onClick={handleApplyCsv} disabled={csvImport.accepted.size === 0}>
+                Apply {csvImport.accepted.size} Change{csvImport.accepted.size === 1 ? '' : 's'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      {/* Document & Profile Details Modal */}
+      <Modal isOpen={!!metaForm} onClose={() => setMetaForm(null)} title="Edit Details">
+        {metaForm && (
+          <div className="space-y-4">
+            <h4 className="text-xs font-semibold text-slate-500 uppercase tracking-wider">Tailoring</h4>
+            {[
+              ['tailoringId', 'Tailoring ID', 'xccdf_org.example_tailoring_...', true],
+              ['benchmark', 'Benchmark href', 'ssg-ubuntu2204-ds.xml', true]
+            ].map(([field, label, placeholder, mono]) => (
+              <div key={field}>
+                <label className="block text-sm font-medium text-slate-700 mb-1">{label}</label>
+                <input
+                  type="text"
+                  className={`w-full p-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500 outline-none text-sm ${mono ? 'font-mono' : ''}`}
+                  placeholder={placeholder}
+                  value={metaForm[field]}
+                  onChange={(e) => setMetaForm({ ...metaForm, [field]: e.target.value })}
+                />
+              </div>
+            ))}
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Version</label>
+                <div className="flex gap-1">
+                  <input
+                    type="text"
+                    className="w-full p-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500 outline-none text-sm"
+                    value={metaForm.version}
+                    onChange={(e) => setMetaForm({ ...metaForm, version: e.target.value })}
+                  />
+                  <Button
+                    variant="secondary"
+                    className="px-2 text-sm"
+                    onClick={() => setMetaForm({ ...metaForm, version: bumpVersion(metaForm.version) })}
+                  >
+                    +1
+                  </Button>
+                </div>
+              </div>
+              <div className="col-span-2">
+                <label className="block text-sm font-medium text-slate-700 mb-1">Version time</label>
+                <input
+                  type="text"
+                  className="w-full p-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500 outline-none text-sm font-mono disabled:bg-slate-50 disabled:text-slate-400"
+                  placeholder="2024-03-01T12:00:00"
+                  value={metaForm.versionTime}
+                  disabled={!metaForm.keepVersionTime}
+                  onChange={(e) => setMetaForm({ ...metaForm, versionTime: e.target.value })}
+                />
+                <label className="flex items-center mt-1 text-xs text-slate-600">
+                  <input
+                    type="checkbox"
+                    className="mr-2"
+                    checked={metaForm.keepVersionTime}
+                    onChange={(e) => setMetaForm({ ...metaForm, keepVersionTime: e.target.checked })}
+                  />
+                  Keep this time on export (otherwise it is set to the export time)
+                </label>
+              </div>
+            </div>
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">XCCDF version</label>
+                <select
+                  className="w-full p-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500 outline-none text-sm bg-white cursor-pointer"
+                  value={metaForm.xccdfVersion}
+                  onChange={(e) => setMetaForm({ ...metaForm, xccdfVersion: e.target.value })}
+                >
+                  <option value="1.2">1.2</option>
+                  <option value="1.1">1.1</option>
+                </select>
+              </div>
+              {metaForm.xccdfVersion === '1.2' && parsedData.xccdfVersion === '1.1' && (
+                <div className="col-span-2">
+                  <label className="block text-sm font-medium text-slate-700 mb-1">ID namespace (reverse DNS)</label>
+                  <input
+                    type="text"
+                    className="w-full p-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500 outline-none text-sm font-mono"
+                    value={metaForm.idNamespace}
+                    onChange={(e) => setMetaForm({ ...metaForm, idNamespace: e.target.value })}
+                  />
+                </div>
+              )}
+            </div>
+            {metaForm.xccdfVersion !== (parsedData.xccdfVersion || '1.2') && (
+              <p className="text-xs text-amber-700">
+                {metaForm.xccdfVersion === '1.2'
+                  ? `Saving converts the document to XCCDF 1.2: IDs become xccdf_${metaForm.idNamespace}_<kind>_<id>. 1.1 IDs do not tell groups from rules, so every selection gets a rule ID.`
+                  : 'Saving converts the document to XCCDF 1.1: IDs lose their xccdf_<reverse-DNS>_<kind>_ prefix and the Tailoring element moves to the OpenSCAP 1.1 namespace.'}
+              </p>
+            )}
+
+            <h4 className="text-xs font-semibold text-slate-500 uppercase tracking-wider pt-2">Active Profile</h4>
+            {[
+              ['profileId', 'Profile ID', 'xccdf_org.ssgproject.content_profile_...', true],
+              ['profileExtends', 'Extends (Base Profile ID)', 'xccdf_org.ssgproject.content_profile_...', true],
+              ['profileTitle', 'Title', 'e.g. CIS Ubuntu 22.04 Level 1 Workstation [CUSTOMIZED]', false]
+            ].map(([field, label, placeholder, mono]) => (
+              <div key={field}>
+                <label className="block text-sm font-medium text-slate-700 mb-1">{label}</label>
+                <input
+                  type="text"
+                  className={`w-full p-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500 outline-none text-sm ${mono ? 'font-mono' : ''}`}
+                  placeholder={placeholder}
+                  value={metaForm[field]}
+                  onChange={(e) => setMetaForm({ ...metaForm, [field]: e.target.value })}
+                />
+              </div>
+            ))}
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Description</label>
+              <textarea
+                rows={3}
+                className="w-full p-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500 outline-none text-sm"
+                value={metaForm.profileDesc}
+                onChange={(e) => setMetaForm({ ...metaForm, profileDesc: e.target.value })}
+              />
+            </div>
+
+            <div className="pt-4 flex justify-end gap-2">
+              <Button variant="secondary" onClick={() => setMetaForm(null)}>Cancel</Button>
+              <Button variant="primary" onClick={handleSaveMeta}>Save</Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      {/* Profile Create/Clone/Rename Modal */}
+      <Modal
+        isOpen={!!profileForm}
+        onClose={() => setProfileForm(null)}
+        title={{ create: 'New Profile', clone: 'Clone Profile', rename: 'Rename Profile' }[profileForm?.mode]}
+      >
+        {profileForm && (
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Profile ID</label>
+              <input
+                type="text"
+                className="w-full p-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500 outline-none font-mono text-sm"
+                placeholder="xccdf_org.ssgproject.content_profile_..."
+                value={profileForm.profileId}
+                onChange={(e) => setProfileForm({ ...profileForm, profileId: e.target.value })}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Title</label>
+              <input
+                type="text"
+                className="w-full p-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500 outline-none text-sm"
+                placeholder="e.g. CIS Ubuntu 22.04 Level 1 Workstation [CUSTOMIZED]"
+                value={profileForm.profileTitle}
+                onChange={(e) => setProfileForm({ ...profileForm, profileTitle: e.target.value })}
+              />
+            </div>
+
+            {profileForm.mode !== 'rename' && (
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Extends (Base Profile ID)</label>
+                <input
+                  type="text"
+                  className="w-full p-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500 outline-none font-mono text-sm"
+                  placeholder="xccdf_org.ssgproject.content_profile_..."
+                  value={profileForm.profileExtends}
+                  onChange={(e) => setProfileForm({ ...profileForm, profileExtends: e.target.value })}
+                />
+              </div>
+            )}
+
+            <div className="pt-4 flex justify-end gap-2">
+              <Button variant="secondary" onClick={() => setProfileForm(null)}>Cancel</Button>
+              <Button variant="primary" onClick={handleSaveProfile}>
+                {profileForm.mode === 'rename' ? 'Save' : 'Create Profile'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
     </div>
   );
 }
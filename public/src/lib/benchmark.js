@@ -0,0 +1,201 @@
+// Readers for the files a tailoring is used with: the benchmark it tailors and oscap scan results.
+
+import { childElements, collapseText, parseXml } from './xml.js';
+
+// The selector-less variant of a Value property (choices, bounds, match), or else the first one
+const unselected = (nodes) => nodes.find(node => !node.getAttribute("selector")) || nodes[0] || null;
+
+// IDs of the Groups around a Rule or Group, outermost first
+const groupPath = (node) => {
+  const path = [];
+  for (let parent = node.parentNode; parent && parent.localName === "Group"; parent = parent.parentNode) {
+    path.unshift(parent.getAttribute("id"));
+  }
+  return path;
+};
+
+// Rules and Groups are selected unless they say otherwise
+const selectedByDefault = (node) => node.getAttribute("selected") !== "false" && node.getAttribute("selected") !== "0";
+
+// A Benchmark <Profile>'s settings, in document order, for resolving tailorings against it
+const readProfile = (node) => ({
+  id: node.getAttribute("id"),
+  title: collapseText(childElements(node, "title")[0]),
+  extends: node.getAttribute("extends") || "",
+  selects: childElements(node, "select").map(select => [select.getAttribute("idref"), selectedByDefault(select)]),
+  refineRules: childElements(node, "refine-rule").map(refine => [refine.getAttribute("idref"), refine.getAttribute("severity") || ""]),
+  refineValues: childElements(node, "refine-value").map(refine => [refine.getAttribute("idref"), refine.getAttribute("selector") || ""]),
+  setValues: childElements(node, "set-value").map(setValue => [setValue.getAttribute("idref"), setValue.textContent])
+});
+
+/**
+ * Parses an XCCDF Benchmark or a SCAP source datastream into a lookup catalog.
+ * Datastreams wrap the Benchmark in a <ds:component>, so Benchmarks are searched
+ * anywhere in the document and all of them are merged into one catalog.
+ * Groups and Profiles are kept for resolving the effective profile (resolve.js).
+ */
+export const parseBenchmark = (xmlString) => {
+  const doc = parseXml(xmlString);
+
+  const benchmarks = Array.from(doc.getElementsByTagNameNS("*", "Benchmark"));
+  if (benchmarks.length === 0) throw new Error("No Benchmark found in XML");
+
+  const rules = new Map();
+  const values = new Map();
+  const groups = new Map();
+  const profiles = new Map();
+
+  benchmarks.forEach(benchmarkNode => {
+    Array.from(benchmarkNode.getElementsByTagNameNS("*", "Group")).forEach(node => {
+      const id = node.getAttribute("id");
+      if (!id) return;
+      groups.set(id, {
+        id,
+        title: collapseText(childElements(node, "title")[0]),
+        selected: selectedByDefault(node),
+        groups: groupPath(node)
+      });
+    });
+
+    childElements(benchmarkNode, "Profile").forEach(node => {
+      if (node.getAttribute("id")) profiles.set(node.getAttribute("id"), readProfile(node));
+    });
+
+    Array.from(benchmarkNode.getElementsByTagNameNS("*", "Rule")).forEach(node => {
+      const id = node.getAttribute("id");
+      if (!id) return;
+      rules.set(id, {
+        id,
+        type: 'select',
+        title: collapseText(childElements(node, "title")[0]),
+        description: collapseText(childElements(node, "description")[0]),
+        severity: node.getAttribute("severity") || "unknown",
+        selected: selectedByDefault(node),
+        groups: groupPath(node)
+      });
+    });
+
+    Array.from(benchmarkNode.getElementsByTagNameNS("*", "Value")).forEach(node => {
+      const id = node.getAttribute("id");
+      if (!id) return;
+      const defaultNode = childElements(node, "value").find(v => !v.getAttribute("selector"));
+      const choicesNode = unselected(childElements(node, "choices"));
+      const lowerBound = unselected(childElements(node, "lower-bound"));
+      const upperBound = unselected(childElements(node, "upper-bound"));
+      const match = unselected(childElements(node, "match"));
+      values.set(id, {
+        id,
+        type: 'set-value',
+        title: collapseText(childElements(node, "title")[0]),
+        description: collapseText(childElements(node, "description")[0]),
+        defaultValue: defaultNode ? defaultNode.textContent : "",
+        valueType: node.getAttribute("type") || "string",
+        operator: node.getAttribute("operator") || "",
+        // { selector, value } pairs in document order
+        selectors: childElements(node, "value")
+          .filter(v => v.getAttribute("selector"))
+          .map(v => ({ selector: v.getAttribute("selector"), value: v.textContent })),
+        choices: choicesNode ? childElements(choicesNode, "choice").map(choice => choice.textContent) : [],
+        mustMatch: choicesNode?.getAttribute("mustMatch") === "true",
+        lowerBound: lowerBound ? Number(lowerBound.textContent) : null,
+        upperBound: upperBound ? Number(upperBound.textContent) : null,
+        match: match ? match.textContent.trim() : ""
+      });
+    });
+  });
+
+  const first = benchmarks[0];
+  return {
+    id: first.getAttribute("id") || "",
+    title: collapseText(childElements(first, "title")[0]) || "Untitled Benchmark",
+    version: collapseText(childElements(first, "version")[0]),
+    rules,
+    values,
+    groups,
+    profiles
+  };
+};
+
+// Values the benchmark offers for a variable: its selectors' values, then any listed choices
+export const valueOptions = (entry) => {
+  const options = entry.selectors.map(({ selector, value }) => ({ value, label: selector === value ? value : `${value} (${selector})` }));
+  entry.choices.forEach(choice => {
+    if (!options.some(option => option.value === choice)) options.push({ value: choice, label: choice });
+  });
+  return options;
+};
+
+/**
+ * Checks a set-value row against its <Value> definition: the type, the bounds, a match
+ * pattern, choices that must match and the refine-value selector. A value that is merely
+ * not one of the benchmark's options is a warning, since XCCDF allows free values.
+ * Returns a list of { level, message }.
+ */
+export const checkValue = (entry, item) => {
+  const problems = [];
+  const report = (level, message) => problems.push({ level, message });
+
+  if (item.selector && !entry.selectors.some(({ selector }) => selector === item.selector)) {
+    report('error', `Selector "${item.selector}" is not defined by the benchmark.`);
+  }
+  if (item.value === null || item.value === undefined) return problems;
+  const value = String(item.value);
+
+  if (entry.valueType === 'boolean') {
+    if (!['true', 'false', '1', '0'].includes(value)) report('error', `"${value}" is not a boolean (true or false).`);
+    return problems;
+  }
+  if (entry.valueType === 'number') {
+    const number = Number(value);
+    if (!value.trim() || Number.isNaN(number)) {
+      report('error', `"${value}" is not a number.`);
+      return problems;
+    }
+    if (entry.lowerBound !== null && number < entry.lowerBound) report('error', `${value} is below the lower bound ${entry.lowerBound}.`);
+    if (entry.upperBound !== null && number > entry.upperBound) report('error', `${value} is above the upper bound ${entry.upperBound}.`);
+  }
+  if (entry.match) {
+    try {
+      if (!new RegExp(`^(?:${entry.match})$`).test(value)) report('error', `"${value}" does not match the pattern ${entry.match}.`);
+    } catch (err) {
+      // Patterns are XSD/POSIX flavoured; skip the ones JavaScript cannot compile
+    }
+  }
+  const options = valueOptions(entry).map(option => option.value);
+  if (options.length && !options.includes(value)) {
+    if (entry.mustMatch) report('error', `"${value}" is not one of the allowed choices: ${options.join(', ')}.`);
+    else if (entry.valueType !== 'number') report('warning', `"${value}" is not one of the benchmark's values: ${options.join(', ')}.`);
+  }
+  return problems;
+};
+
+/**
+ * Parses `oscap xccdf eval` output: a plain XCCDF results file or an ARF report, where
+ * the TestResult sits inside arf:reports. When several TestResults are present the most
+ * recent one (by end-time) is used. Returns the rule-result status keyed by rule idref.
+ */
+export const parseScanResults = (xmlString) => {
+  const doc = parseXml(xmlString);
+
+  const testResults = Array.from(doc.getElementsByTagNameNS("*", "TestResult"));
+  if (testResults.length === 0) throw new Error("No TestResult found in XML");
+  const latest = testResults.reduce((best, node) =>
+    (node.getAttribute("end-time") || '') > (best.getAttribute("end-time") || '') ? node : best
+  );
+
+  const results = new Map();
+  childElements(latest, "rule-result").forEach(node => {
+    const idref = node.getAttribute("idref");
+    const result = collapseText(childElements(node, "result")[0]);
+    if (idref && result) results.set(idref, result);
+  });
+
+  const profileNode = childElements(latest, "profile")[0];
+  return {
+    id: latest.getAttribute("id") || "",
+    profileId: profileNode ? profileNode.getAttribute("idref") || "" : "",
+    target: collapseText(childElements(latest, "target")[0]),
+    time: latest.getAttribute("end-time") || latest.getAttribute("start-time") || "",
+    results
+  };
+};
@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBenchmark, checkValue, valueOptions, parseTailoring, validateValues } from './node.js';
+
+const BENCHMARK = `<?xml version="1.0"?>
+<Benchmark xmlns="http://checklists.nist.gov/xccdf/1.2" id="xccdf_org.example_benchmark_b">
+  <title>Example</title>
+  <Value id="xccdf_org.example_value_mode" type="string">
+    <title>Mode</title>
+    <description>Enforcement mode.</description>
+    <value>complain</value>
+    <value selector="enforce">enforce</value>
+    <value selector="complain">complain</value>
+  </Value>
+  <Value id="xccdf_org.example_value_minlen" type="number" operator="greater than or equal">
+    <title>Minimum length</title>
+    <value>15</value>
+    <value selector="14">14</value>
+    <lower-bound>6</lower-bound>
+    <upper-bound>40</upper-bound>
+  </Value>
+  <Value id="xccdf_org.example_value_flag" type="boolean">
+    <title>Flag</title>
+    <value>true</value>
+  </Value>
+  <Value id="xccdf_org.example_value_hash" type="string">
+    <title>Hash</title>
+    <value>sha512</value>
+    <choices mustMatch="true"><choice>sha256</choice><choice>sha512</choice></choices>
+  </Value>
+  <Value id="xccdf_org.example_value_user">
+    <title>User</title>
+    <value>root</value>
+    <match>[a-z_][a-z0-9_-]*</match>
+  </Value>
+</Benchmark>`;
+
+const catalog = parseBenchmark(BENCHMARK);
+const entry = (name) => catalog.values.get(`xccdf_org.example_value_${name}`);
+const check = (name, value, selector = '') => checkValue(entry(name), { value, selector }).map(p => `${p.level}: ${p.message}`);
+
+test('reads Value types, selectors, bounds and choices', () => {
+  assert.deepEqual(
+    entry('minlen'),
+    {
+      id: 'xccdf_org.example_value_minlen',
+      type: 'set-value',
+      title: 'Minimum length',
+      description: '',
+      defaultValue: '15',
+      valueType: 'number',
+      operator: 'greater than or equal',
+      selectors: [{ selector: '14', value: '14' }],
+      choices: [],
+      mustMatch: false,
+      lowerBound: 6,
+      upperBound: 40,
+      match: ''
+    }
+  );
+  assert.equal(entry('user').valueType, 'string');
+  assert.deepEqual(valueOptions(entry('hash')).map(o => o.value), ['sha256', 'sha512']);
+  assert.deepEqual(valueOptions(entry('mode')).map(o => o.label), ['enforce', 'complain']);
+});
+
+test('accepts values the definition allows', () => {
+  assert.deepEqual(check('mode', 'enforce'), []);
+  assert.deepEqual(check('minlen', '20', '14'), []);
+  assert.deepEqual(check('flag', 'false'), []);
+  assert.deepEqual(check('hash', 'sha256'), []);
+  assert.deepEqual(check('user', 'svc_backup'), []);
+  assert.deepEqual(check('mode', null, 'enforce'), []);
+});
+
+test('flags typos, out-of-range numbers and bad types', () => {
+  assert.deepEqual(check('mode', 'enforcce'), ['warning: "enforcce" is not one of the benchmark\'s values: enforce, complain.']);
+  assert.deepEqual(check('minlen', '50'), ['error: 50 is above the upper bound 40.']);
+  assert.deepEqual(check('minlen', '4'), ['error: 4 is below the lower bound 6.']);
+  assert.deepEqual(check('minlen', 'twelve'), ['error: "twelve" is not a number.']);
+  assert.deepEqual(check('flag', 'yes'), ['error: "yes" is not a boolean (true or false).']);
+  assert.deepEqual(check('hash', 'md5'), ['error: "md5" is not one of the allowed choices: sha256, sha512.']);
+  assert.deepEqual(check('user', 'Root User'), ['error: "Root User" does not match the pattern [a-z_][a-z0-9_-]*.']);
+  assert.deepEqual(check('minlen', '15', '12'), ['error: Selector "12" is not defined by the benchmark.']);
+});
+
+test('validateValues reports against the offending rows', () => {
+  const data = parseTailoring(`<Tailoring xmlns="http://checklists.nist.gov/xccdf/1.2" id="xccdf_org.example_tailoring_t">
+  <version>1</version>
+  <Profile id="xccdf_org.example_profile_p" extends="xccdf_org.example_profile_base">
+    <set-value idref="xccdf_org.example_value_minlen">99</set-value>
+    <set-value idref="xccdf_org.example_value_unknown">x</set-value>
+  </Profile>
+</Tailoring>`);
+  const issues = validateValues(data, catalog);
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].itemUuid, data.profiles[0].items[0].uuid);
+  assert.equal(issues[0].message, 'xccdf_org.example_value_minlen: 99 is above the upper bound 40.');
+});
@@ -0,0 +1,145 @@
+// ComplianceAsCode JSON tailorings, the format of `autotailor --json-tailoring`:
+//   { "profiles": [{ "id", "title", "description", "base_profile_id",
+//       "rules": { "<id>": { "evaluate": false, "severity": "low", "role": "unscored" } },
+//       "groups": { "<id>": { "evaluate": false } },
+//       "variables": { "<id>": { "value": "5" } | { "option_id": "strict" } } }] }
+// IDs may be short ("accounts_tmout"); they expand to XCCDF IDs under a namespace.
+
+import { escapeText, escapeAttr, attrs } from './xml.js';
+import { parseTailoring, hasException } from './tailoring.js';
+
+export const CAC_NAMESPACE = 'org.ssgproject.content';
+
+// JSON tailorings carry no tailoring ID; imports get this one until it is edited
+const CAC_TAILORING_ID = 'xccdf_auto_tailoring_default';
+
+const XCCDF_ID = /^xccdf_[^_]+_([a-z]+)_/;
+
+// "accounts_tmout" -> "xccdf_org.ssgproject.content_rule_accounts_tmout"; full IDs pass through
+const fullId = (id, kind, namespace) => (id.startsWith('xccdf_') ? id : `xccdf_${namespace}_${kind}_${id}`);
+
+const isGroupId = (idref) => idref.match(XCCDF_ID)?.[1] === 'group';
+
+// A tailoring file is either XML or a JSON object; the first character tells them apart
+export const isCacTailoring = (text) => /^\uFEFF?\s*\{/.test(text);
+
+const entriesOf = (object, where) => {
+  if (object === undefined) return [];
+  if (!object || typeof object !== 'object' || Array.isArray(object)) throw new Error(`${where} must be an object.`);
+  return Object.entries(object).map(([id, entry]) => {
+    if (!entry || typeof entry !== 'object') throw new Error(`${where}: "${id}" must be an object.`);
+    return [id, entry];
+  });
+};
+
+const profileToXml = (profile, index, namespace) => {
+  const where = `profiles[${index}]`;
+  if (!profile || typeof profile.id !== 'string' || !profile.id) throw new Error(`${where} needs an "id".`);
+  const lines = [];
+  entriesOf(profile.groups, `${where}.groups`).forEach(([id, group]) => {
+    if (typeof group.evaluate === 'boolean') {
+      lines.push(`<select${attrs([['idref', fullId(id, 'group', namespace)], ['selected', group.evaluate]])}/>`);
+    }
+  });
+  entriesOf(profile.rules, `${where}.rules`).forEach(([id, rule]) => {
+    const idref = fullId(id, 'rule', namespace);
+    if (typeof rule.evaluate === 'boolean') lines.push(`<select${attrs([['idref', idref], ['selected', rule.evaluate]])}/>`);
+    if (rule.severity || rule.role) {
+      lines.push(`<refine-rule${attrs([['idref', idref], ['severity', rule.severity], ['role', rule.role]])}/>`);
+    }
+  });
+  entriesOf(profile.variables, `${where}.variables`).forEach(([id, variable]) => {
+    const idref = fullId(id, 'value', namespace);
+    if (variable.value !== undefined && variable.value !== null) {
+      lines.push(`<set-value${attrs([['idref', idref]])}>${escapeText(String(variable.value))}</set-value>`);
+    }
+    if (variable.option_id) lines.push(`<refine-value${attrs([['idref', idref], ['selector', variable.option_id]])}/>`);
+  });
+  const profileId = fullId(profile.id, 'profile', namespace);
+  return [
+    `  <Profile${attrs([['id', profileId], ['extends', profile.base_profile_id && fullId(profile.base_profile_id, 'profile', namespace)]])}>`,
+    `    <title override="true">${escapeText(profile.title || profile.id)}</title>`,
+    ...(profile.description ? [`    <description override="true">${escapeText(profile.description)}</description>`] : []),
+    ...lines.map(line => `    ${line}`),
+    '  </Profile>'
+  ].join('\n');
+};
+
+/**
+ * Reads a JSON tailoring into the editor model by way of the equivalent XCCDF 1.2
+ * Tailoring, so it exports like any imported file. The JSON names no benchmark:
+ * `benchmark` becomes the benchmark href (empty when not given).
+ */
+export const parseCacTailoring = (text, { namespace = CAC_NAMESPACE, benchmark = '' } = {}) => {
+  let json;
+  try {
+    json = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+  if (!json || !Array.isArray(json.profiles) || !json.profiles.length) {
+    throw new Error('A JSON tailoring needs a non-empty "profiles" array.');
+  }
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<Tailoring xmlns="http://checklists.nist.gov/xccdf/1.2" id="${CAC_TAILORING_ID}">
+  <benchmark href="${escapeAttr(benchmark)}"/>
+  <version time="${new Date().toISOString()}">1</version>
+${json.profiles.map((profile, index) => profileToXml(profile, index, namespace)).join('\n')}
+</Tailoring>
+`;
+  return parseTailoring(xml);
+};
+
+// Either format, told apart by isCacTailoring
+export const parseTailoringDocument = (text, options) =>
+  (isCacTailoring(text) ? parseCacTailoring(text, options) : parseTailoring(text));
+
+/**
+ * Writes the document as a JSON tailoring with full XCCDF IDs. `warnings` lists what the
+ * format has no place for (rule weights, comments, exceptions...), counted over all profiles.
+ */
+export const tailoringToCac = (data) => {
+  const dropped = new Map();
+  const drop = (what) => dropped.set(what, (dropped.get(what) || 0) + 1);
+
+  const profiles = data.profiles.map(profile => {
+    const groups = {};
+    const rules = {};
+    const variables = {};
+    profile.items.forEach(item => {
+      if (item.comment) drop('comment(s)');
+      if (hasException(item.exception)) drop('exception(s)');
+      const entry = {};
+      if (item.type === 'select') {
+        if (item.value !== 'default') entry.evaluate = item.value === 'true';
+        if (isGroupId(item.idref)) {
+          if ((item.severity && item.severity !== 'default') || item.role || item.weight || item.selector) drop('group refinement(s)');
+          if (Object.keys(entry).length) groups[item.idref] = { ...groups[item.idref], ...entry };
+          return;
+        }
+        if (item.severity && item.severity !== 'default') entry.severity = item.severity;
+        if (item.role) entry.role = item.role;
+        if (item.weight) drop('rule weight(s)');
+        if (item.selector) drop('rule selector(s)');
+        if (Object.keys(entry).length) rules[item.idref] = { ...rules[item.idref], ...entry };
+      } else {
+        if (item.value !== null && item.value !== undefined) entry.value = item.value;
+        if (item.selector) entry.option_id = item.selector;
+        if (item.operator) drop('variable operator(s)');
+        if (Object.keys(entry).length) variables[item.idref] = { ...variables[item.idref], ...entry };
+      }
+    });
+    return {
+      id: profile.profileId,
+      title: profile.profileTitle,
+      ...(profile.profileDesc ? { description: profile.profileDesc } : {}),
+      ...(profile.profileExtends ? { base_profile_id: profile.profileExtends } : {}),
+      ...(Object.keys(groups).length ? { groups } : {}),
+      ...(Object.keys(rules).length ? { rules } : {}),
+      ...(Object.keys(variables).length ? { variables } : {})
+    };
+  });
+
+  const warnings = [...dropped].map(([what, count]) => `${count} ${what} left out: the JSON format has no place for them.`);
+  return { json: { profiles }, warnings };
+};
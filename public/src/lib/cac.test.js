@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isCacTailoring, parseCacTailoring, parseTailoringDocument, tailoringToCac, parseTailoring, serializeTailoring } from './node.js';
+
+const JSON_TAILORING = JSON.stringify({
+  profiles: [{
+    id: 'cis_customized',
+    base_profile_id: 'cis',
+    title: 'CIS & more',
+    rules: {
+      accounts_tmout: { evaluate: false },
+      sshd_disable_root_login: { evaluate: true, severity: 'high', role: 'unscored' },
+      'xccdf_org.example_rule_full': { severity: 'low' }
+    },
+    groups: { partitions: { evaluate: false } },
+    variables: {
+      var_accounts_tmout: { value: 600 },
+      var_password_minlen: { option_id: '14' }
+    }
+  }]
+}, null, 2);
+
+const XML = `<?xml version="1.0" encoding="UTF-8"?>
+<Tailoring xmlns="http://checklists.nist.gov/xccdf/1.2" id="xccdf_org.example_tailoring_t">
+  <benchmark href="ssg-ds.xml"/>
+  <version time="2026-01-01T00:00:00Z">3</version>
+  <Profile id="xccdf_org.example_profile_p" extends="xccdf_org.example_profile_cis">
+    <title>P</title>
+    <!--1.1: Section one-->
+    <select idref="xccdf_org.example_rule_a" selected="true"/>
+    <refine-rule idref="xccdf_org.example_rule_a" weight="2"/>
+    <refine-rule idref="xccdf_org.example_rule_b" role="unchecked"/>
+    <select idref="xccdf_org.example_group_g" selected="false"/>
+    <set-value idref="xccdf_org.example_value_v">5</set-value>
+    <refine-value idref="xccdf_org.example_value_v" operator="equals"/>
+  </Profile>
+</Tailoring>`;
+
+test('tells JSON tailorings from XML', () => {
+  assert.equal(isCacTailoring('\uFEFF  {"profiles": []}'), true);
+  assert.equal(isCacTailoring('<?xml version="1.0"?><Tailoring/>'), false);
+});
+
+test('imports rules, groups and variables, expanding short IDs', () => {
+  const data = parseCacTailoring(JSON_TAILORING, { benchmark: 'ssg-ubuntu2204-ds.xml' });
+  const [profile] = data.profiles;
+  assert.equal(data.benchmark, 'ssg-ubuntu2204-ds.xml');
+  assert.equal(profile.profileId, 'xccdf_org.ssgproject.content_profile_cis_customized');
+  assert.equal(profile.profileExtends, 'xccdf_org.ssgproject.content_profile_cis');
+  assert.equal(profile.profileTitle, 'CIS & more');
+  const row = (idref) => profile.items.find(item => item.idref === idref);
+  assert.equal(row('xccdf_org.ssgproject.content_rule_accounts_tmout').value, 'false');
+  assert.deepEqual(
+    (({ value, severity, role }) => ({ value, severity, role }))(row('xccdf_org.ssgproject.content_rule_sshd_disable_root_login')),
+    { value: 'true', severity: 'high', role: 'unscored' }
+  );
+  assert.equal(row('xccdf_org.example_rule_full').value, 'default');
+  assert.equal(row('xccdf_org.example_rule_full').severity, 'low');
+  assert.equal(row('xccdf_org.ssgproject.content_group_partitions').value, 'false');
+  assert.equal(row('xccdf_org.ssgproject.content_value_var_accounts_tmout').value, '600');
+  assert.equal(row('xccdf_org.ssgproject.content_value_var_password_minlen').selector, '14');
+  assert.match(serializeTailoring(data), /<refine-value idref="xccdf_org.ssgproject.content_value_var_password_minlen" selector="14"\/>/);
+});
+
+test('rejects malformed JSON tailorings', () => {
+  assert.throws(() => parseCacTailoring('{"profiles": '), /^Error: Invalid JSON/);
+  assert.throws(() => parseCacTailoring('{"profiles": []}'), /non-empty "profiles" array/);
+  assert.throws(() => parseCacTailoring('{"profiles": [{"title": "x"}]}'), /profiles\[0\] needs an "id"/);
+  assert.throws(() => parseCacTailoring('{"profiles": [{"id": "p", "rules": []}]}'), /profiles\[0\]\.rules must be an object/);
+  assert.equal(parseTailoringDocument(XML).tailoringId, 'xccdf_org.example_tailoring_t');
+});
+
+test('exports JSON and lists what the format cannot hold', () => {
+  const { json, warnings } = tailoringToCac(parseTailoring(XML));
+  assert.deepEqual(json, {
+    profiles: [{
+      id: 'xccdf_org.example_profile_p',
+      title: 'P',
+      base_profile_id: 'xccdf_org.example_profile_cis',
+      groups: { 'xccdf_org.example_group_g': { evaluate: false } },
+      rules: { 'xccdf_org.example_rule_a': { evaluate: true }, 'xccdf_org.example_rule_b': { role: 'unchecked' } },
+      variables: { 'xccdf_org.example_value_v': { value: '5' } }
+    }]
+  });
+  assert.deepEqual(warnings, [
+    '1 comment(s) left out: the JSON format has no place for them.',
+    '1 rule weight(s) left out: the JSON format has no place for them.',
+    '1 variable operator(s) left out: the JSON format has no place for them.'
+  ]);
+});
+
+test('round-trips through JSON', () => {
+  const data = parseCacTailoring(JSON_TAILORING);
+  const again = parseCacTailoring(JSON.stringify(tailoringToCac(data).json));
+  const settings = (d) => d.profiles[0].items.map(({ type, idref, value, severity, role, selector }) => ({ type, idref, value, severity, role, selector }));
+  assert.deepEqual(settings(again), settings(data));
+  assert.deepEqual(tailoringToCac(data).warnings, []);
+});
@@ -0,0 +1,129 @@
+// Semantic diff and merge of two profiles, plus the Markdown change summary.
+
+import { newUuid, updateItem } from './tailoring.js';
+
+// Fields that make up the effective setting of an item, with their display labels
+export const DIFF_FIELDS = {
+  'select': [['value', 'Selected'], ['severity', 'Severity'], ['role', 'Role'], ['weight', 'Weight'], ['selector', 'Selector']],
+  'set-value': [['value', 'Value'], ['selector', 'Selector'], ['operator', 'Operator']]
+};
+
+export const itemKey = (item) => `${item.type}:${item.idref}`;
+
+// Normalizes "unset" representations so '' / 'default' / null compare equal
+export const fieldValue = (item, field) => {
+  const value = item[field];
+  if (value === null || value === undefined || value === 'default') return '';
+  return String(value);
+};
+
+/**
+ * Semantic diff of two profiles keyed by type and idref. Each change lists the fields
+ * that differ, so reviewers see "selected: true → false" instead of moved XML lines.
+ */
+export const diffProfiles = (leftProfile, rightProfile, fieldsByType = DIFF_FIELDS) => {
+  const leftMap = new Map(leftProfile.items.map(item => [itemKey(item), item]));
+  const rightMap = new Map(rightProfile.items.map(item => [itemKey(item), item]));
+  const changes = [];
+
+  leftProfile.items.forEach(left => {
+    const key = itemKey(left);
+    const right = rightMap.get(key);
+    if (!right) {
+      changes.push({ key, kind: 'removed', type: left.type, idref: left.idref, left, right: null, fields: [] });
+      return;
+    }
+    const fields = fieldsByType[left.type]
+      .filter(([field]) => fieldValue(left, field) !== fieldValue(right, field))
+      .map(([field, label]) => ({ field, label, left: fieldValue(left, field), right: fieldValue(right, field) }));
+    if (fields.length) changes.push({ key, kind: 'changed', type: left.type, idref: left.idref, left, right, fields });
+  });
+
+  rightProfile.items.forEach(right => {
+    const key = itemKey(right);
+    if (!leftMap.has(key)) {
+      changes.push({ key, kind: 'added', type: right.type, idref: right.idref, left: null, right, fields: [] });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Builds the merged item list: the left profile with every change whose choice is
+ * 'right' applied. Items added on the right are placed after the nearest preceding
+ * item they followed in the right-hand file, or first if none of those exist.
+ */
+export const mergeProfiles = (leftProfile, rightProfile, changes, choices) => {
+  const takeRight = new Map(changes.filter(c => choices[c.key] === 'right').map(c => [c.key, c]));
+  const merged = [];
+
+  leftProfile.items.forEach(item => {
+    const change = takeRight.get(itemKey(item));
+    if (!change) merged.push(item);
+    else if (change.kind === 'changed') {
+      const updates = Object.fromEntries(change.fields.map(({ field }) => [field, change.right[field]]));
+      merged.push(updateItem(item, updates));
+    }
+    // 'removed' taken from the right means the item is dropped
+  });
+
+  rightProfile.items.forEach((item, index) => {
+    const change = takeRight.get(itemKey(item));
+    if (!change || change.kind !== 'added') return;
+    const previousKeys = rightProfile.items.slice(0, index).map(itemKey).reverse();
+    const anchor = previousKeys.map(key => merged.findIndex(m => itemKey(m) === key)).find(i => i >= 0);
+    const copy = { ...item, uuid: newUuid() };
+    merged.splice(anchor === undefined ? 0 : anchor + 1, 0, copy);
+  });
+
+  return merged;
+};
+
+export const describeItem = (item) => {
+  if (!item) return '';
+  if (item.type === 'select') {
+    const parts = [item.value === 'default' ? 'not selected explicitly' : `selected=${item.value}`];
+    if (fieldValue(item, 'severity')) parts.push(`severity=${item.severity}`);
+    if (item.role) parts.push(`role=${item.role}`);
+    if (item.weight) parts.push(`weight=${item.weight}`);
+    if (item.selector) parts.push(`selector=${item.selector}`);
+    return parts.join(', ');
+  }
+  const parts = item.value === null || item.value === undefined ? [] : [`"${item.value}"`];
+  if (item.selector) parts.push(`selector=${item.selector}`);
+  if (item.operator) parts.push(`operator=${item.operator}`);
+  return parts.join(', ');
+};
+
+// Markdown change summary for review tickets
+export const changesToMarkdown = (changes, { leftName, rightName, leftProfile, rightProfile, titleOf }) => {
+  const cell = (text) => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const label = (change) => cell(titleOf(change.left || change.right) || change.idref);
+  const count = (kind) => changes.filter(c => c.kind === kind).length;
+
+  const lines = [
+    `# Tailoring changes: ${leftProfile.profileTitle} → ${rightProfile.profileTitle}`,
+    '',
+    `- **Left:** ${leftName} (\`${leftProfile.profileId}\`)`,
+    `- **Right:** ${rightName} (\`${rightProfile.profileId}\`)`,
+    `- **Summary:** ${count('added')} added, ${count('removed')} removed, ${count('changed')} changed`,
+    ''
+  ];
+
+  [['added', 'Added'], ['removed', 'Removed'], ['changed', 'Changed']].forEach(([kind, heading]) => {
+    const section = changes.filter(c => c.kind === kind);
+    if (!section.length) return;
+    lines.push(`## ${heading}`, '', '| Rule | ID | Details |', '| --- | --- | --- |');
+    section.forEach(change => {
+      const details = kind === 'changed'
+        ? change.fields.map(f => `${f.label}: ${f.left || '(unset)'} → ${f.right || '(unset)'}`).join('; ')
+        : describeItem(change.left || change.right);
+      lines.push(`| ${label(change)} | \`${change.idref}\` | ${cell(details)} |`);
+    });
+    lines.push('');
+  });
+
+  if (!changes.length) lines.push('No differences.', '');
+  return lines.join('\n');
+};
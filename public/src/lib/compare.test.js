@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTailoring, diffProfiles, mergeProfiles, changesToMarkdown } from './node.js';
+
+const profile = (rows) => parseTailoring(`<?xml version="1.0"?>
+<Tailoring xmlns="http://checklists.nist.gov/xccdf/1.2" id="xccdf_org.example_tailoring_t">
+  <benchmark href="ssg-ds.xml"/>
+  <version time="2024-01-01T00:00:00">1</version>
+  <Profile id="xccdf_org.example_profile_p" extends="xccdf_org.example_profile_cis">
+    <title>P</title>
+    ${rows}
+  </Profile>
+</Tailoring>`).profiles[0];
+
+const LEFT = profile(`
+    <select idref="xccdf_org.example_rule_a" selected="true"/>
+    <select idref="xccdf_org.example_rule_b" selected="true"/>
+    <refine-rule idref="xccdf_org.example_rule_b" severity="low"/>
+    <select idref="xccdf_org.example_rule_c" selected="true"/>
+    <set-value idref="xccdf_org.example_value_v">5</set-value>`);
+
+const RIGHT = profile(`
+    <select idref="xccdf_org.example_rule_new1" selected="true"/>
+    <select idref="xccdf_org.example_rule_a" selected="true"/>
+    <select idref="xccdf_org.example_rule_b" selected="false"/>
+    <select idref="xccdf_org.example_rule_new2" selected="false"/>
+    <set-value idref="xccdf_org.example_value_v">5</set-value>`);
+
+const idrefs = (items) => items.map(item => item.idref.replace(/^xccdf_org\.example_[a-z]+_/, ''));
+
+test('diffs by type and idref and lists the fields that differ', () => {
+  const changes = diffProfiles(LEFT, RIGHT);
+  assert.deepEqual(changes.map(change => [change.kind, idrefs([change.left || change.right])[0]]), [
+    ['changed', 'b'], ['removed', 'c'], ['added', 'new1'], ['added', 'new2']
+  ]);
+  assert.deepEqual(changes[0].fields, [
+    { field: 'value', label: 'Selected', left: 'true', right: 'false' },
+    { field: 'severity', label: 'Severity', left: 'low', right: '' }
+  ]);
+  assert.deepEqual(diffProfiles(LEFT, LEFT), []);
+});
+
+test('merges the chosen changes and anchors additions after their right-hand neighbour', () => {
+  const changes = diffProfiles(LEFT, RIGHT);
+  const all = Object.fromEntries(changes.map(change => [change.key, 'right']));
+  const merged = mergeProfiles(LEFT, RIGHT, changes, all);
+  assert.deepEqual(idrefs(merged), ['new1', 'a', 'b', 'new2', 'v']);
+  assert.equal(merged.find(item => item.idref.endsWith('_b')).value, 'false');
+  assert.notEqual(merged[0].uuid, RIGHT.items[0].uuid);
+
+  // Nothing taken: the left profile as it was; a removal kept from the left keeps the row
+  assert.deepEqual(mergeProfiles(LEFT, RIGHT, changes, {}), LEFT.items);
+  const onlyNew2 = mergeProfiles(LEFT, RIGHT, changes, { 'select:xccdf_org.example_rule_new2': 'right' });
+  assert.deepEqual(idrefs(onlyNew2), ['a', 'b', 'new2', 'c', 'v']);
+});
+
+test('summarizes the changes as Markdown', () => {
+  const markdown = changesToMarkdown(diffProfiles(LEFT, RIGHT), {
+    leftName: 'left.xml', rightName: 'right.xml', leftProfile: LEFT, rightProfile: RIGHT, titleOf: () => ''
+  });
+  assert.match(markdown, /^- \*\*Summary:\*\* 2 added, 1 removed, 1 changed$/m);
+  assert.match(markdown, /^\| xccdf_org\.example_rule_b \| `xccdf_org\.example_rule_b` \| Selected: true → false; Severity: low → \(unset\) \|$/m);
+});
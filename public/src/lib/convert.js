@@ -0,0 +1,69 @@
+// XCCDF 1.1 <-> 1.2 conversion of a parsed tailoring: namespaces and the ID form.
+
+import { XCCDF_NAMESPACES, XCCDF11_TAILORING_NS } from './tailoring.js';
+import { ID_PATTERNS } from './validation.js';
+import { CAC_NAMESPACE } from './cac.js';
+
+// Root prefix OpenSCAP uses for its XCCDF 1.1 Tailoring element
+const XCCDF11_TAILORING_PREFIX = 'cdf-11-tailoring';
+
+const LONG_ID = /^xccdf_[^_\s]+_(tailoring|profile|rule|group|value)_(\S+)$/;
+
+const isNamespaceDeclaration = (name) => name === 'xmlns' || name.startsWith('xmlns:');
+
+/**
+ * Re-points the namespace declarations of the root element. A 1.2 document puts the
+ * Tailoring element in the Profiles' namespace; a 1.1 one in OpenSCAP's, under its own
+ * prefix, with benchmark, version and metadata left in the Profiles' namespace.
+ */
+const retargetSource = (source, version) => {
+  const from = version === '1.2' ? [XCCDF_NAMESPACES['1.1'], XCCDF11_TAILORING_NS] : [XCCDF_NAMESPACES['1.2']];
+  const profilePrefix = source.profilePrefix ?? source.prefix;
+  const rootAttributes = source.rootAttributes
+    .filter(([name, value]) => !(isNamespaceDeclaration(name) && value === XCCDF11_TAILORING_NS))
+    .map(([name, value]) => [name, isNamespaceDeclaration(name) && from.includes(value) ? XCCDF_NAMESPACES[version] : value]);
+  if (version === '1.2') return { ...source, prefix: profilePrefix, childPrefix: profilePrefix, profilePrefix, rootAttributes };
+  return {
+    ...source,
+    prefix: XCCDF11_TAILORING_PREFIX,
+    childPrefix: profilePrefix,
+    profilePrefix,
+    rootAttributes: [[`xmlns:${XCCDF11_TAILORING_PREFIX}`, XCCDF11_TAILORING_NS], ...rootAttributes]
+  };
+};
+
+/**
+ * Converts a tailoring to XCCDF `version` ('1.1' or '1.2'). 1.2 IDs lose their
+ * "xccdf_<reverse-DNS>_<kind>_" prefix in 1.1; 1.1 IDs gain one under `namespace` in 1.2.
+ * 1.1 IDs do not say whether a selected item is a Rule or a Group, so selections
+ * come back as rule IDs. A document already in `version` is returned unchanged.
+ */
+export const convertTailoring = (data, version, { namespace = CAC_NAMESPACE } = {}) => {
+  if (!XCCDF_NAMESPACES[version]) throw new Error(`Unknown XCCDF version "${version}"; expected 1.1 or 1.2.`);
+  if ((data.xccdfVersion || '1.2') === version) return data;
+
+  const convertId = version === '1.1'
+    ? (id) => (id ? id.replace(LONG_ID, '$2') : id)
+    : (id, kind) => (!id || ID_PATTERNS[kind].test(id) ? id : `xccdf_${namespace}_${kind}_${id}`);
+  const convertIdref = (idref, type) => convertId(idref, type === 'select' ? 'rule' : 'value');
+
+  return {
+    ...data,
+    xccdfVersion: version,
+    tailoringId: convertId(data.tailoringId, 'tailoring'),
+    profiles: data.profiles.map(profile => ({
+      ...profile,
+      profileId: convertId(profile.profileId, 'profile'),
+      profileExtends: convertId(profile.profileExtends, 'profile'),
+      items: profile.items.map(item => ({ ...item, idref: convertIdref(item.idref, item.type) }))
+    })),
+    source: {
+      ...retargetSource(data.source, version),
+      orphanExceptions: (data.source.orphanExceptions || []).map(exception => ({
+        ...exception,
+        profile: convertId(exception.profile, 'profile'),
+        idref: convertIdref(exception.idref, 'select')
+      }))
+    }
+  };
+};
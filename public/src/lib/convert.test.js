@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTailoring, serializeTailoring, convertTailoring, validateTailoring, parseXml, childElements } from './node.js';
+
+// As OpenSCAP writes 1.1 tailorings: only the root is in its namespace
+const XCCDF11 = `<?xml version="1.0" encoding="UTF-8"?>
+<cdf-11-tailoring:Tailoring xmlns:cdf-11-tailoring="http://open-scap.org/page/Xccdf-1.1-tailoring" xmlns:xccdf="http://checklists.nist.gov/xccdf/1.1" id="rhel6_tailoring">
+  <xccdf:benchmark href="ssg-rhel6-xccdf.xml"/>
+  <xccdf:version time="2026-01-01T00:00:00">1</xccdf:version>
+  <xccdf:Profile id="stig-rhel6-server_customized" extends="stig-rhel6-server">
+    <xccdf:title override="true">STIG [CUSTOMIZED]</xccdf:title>
+    <!--1.1: Partitions-->
+    <xccdf:select idref="partition_for_tmp" selected="false"/>
+    <xccdf:refine-rule idref="partition_for_tmp" severity="low"/>
+    <xccdf:set-value idref="var_accounts_tmout">600</xccdf:set-value>
+  </xccdf:Profile>
+</cdf-11-tailoring:Tailoring>
+`;
+
+const XCCDF12 = `<?xml version="1.0" encoding="UTF-8"?>
+<Tailoring xmlns="http://checklists.nist.gov/xccdf/1.2" id="xccdf_org.example_tailoring_t">
+  <benchmark href="ssg-ds.xml"/>
+  <version time="2026-01-01T00:00:00">1</version>
+  <Profile id="xccdf_org.example_profile_p" extends="xccdf_org.example_profile_cis">
+    <title>P</title>
+    <select idref="xccdf_org.example_group_partitions" selected="false"/>
+    <select idref="xccdf_org.example_rule_a" selected="true"/>
+  </Profile>
+</Tailoring>
+`;
+
+test('detects the XCCDF version and keeps it on export', () => {
+  const data = parseTailoring(XCCDF11);
+  assert.equal(data.xccdfVersion, '1.1');
+  assert.equal(parseTailoring(XCCDF12).xccdfVersion, '1.2');
+  assert.deepEqual(data.profiles[0].items.map(item => item.idref), ['partition_for_tmp', 'var_accounts_tmout']);
+  assert.equal(serializeTailoring({ ...data, keepVersionTime: true }), XCCDF11);
+  assert.deepEqual(validateTailoring(data), []);
+});
+
+test('checks IDs in the form of the document version', () => {
+  const data = parseTailoring(XCCDF11);
+  const messages = (d) => validateTailoring(d).map(issue => issue.message);
+  assert.deepEqual(messages({ ...data, tailoringId: '1tailoring' }), ['Tailoring ID "1tailoring" is not a valid XCCDF 1.1 ID (an XML NCName).']);
+  assert.deepEqual(messages({ ...data, xccdfVersion: '1.2' }).length, 5);
+});
+
+test('converts 1.1 to 1.2 with prefixed IDs and the 1.2 namespace', () => {
+  const converted = convertTailoring(parseTailoring(XCCDF11), '1.2', { namespace: 'org.ssgproject.content' });
+  const xml = serializeTailoring({ ...converted, keepVersionTime: true });
+  assert.match(xml, /^<xccdf:Tailoring xmlns:xccdf="http:\/\/checklists.nist.gov\/xccdf\/1.2" id="xccdf_org.ssgproject.content_tailoring_rhel6_tailoring">$/m);
+  assert.match(xml, /<xccdf:benchmark href="ssg-rhel6-xccdf.xml"\/>/);
+  assert.match(xml, /<xccdf:Profile id="xccdf_org.ssgproject.content_profile_stig-rhel6-server_customized" extends="xccdf_org.ssgproject.content_profile_stig-rhel6-server">/);
+  assert.match(xml, /<xccdf:refine-rule idref="xccdf_org.ssgproject.content_rule_partition_for_tmp" severity="low"\/>/);
+  assert.match(xml, /<xccdf:set-value idref="xccdf_org.ssgproject.content_value_var_accounts_tmout">600<\/xccdf:set-value>/);
+  assert.doesNotMatch(xml, /open-scap\.org/);
+  const reparsed = parseTailoring(xml);
+  assert.equal(reparsed.xccdfVersion, '1.2');
+  assert.deepEqual(validateTailoring(reparsed), []);
+  assert.equal(serializeTailoring({ ...convertTailoring(reparsed, '1.1'), keepVersionTime: true }), XCCDF11);
+});
+
+test('converts 1.2 to 1.1 and back', () => {
+  const data = parseTailoring(XCCDF12);
+  const old = convertTailoring(data, '1.1');
+  const xml = serializeTailoring({ ...old, keepVersionTime: true });
+  assert.match(xml, /^<cdf-11-tailoring:Tailoring xmlns:cdf-11-tailoring="http:\/\/open-scap.org\/page\/Xccdf-1.1-tailoring" xmlns="http:\/\/checklists.nist.gov\/xccdf\/1.1" id="t">$/m);
+  assert.match(xml, /^ {2}<version time="2026-01-01T00:00:00">1<\/version>$/m);
+  const root = parseXml(xml).documentElement;
+  assert.deepEqual(
+    [root, ...['benchmark', 'version', 'Profile'].map(name => childElements(root, name)[0])].map(node => node.namespaceURI),
+    ['http://open-scap.org/page/Xccdf-1.1-tailoring', ...Array(3).fill('http://checklists.nist.gov/xccdf/1.1')]
+  );
+  assert.match(xml, /<Profile id="p" extends="cis">/);
+  assert.match(xml, /<select idref="partitions" selected="false"\/>/);
+  assert.equal(parseTailoring(xml).xccdfVersion, '1.1');
+
+  const back = convertTailoring(parseTailoring(xml), '1.2', { namespace: 'org.example' });
+  assert.deepEqual(back.profiles[0].items.map(item => item.idref), ['xccdf_org.example_rule_partitions', 'xccdf_org.example_rule_a']);
+  assert.match(serializeTailoring(back), /^<Tailoring xmlns="http:\/\/checklists.nist.gov\/xccdf\/1.2" id="xccdf_org.example_tailoring_t">$/m);
+  assert.equal(convertTailoring(data, '1.2'), data);
+  assert.throws(() => convertTailoring(data, '2.0'), /Unknown XCCDF version/);
+});
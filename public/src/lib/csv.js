@@ -0,0 +1,196 @@
+// Spreadsheet round-trip of a profile's rule list.
+
+import { createItem, RULE_ROLES } from './tailoring.js';
+import { sectionOf } from './sections.js';
+import { SEVERITIES } from './validation.js';
+import { DIFF_FIELDS, itemKey } from './compare.js';
+
+export const CSV_COLUMNS = ['section', 'comment', 'idref', 'type', 'selected', 'severity', 'role', 'weight', 'selector', 'operator', 'value'];
+
+const CSV_TYPES = { rule: 'select', select: 'select', var: 'set-value', value: 'set-value', 'set-value': 'set-value' };
+
+const CSV_BOOLEANS = { true: 'true', yes: 'true', on: 'true', 1: 'true', false: 'false', no: 'false', off: 'false', 0: 'false', '': 'default', default: 'default' };
+
+// Compare fields for CSV imports: everything a spreadsheet can edit, comments included
+export const CSV_DIFF_FIELDS = {
+  'select': [...DIFF_FIELDS.select, ['comment', 'Comment']],
+  'set-value': [...DIFF_FIELDS['set-value'], ['comment', 'Comment']]
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One row per item, preceded by "# key,value" rows carrying the profile metadata.
+ * Starts with a BOM so Excel opens it as UTF-8.
+ */
+export const profileToCsv = (data, profile) => {
+  const rows = [
+    ['# tailoring_id', data.tailoringId],
+    ['# profile_id', profile.profileId],
+    ['# title', profile.profileTitle],
+    ['# extends', profile.profileExtends],
+    ['# benchmark', data.benchmark],
+    ['# version', data.version],
+    [],
+    CSV_COLUMNS
+  ];
+  profile.items.forEach(item => {
+    const isRule = item.type === 'select';
+    rows.push([
+      sectionOf(item) || '',
+      item.comment,
+      item.idref,
+      isRule ? 'rule' : 'var',
+      isRule && item.value !== 'default' ? item.value : '',
+      isRule && item.severity !== 'default' ? item.severity : '',
+      isRule ? item.role : '',
+      isRule ? item.weight : '',
+      item.selector,
+      isRule ? '' : item.operator,
+      isRule ? '' : item.value
+    ]);
+  });
+  return '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+// RFC 4180 parser; the delimiter (comma, semicolon or tab) is sniffed from the header row
+export const parseCsv = (text) => {
+  const body = text.replace(/^\uFEFF/, '');
+  const headerLine = body.split(/\r?\n/).find(line => /idref/i.test(line)) || '';
+  const delimiter = [',', ';', '\t'].reduce((best, d) => (headerLine.split(d).length > headerLine.split(best).length ? d : best), ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (quoted) {
+      if (ch === '"' && body[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && body[i + 1] === '\n') i++;
+      rows.push([...row, cell]);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) rows.push([...row, cell]);
+  return rows;
+};
+
+/**
+ * Applies an edited CSV to a copy of the profile. Rows are matched to items by type and
+ * idref; columns missing from the sheet leave the item untouched, and rows that are not
+ * in the sheet drop out (the preview lets the user keep them). The section column is
+ * informational only. Returns { profile, meta, errors } with 1-based row numbers.
+ */
+export const csvToProfile = (profile, text) => {
+  const rows = parseCsv(text);
+  const meta = {};
+  const errors = [];
+  let header = null;
+  const items = [];
+  const seen = new Set();
+  const existing = new Map(profile.items.map(item => [itemKey(item), item]));
+
+  rows.forEach((cells, index) => {
+    const line = index + 1;
+    if (cells.every(cell => !cell.trim())) return;
+    if (cells[0].trim().startsWith('#')) {
+      meta[cells[0].replace(/^\s*#\s*/, '').trim()] = cells[1] || '';
+      return;
+    }
+    if (!header) {
+      header = cells.map(cell => cell.trim().toLowerCase());
+      if (!header.includes('idref')) throw new Error('The CSV has no "idref" column.');
+      return;
+    }
+
+    const row = Object.fromEntries(header.map((name, i) => [name, cells[i] ?? '']));
+    const has = (column) => header.includes(column);
+    const idref = row.idref.trim();
+    if (!idref) {
+      errors.push(`Row ${line}: missing idref.`);
+      return;
+    }
+    const typeName = has('type') ? row.type.trim().toLowerCase() : '';
+    const type = CSV_TYPES[typeName] || (!typeName && (/_value_/.test(idref) ? 'set-value' : 'select'));
+    if (!type) {
+      errors.push(`Row ${line}: unknown type "${row.type}" (use rule or var).`);
+      return;
+    }
+    const key = `${type}:${idref}`;
+    if (seen.has(key)) {
+      errors.push(`Row ${line}: ${idref} appears more than once; only the first row is used.`);
+      return;
+    }
+    seen.add(key);
+
+    const item = { ...(existing.get(key) || createItem(type, idref)) };
+    if (has('comment')) item.comment = row.comment.trim();
+    if (has('selector')) item.selector = row.selector.trim();
+
+    if (type === 'select') {
+      if (has('selected')) {
+        const selected = CSV_BOOLEANS[row.selected.trim().toLowerCase()];
+        if (selected) item.value = selected;
+        else errors.push(`Row ${line}: selected must be true or false, not "${row.selected}".`);
+      }
+      if (has('severity')) {
+        const severity = row.severity.trim().toLowerCase();
+        if (!severity || severity === 'default' || SEVERITIES.includes(severity)) item.severity = severity || 'default';
+        else errors.push(`Row ${line}: unknown severity "${row.severity}".`);
+      }
+      if (has('role')) {
+        const role = row.role.trim().toLowerCase();
+        if (!role || RULE_ROLES.includes(role)) item.role = role;
+        else errors.push(`Row ${line}: unknown role "${row.role}".`);
+      }
+      if (has('weight')) item.weight = row.weight.trim();
+    } else {
+      if (has('operator')) item.operator = row.operator.trim();
+      if (has('value')) {
+        // Same rule as the value editor: a refined variable without text has no <set-value>
+        item.value = row.value === '' && (item.selector || item.operator) ? null : row.value;
+      }
+    }
+    items.push(item);
+  });
+
+  if (!header) throw new Error('The CSV has no header row.');
+  return { profile: { ...profile, items }, meta, errors };
+};
+
+// "# key,value" rows the import applies to the profile, with the field each one sets
+const CSV_META_FIELDS = [['title', 'profileTitle', 'Title'], ['extends', 'profileExtends', 'Extends']];
+
+// Rows that describe the document rather than the profile; the import leaves these alone
+const CSV_DOCUMENT_META = [['benchmark', 'benchmark', 'Benchmark href'], ['version', 'version', 'Version']];
+
+/**
+ * Compares the metadata rows of an imported CSV with the profile and its document.
+ * Returns { changes, ignored }: changes are profile edits as { key, field, label, left, right }
+ * the preview can offer; ignored are the labels of document rows that differ but are not
+ * imported.
+ */
+export const csvMetaChanges = (data, profile, meta) => {
+  const differs = (source) => ([name, field]) => name in meta && meta[name].trim() !== String(source[field] ?? '');
+  return {
+    changes: CSV_META_FIELDS.filter(differs(profile)).map(([name, field, label]) => ({
+      key: `meta:${name}`, field, label, left: profile[field] || '', right: meta[name].trim()
+    })),
+    ignored: CSV_DOCUMENT_META.filter(differs(data)).map(([, , label]) => label)
+  };
+};
@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTailoring, profileToCsv, parseCsv, csvToProfile, csvMetaChanges, diffProfiles, CSV_DIFF_FIELDS } from './node.js';
+
+const SAMPLE = `<?xml version="1.0"?>
+<Tailoring xmlns="http://checklists.nist.gov/xccdf/1.2" id="xccdf_org.example_tailoring_t">
+  <benchmark href="ssg-ds.xml"/>
+  <version time="2024-01-01T00:00:00">3</version>
+  <Profile id="xccdf_org.example_profile_p" extends="xccdf_org.ssgproject.content_profile_cis">
+    <title>P</title>
+    <!--1.1.1: Ensure "cramfs", not squashfs-->
+    <select idref="xccdf_org.example_rule_a" selected="false"/>
+    <refine-rule idref="xccdf_org.example_rule_a" severity="low" role="unscored"/>
+    <set-value idref="xccdf_org.example_value_b">14</set-value>
+    <refine-value idref="xccdf_org.example_value_b" selector="strict"/>
+  </Profile>
+</Tailoring>`;
+
+const profileOf = () => parseTailoring(SAMPLE).profiles[0];
+
+test('exports metadata rows, a header and one row per item', () => {
+  const data = parseTailoring(SAMPLE);
+  const csv = profileToCsv(data, data.profiles[0]);
+  assert.ok(csv.startsWith('﻿# tailoring_id,xccdf_org.example_tailoring_t\r\n'));
+  const rows = parseCsv(csv);
+  const header = rows.find(row => row.includes('idref'));
+  const rule = rows.find(row => row.includes('xccdf_org.example_rule_a'));
+  assert.equal(rule[header.indexOf('comment')], '1.1.1: Ensure "cramfs", not squashfs');
+  assert.equal(rule[header.indexOf('section')], '1.1.1');
+  assert.equal(rule[header.indexOf('selected')], 'false');
+  assert.equal(rule[header.indexOf('role')], 'unscored');
+});
+
+test('re-importing an unedited export changes nothing', () => {
+  const data = parseTailoring(SAMPLE);
+  const { profile, meta, errors } = csvToProfile(data.profiles[0], profileToCsv(data, data.profiles[0]));
+  assert.deepEqual(errors, []);
+  assert.equal(meta.version, '3');
+  assert.deepEqual(diffProfiles(data.profiles[0], profile, CSV_DIFF_FIELDS), []);
+});
+
+test('offers title and extends edits and reports document rows it does not import', () => {
+  const data = parseTailoring(SAMPLE);
+  const csv = profileToCsv(data, data.profiles[0])
+    .replace('# title,P', '# title,Server baseline')
+    .replace('# version,3', '# version,4');
+  const { meta } = csvToProfile(data.profiles[0], csv);
+  assert.deepEqual(csvMetaChanges(data, data.profiles[0], meta), {
+    changes: [{ key: 'meta:title', field: 'profileTitle', label: 'Title', left: 'P', right: 'Server baseline' }],
+    ignored: ['Version']
+  });
+  assert.deepEqual(csvMetaChanges(data, data.profiles[0], {}), { changes: [], ignored: [] });
+});
+
+test('sniffs semicolon-delimited sheets and leaves missing columns untouched', () => {
+  const { profile, errors } = csvToProfile(profileOf(), 'idref;selected\r\nxccdf_org.example_rule_a;yes\r\n');
+  assert.deepEqual(errors, []);
+  assert.equal(profile.items.length, 1);
+  assert.equal(profile.items[0].value, 'true');
+  assert.equal(profile.items[0].severity, 'low');
+});
+
+test('adds rows for new idrefs, inferring the type from the idref', () => {
+  const csv = 'idref,value\nxccdf_org.example_rule_a,\nxccdf_org.example_value_b,\nxccdf_org.example_value_c,42\n';
+  const { profile } = csvToProfile(profileOf(), csv);
+  const added = profile.items.find(item => item.idref === 'xccdf_org.example_value_c');
+  assert.equal(added.type, 'set-value');
+  assert.equal(added.value, '42');
+  // A refined variable with an empty value cell keeps only its selector
+  assert.equal(profile.items.find(item => item.idref === 'xccdf_org.example_value_b').value, null);
+});
+
+test('reports bad cells with their row numbers', () => {
+  const csv = 'idref,type,selected,severity\nxccdf_org.example_rule_a,rule,maybe,critical\n,rule,,\nxccdf_org.example_rule_x,group,,\n';
+  const { errors } = csvToProfile(profileOf(), csv);
+  assert.deepEqual(errors, [
+    'Row 2: selected must be true or false, not "maybe".',
+    'Row 2: unknown severity "critical".',
+    'Row 3: missing idref.',
+    'Row 4: unknown type "group" (use rule or var).'
+  ]);
+  assert.throws(() => csvToProfile(profileOf(), 'name,value\n'), /no "idref" column/);
+});
@@ -0,0 +1,29 @@
+// Deviations from the benchmark and the state of the exceptions that justify them.
+
+import { hasException } from './tailoring.js';
+import { SEVERITIES } from './validation.js';
+
+export const todayIso = () => new Date().toISOString().slice(0, 10);
+
+// What a row weakens relative to the benchmark; these are the changes that need a justification
+export const describeDeviation = (item, entry) => {
+  if (item.type !== 'select') return [];
+  const deviations = [];
+  if (item.value === 'false') deviations.push('Deselected');
+  if (item.severity && item.severity !== 'default') {
+    if (!entry) deviations.push(`Severity set to ${item.severity}`);
+    else if (SEVERITIES.indexOf(item.severity) < SEVERITIES.indexOf(entry.severity)) {
+      deviations.push(`Severity lowered ${entry.severity} → ${item.severity}`);
+    }
+  }
+  if (item.role === 'unscored' || item.role === 'unchecked') deviations.push(`Role ${item.role}`);
+  return deviations;
+};
+
+// 'expired' | 'unjustified' | 'justified', or null for rows that need no exception
+export const exceptionStatus = (item, deviations, today) => {
+  const exception = hasException(item.exception) ? item.exception : null;
+  if (exception && exception.expires && exception.expires < today) return 'expired';
+  if (deviations.length && !(exception && exception.justification.trim())) return 'unjustified';
+  return exception ? 'justified' : null;
+};
@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createItem, describeDeviation, exceptionStatus } from './node.js';
+
+const TODAY = '2026-06-15';
+const exception = (fields) => ({ justification: '', owner: '', ticket: '', expires: '', ...fields });
+
+test('describes what a row weakens relative to the benchmark', () => {
+  const rule = createItem('select', 'xccdf_org.example_rule_a', { value: 'false', severity: 'low', role: 'unscored' });
+  assert.deepEqual(describeDeviation(rule, { severity: 'high' }), ['Deselected', 'Severity lowered high → low', 'Role unscored']);
+  assert.deepEqual(describeDeviation({ ...rule, value: 'true', role: '' }, { severity: 'low' }), []);
+  assert.deepEqual(describeDeviation({ ...rule, value: 'true', role: '' }, null), ['Severity set to low']);
+  assert.deepEqual(describeDeviation(createItem('set-value', 'xccdf_org.example_value_b'), null), []);
+});
+
+test('an exception past its expiry date is expired, whatever it justifies', () => {
+  const rule = createItem('select', 'xccdf_org.example_rule_a', { value: 'false' });
+  const deviations = describeDeviation(rule, null);
+  const expiring = (expires) => ({ ...rule, exception: exception({ justification: 'Legacy host', expires }) });
+  assert.equal(exceptionStatus(expiring('2026-06-14'), deviations, TODAY), 'expired');
+  assert.equal(exceptionStatus(expiring(TODAY), deviations, TODAY), 'justified');
+  assert.equal(exceptionStatus(expiring(''), deviations, TODAY), 'justified');
+  assert.equal(exceptionStatus({ ...expiring('2026-01-01'), value: 'true' }, [], TODAY), 'expired');
+});
+
+test('a deviation needs a justification; a row without one needs no exception', () => {
+  const rule = createItem('select', 'xccdf_org.example_rule_a', { value: 'false' });
+  const deviations = describeDeviation(rule, null);
+  assert.equal(exceptionStatus(rule, deviations, TODAY), 'unjustified');
+  assert.equal(exceptionStatus({ ...rule, exception: exception({ owner: 'ops', justification: ' ' }) }, deviations, TODAY), 'unjustified');
+  assert.equal(exceptionStatus({ ...rule, value: 'true' }, [], TODAY), null);
+});
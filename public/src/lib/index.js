@@ -0,0 +1,18 @@
+// Headless tailoring library: everything the editor and the `tailoring` CLI share.
+
+export * from './xml.js';
+export * from './tailoring.js';
+export * from './benchmark.js';
+export * from './sections.js';
+export * from './search.js';
+export * from './validation.js';
+export * from './exceptions.js';
+export * from './compare.js';
+export * from './layers.js';
+export * from './csv.js';
+export * from './json.js';
+export * from './report.js';
+export * from './cac.js';
+export * from './convert.js';
+export * from './resolve.js';
+export * from './runner.js';
@@ -0,0 +1,43 @@
+// Plain JSON view of a tailoring for scripts: the editor model without source-layout bookkeeping.
+
+import { hasException } from './tailoring.js';
+import { sectionOf } from './sections.js';
+
+const itemToJson = (item) => {
+  const base = { type: item.type === 'select' ? 'rule' : 'var', idref: item.idref };
+  const section = sectionOf(item);
+  if (section) base.section = section;
+  if (item.comment) base.comment = item.comment;
+
+  const fields = item.type === 'select'
+    ? {
+        selected: item.value === 'default' ? null : item.value === 'true',
+        severity: item.severity === 'default' ? null : item.severity,
+        role: item.role || null,
+        weight: item.weight || null,
+        selector: item.selector || null
+      }
+    : {
+        value: item.value ?? null,
+        selector: item.selector || null,
+        operator: item.operator || null
+      };
+  const result = { ...base, ...fields };
+  if (hasException(item.exception)) result.exception = item.exception;
+  if (item.origin) result.origin = item.origin;
+  return result;
+};
+
+export const tailoringToJson = (data) => ({
+  id: data.tailoringId,
+  benchmark: data.benchmark,
+  version: data.version,
+  profiles: data.profiles.map(profile => ({
+    id: profile.profileId,
+    extends: profile.profileExtends || null,
+    title: profile.profileTitle,
+    description: profile.profileDesc || null,
+    ...(profile.layers?.length ? { layers: profile.layers } : {}),
+    items: profile.items.map(itemToJson)
+  }))
+});
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTailoring, tailoringToJson } from './node.js';
+
+const SAMPLE = `<?xml version="1.0"?>
+<Tailoring xmlns="http://checklists.nist.gov/xccdf/1.2" id="xccdf_org.example_tailoring_t">
+  <benchmark href="ssg-ds.xml"/>
+  <version time="2024-01-01T00:00:00">3</version>
+  <Profile id="xccdf_org.example_profile_p" extends="xccdf_org.example_profile_cis">
+    <title>P</title>
+    <!--1.1.1: Ensure cramfs is disabled-->
+    <select idref="xccdf_org.example_rule_cramfs" selected="false"/>
+    <refine-rule idref="xccdf_org.example_rule_cramfs" severity="low" role="unscored"/>
+    <set-value idref="xccdf_org.example_value_tmout">600</set-value>
+    <refine-value idref="xccdf_org.example_value_tmout" operator="less than"/>
+  </Profile>
+</Tailoring>`;
+
+test('writes the document, profiles and rows without layout bookkeeping', () => {
+  assert.deepEqual(tailoringToJson(parseTailoring(SAMPLE)), {
+    id: 'xccdf_org.example_tailoring_t',
+    benchmark: 'ssg-ds.xml',
+    version: '3',
+    profiles: [{
+      id: 'xccdf_org.example_profile_p',
+      extends: 'xccdf_org.example_profile_cis',
+      title: 'P',
+      description: null,
+      items: [
+        {
+          type: 'rule',
+          idref: 'xccdf_org.example_rule_cramfs',
+          section: '1.1.1',
+          comment: '1.1.1: Ensure cramfs is disabled',
+          selected: false,
+          severity: 'low',
+          role: 'unscored',
+          weight: null,
+          selector: null
+        },
+        { type: 'var', idref: 'xccdf_org.example_value_tmout', value: '600', selector: null, operator: 'less than' }
+      ]
+    }]
+  });
+});
+
+test('adds layers, exceptions and provenance only where they exist', () => {
+  const data = parseTailoring(SAMPLE);
+  const [rule, variable] = data.profiles[0].items;
+  const profile = {
+    ...data.profiles[0],
+    layers: ['baseline', 'team'],
+    items: [
+      { ...rule, exception: { justification: 'Needed for imaging', owner: 'ops', ticket: '', expires: '' }, origin: { value: 'team' } },
+      { ...variable, exception: { justification: '', owner: '', ticket: '', expires: '' } }
+    ]
+  };
+  const [json] = tailoringToJson({ ...data, profiles: [profile] }).profiles;
+  assert.deepEqual(json.layers, ['baseline', 'team']);
+  assert.equal(json.items[0].exception.justification, 'Needed for imaging');
+  assert.deepEqual(json.items[0].origin, { value: 'team' });
+  assert.equal('exception' in json.items[1], false);
+  assert.equal('origin' in json.items[1], false);
+});
@@ -0,0 +1,78 @@
+// Layered tailorings: an org-wide baseline with team overlays merged on top in precedence order.
+
+import { newUuid, hasException } from './tailoring.js';
+import { DIFF_FIELDS, itemKey, fieldValue } from './compare.js';
+
+export const conflictKey = (key, field) => `${key}|${field}`;
+
+// An empty variable value is still a setting; everything else counts only when it is set
+const setsField = (item, field) => (item.type === 'set-value' && field === 'value'
+  ? item.value !== null && item.value !== undefined
+  : !!fieldValue(item, field));
+
+/**
+ * Merges profiles given lowest precedence first (baseline, then overlays). Every field of
+ * a select/refine-rule or set-value/refine-value takes its value from the highest layer
+ * that sets it, unless `resolutions` (conflict key -> layer index) picks another one;
+ * comments and exceptions come from the highest layer that has one. Rows keep the order
+ * of the first layer that lists them, with rows new in an overlay placed after the row
+ * they followed there.
+ *
+ * Returns { items, conflicts }. Each item records in `origin` the layer name its settings
+ * came from; each conflict lists the layers that set a field to different values.
+ */
+export const mergeLayers = (layers, resolutions = {}) => {
+  const entries = new Map(); // key -> { first, candidates: { field: [{ layer, value }] }, comment, exception }
+  const order = [];
+
+  layers.forEach(({ profile }, layer) => {
+    profile.items.forEach((item, index) => {
+      const key = itemKey(item);
+      let entry = entries.get(key);
+      if (!entry) {
+        entry = { first: item, candidates: {}, comment: '', exception: null };
+        entries.set(key, entry);
+        const previousKeys = profile.items.slice(0, index).map(itemKey).reverse();
+        const anchor = previousKeys.map(previous => order.indexOf(previous)).find(i => i >= 0);
+        order.splice(anchor === undefined ? 0 : anchor + 1, 0, key);
+      }
+      DIFF_FIELDS[item.type].forEach(([field]) => {
+        if (setsField(item, field)) (entry.candidates[field] = entry.candidates[field] || []).push({ layer, value: item[field] });
+      });
+      if (item.comment) entry.comment = item.comment;
+      if (hasException(item.exception)) entry.exception = item.exception;
+    });
+  });
+
+  const conflicts = [];
+  const items = order.map(key => {
+    const { first, candidates, comment, exception } = entries.get(key);
+    const item = {
+      ...first,
+      uuid: newUuid(),
+      comment,
+      exception: exception || undefined,
+      origin: {},
+      // Fields no layer sets stay unset: no <select> for rules, no <set-value> for variables
+      ...(first.type === 'select'
+        ? { value: 'default', severity: 'default', weight: '', role: '', selector: '' }
+        : { value: null, selector: '', operator: '' })
+    };
+
+    DIFF_FIELDS[first.type].forEach(([field, label]) => {
+      const options = candidates[field];
+      if (!options) return;
+      const resolved = options.find(option => option.layer === resolutions[conflictKey(key, field)]);
+      const chosen = resolved || options[options.length - 1];
+      item[field] = chosen.value;
+      item.origin[field] = layers[chosen.layer].name;
+      if (new Set(options.map(option => String(option.value))).size > 1) {
+        conflicts.push({ key: conflictKey(key, field), type: first.type, idref: first.idref, field, label, options, chosen: chosen.layer });
+      }
+    });
+    if (!Object.keys(item.origin).length) delete item.origin;
+    return item;
+  });
+
+  return { items, conflicts };
+};
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTailoring, serializeTailoring, mergeLayers, conflictKey, upsertItem } from './node.js';
+
+const tailoring = (body) => `<?xml version="1.0"?>
+<Tailoring xmlns="http://checklists.nist.gov/xccdf/1.2" id="xccdf_org.example_tailoring_t">
+  <benchmark href="ssg-ds.xml"/>
+  <version time="2024-01-01T00:00:00">1</version>
+  <Profile id="xccdf_org.example_profile_p" extends="xccdf_org.ssgproject.content_profile_cis">
+    <title>P</title>
+${body}
+  </Profile>
+</Tailoring>
+`;
+
+const BASELINE = tailoring(`    <!--1.1: a-->
+    <select idref="xccdf_org.example_rule_a" selected="true"/>
+    <refine-rule idref="xccdf_org.example_rule_a" severity="high"/>
+    <!--1.2: b-->
+    <select idref="xccdf_org.example_rule_b" selected="true"/>
+    <set-value idref="xccdf_org.example_value_c">5</set-value>`);
+
+const OVERLAY = tailoring(`    <refine-rule idref="xccdf_org.example_rule_a" severity="low"/>
+    <select idref="xccdf_org.example_rule_b" selected="false"/>
+    <select idref="xccdf_org.example_rule_new" selected="true"/>
+    <set-value idref="xccdf_org.example_value_c">5</set-value>`);
+
+const layersOf = () => [
+  { name: 'baseline.xml', profile: parseTailoring(BASELINE).profiles[0] },
+  { name: 'team.xml', profile: parseTailoring(OVERLAY).profiles[0] }
+];
+
+const byIdref = (items) => Object.fromEntries(items.map(item => [item.idref, item]));
+
+test('higher layers win field by field and record where each setting came from', () => {
+  const { items } = mergeLayers(layersOf());
+  const merged = byIdref(items);
+  const a = merged['xccdf_org.example_rule_a'];
+  // The overlay only refines the severity; the baseline's selection stays in effect
+  assert.equal(a.value, 'true');
+  assert.equal(a.severity, 'low');
+  assert.deepEqual(a.origin, { value: 'baseline.xml', severity: 'team.xml' });
+  assert.equal(a.comment, '1.1: a');
+  assert.equal(merged['xccdf_org.example_rule_b'].value, 'false');
+  assert.deepEqual(merged['xccdf_org.example_value_c'].origin, { value: 'team.xml' });
+});
+
+test('keeps the baseline order and places overlay rows after the row they followed', () => {
+  const { items } = mergeLayers(layersOf());
+  assert.deepEqual(items.map(item => item.idref), [
+    'xccdf_org.example_rule_a',
+    'xccdf_org.example_rule_b',
+    'xccdf_org.example_rule_new',
+    'xccdf_org.example_value_c'
+  ]);
+});
+
+test('reports conflicting values and applies resolutions', () => {
+  const { conflicts } = mergeLayers(layersOf());
+  assert.deepEqual(conflicts.map(c => [c.idref, c.field, c.chosen]), [
+    ['xccdf_org.example_rule_a', 'severity', 1],
+    ['xccdf_org.example_rule_b', 'value', 1]
+  ]);
+
+  const key = conflictKey('select:xccdf_org.example_rule_b', 'value');
+  const { items } = mergeLayers(layersOf(), { [key]: 0 });
+  const b = byIdref(items)['xccdf_org.example_rule_b'];
+  assert.equal(b.value, 'true');
+  assert.equal(b.origin.value, 'baseline.xml');
+});
+
+test('provenance round-trips through the tailoring metadata', () => {
+  const data = parseTailoring(BASELINE);
+  const { items } = mergeLayers(layersOf());
+  const merged = { ...data, keepVersionTime: true, profiles: [{ ...data.profiles[0], items, layers: ['baseline.xml', 'team.xml'] }] };
+  const xml = serializeTailoring(merged);
+  assert.match(xml, /<lay:origin idref="xccdf_org.example_rule_a" type="select" field="severity" layer="team.xml"\/>/);
+
+  const [profile] = parseTailoring(xml).profiles;
+  assert.deepEqual(profile.layers, ['baseline.xml', 'team.xml']);
+  assert.deepEqual(byIdref(profile.items)['xccdf_org.example_rule_a'].origin, { value: 'baseline.xml', severity: 'team.xml' });
+  assert.equal(serializeTailoring({ ...parseTailoring(xml), keepVersionTime: true }), xml);
+});
+
+test('editing a merged setting drops its provenance', () => {
+  const [profile] = parseTailoring(BASELINE).profiles;
+  const { items } = mergeLayers(layersOf());
+  const edited = upsertItem({ ...profile, items }, 'select', 'xccdf_org.example_rule_a', { severity: 'medium' });
+  assert.deepEqual(byIdref(edited)['xccdf_org.example_rule_a'].origin, { value: 'baseline.xml' });
+});
@@ -0,0 +1,29 @@
+// Entry point for Node and Web Workers, which have no DOMParser: installs @xmldom/xmldom
+// as the DOM parser, then re-exports the library.
+
+import { DOMParser as XmldomParser } from '@xmldom/xmldom';
+import { setDOMParser } from './xml.js';
+
+// xmldom reports problems through onError instead of a <parsererror> element
+class StrictDOMParser {
+  parseFromString(source, mimeType) {
+    const errors = [];
+    const parser = new XmldomParser({
+      onError: (level, message) => {
+        if (level !== 'warning') errors.push(message);
+      }
+    });
+    let doc = null;
+    try {
+      doc = parser.parseFromString(source, mimeType);
+    } catch {
+      // Fatal errors are also thrown; the message was already collected above
+    }
+    if (errors.length || !doc) throw new Error(`Invalid XML: ${errors[0] || 'unreadable document'}`);
+    return doc;
+  }
+}
+
+setDOMParser(StrictDOMParser);
+
+export * from './index.js';
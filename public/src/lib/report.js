@@ -0,0 +1,192 @@
+// Printable audit report: how a tailored profile differs from the benchmark profile it extends.
+
+import { escapeText } from './xml.js';
+import { hasException } from './tailoring.js';
+import { sectionOf, compareSections } from './sections.js';
+import { SEVERITIES } from './validation.js';
+
+const REPORT_STYLES = `
+  body { font: 13px/1.45 system-ui, -apple-system, "Segoe UI", sans-serif; color: #0f172a; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 28px 0 8px; padding-bottom: 4px; border-bottom: 2px solid #cbd5e1; }
+  h3 { font-size: 14px; margin: 18px 0 6px; }
+  p.lead { color: #475569; margin: 0 0 16px; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 8px; }
+  th, td { border: 1px solid #cbd5e1; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #f1f5f9; font-weight: 600; }
+  td.num, th.num { text-align: right; }
+  code { font: 11px ui-monospace, Menlo, Consolas, monospace; word-break: break-all; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 16px; margin: 0; }
+  dt { font-weight: 600; color: #475569; }
+  dd { margin: 0; }
+  .muted { color: #64748b; }
+  .off { color: #b91c1c; font-weight: 600; }
+  .on { color: #15803d; font-weight: 600; }
+  .signoff { display: grid; grid-template-columns: repeat(3, 1fr); gap: 24px; margin-top: 32px; }
+  .signoff div { border-top: 1px solid #0f172a; padding-top: 4px; color: #475569; }
+  @media print {
+    body { margin: 0; max-width: none; font-size: 11px; }
+    @page { margin: 15mm; }
+    h2, h3 { break-after: avoid; }
+    tr { break-inside: avoid; }
+    thead { display: table-header-group; }
+  }
+`;
+
+const html = (text) => escapeText(text ?? '');
+
+const table = (headers, rows, empty) => {
+  if (!rows.length) return `<p class="muted">${html(empty)}</p>`;
+  const head = headers.map(([label, cls]) => `<th${cls ? ` class="${cls}"` : ''}>${html(label)}</th>`).join('');
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${rows.map(cells => `<tr>${cells.join('')}</tr>`).join('\n')}\n</tbody>\n</table>`;
+};
+
+const cell = (content, cls) => `<td${cls ? ` class="${cls}"` : ''}>${content}</td>`;
+
+// The severity a rule is evaluated with: its refinement, else the benchmark's when it is loaded
+const effectiveSeverity = (item, entry) => {
+  if (item.severity && item.severity !== 'default') return item.severity;
+  return entry ? entry.severity : 'default';
+};
+
+// What a rule row changes relative to the base profile, one phrase per setting
+const describeChange = (item, entry) => {
+  const changes = [];
+  if (item.value === 'false') changes.push('<span class="off">Deselected</span>');
+  if (item.value === 'true') changes.push('<span class="on">Selected</span>');
+  if (item.severity && item.severity !== 'default') {
+    changes.push(`Severity ${entry ? `${html(entry.severity)} → ` : ''}${html(item.severity)}`);
+  }
+  if (item.role) changes.push(`Role ${html(item.role)}`);
+  if (item.weight) changes.push(`Weight ${html(item.weight)}`);
+  if (item.selector) changes.push(`Selector ${html(item.selector)}`);
+  return changes.join('<br>');
+};
+
+const describeException = (exception) => {
+  if (!hasException(exception)) return '';
+  const details = [
+    exception.owner && `Owner: ${html(exception.owner)}`,
+    exception.ticket && `Ticket: ${html(exception.ticket)}`,
+    exception.expires && `Expires: ${html(exception.expires)}`
+  ].filter(Boolean);
+  return [html(exception.justification), details.length ? `<span class="muted">${details.join(' · ')}</span>` : '']
+    .filter(Boolean)
+    .join('<br>');
+};
+
+const ruleLabel = (item, entry) => (entry?.title
+  ? `${html(entry.title)}<br><code>${html(item.idref)}</code>`
+  : `<code>${html(item.idref)}</code>`);
+
+/**
+ * Builds a self-contained HTML audit report for one profile: metadata, rule counts by
+ * severity and selection state, every rule deviation grouped by CIS section (with its
+ * comment and exception) and all variable overrides. `catalog` (from parseBenchmark)
+ * adds titles, benchmark severities and variable defaults when it is available.
+ */
+export const tailoringToHtml = (data, profile, { catalog = null, generatedAt = new Date() } = {}) => {
+  const lookup = (item) => (catalog ? (item.type === 'select' ? catalog.rules : catalog.values).get(item.idref) || null : null);
+  const rules = profile.items.filter(item => item.type === 'select');
+  const variables = profile.items.filter(item => item.type === 'set-value');
+
+  const meta = [
+    ['Profile', html(profile.profileTitle)],
+    ['Profile ID', `<code>${html(profile.profileId)}</code>`],
+    ['Extends', `<code>${html(profile.profileExtends || '—')}</code>`],
+    ['Tailoring ID', `<code>${html(data.tailoringId)}</code>`],
+    ['Benchmark', catalog ? `${html(catalog.title)} ${html(catalog.version)} (<code>${html(data.benchmark)}</code>)` : `<code>${html(data.benchmark)}</code>`],
+    ['Version', `${html(data.version)}${data.keepVersionTime && data.versionTime ? ` <span class="muted">(${html(data.versionTime)})</span>` : ''}`],
+    ...(profile.layers?.length ? [['Merged from', html(profile.layers.join(' → '))]] : [])
+  ];
+
+  const states = [['Selected', 'true'], ['Deselected', 'false'], ['Refined only', 'default']];
+  const severities = [...SEVERITIES].reverse().concat('default')
+    .filter(severity => rules.some(item => effectiveSeverity(item, lookup(item)) === severity));
+  const countRows = severities.map(severity => {
+    const matching = rules.filter(item => effectiveSeverity(item, lookup(item)) === severity);
+    return [
+      cell(severity === 'default' ? 'Benchmark default' : html(severity)),
+      ...states.map(([, value]) => cell(String(matching.filter(item => item.value === value).length), 'num')),
+      cell(String(matching.length), 'num')
+    ];
+  });
+  countRows.push([
+    cell('<strong>Total</strong>'),
+    ...states.map(([, value]) => cell(`<strong>${rules.filter(item => item.value === value).length}</strong>`, 'num')),
+    cell(`<strong>${rules.length}</strong>`, 'num')
+  ]);
+
+  // Deviations grouped by top-level CIS section in natural order, unnumbered rules last
+  const numbered = rules.filter(item => sectionOf(item)).sort((a, b) => compareSections(sectionOf(a), sectionOf(b)));
+  const groups = [];
+  [...numbered, ...rules.filter(item => !sectionOf(item))].forEach(item => {
+    const section = sectionOf(item);
+    const name = section ? section.split('.')[0] : '';
+    const last = groups[groups.length - 1];
+    if (last && last.name === name) last.items.push(item);
+    else groups.push({ name, items: [item] });
+  });
+  const deviationTables = groups.map(group => {
+    const rows = group.items.map(item => [
+      cell(html(sectionOf(item) || '')),
+      cell(ruleLabel(item, lookup(item))),
+      cell(describeChange(item, lookup(item))),
+      cell(html(item.comment)),
+      cell(describeException(item.exception))
+    ]);
+    const heading = group.name ? `Section ${html(group.name)}` : 'Unsectioned';
+    return `<h3>${heading}</h3>\n${table([['§'], ['Rule'], ['Change'], ['Comment'], ['Exception']], rows, '')}`;
+  });
+
+  const variableRows = variables.map(item => {
+    const entry = lookup(item);
+    return [
+      cell(ruleLabel(item, entry)),
+      cell(item.value === null || item.value === undefined ? '<span class="muted">not set</span>' : `<code>${html(item.value)}</code>`),
+      cell(entry ? `<code>${html(entry.defaultValue)}</code>` : '<span class="muted">—</span>'),
+      cell([item.selector && `Selector ${html(item.selector)}`, item.operator && `Operator ${html(item.operator)}`].filter(Boolean).join('<br>')),
+      cell(html(item.comment))
+    ];
+  });
+
+  const title = `Tailoring report: ${profile.profileTitle || profile.profileId}`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${html(title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>${html(title)}</h1>
+<p class="lead">Deviations from <code>${html(profile.profileExtends || 'the base profile')}</code>. Generated ${html(generatedAt.toISOString().replace('T', ' ').slice(0, 16))} UTC.</p>
+
+<h2>Profile</h2>
+<dl>
+${meta.map(([label, value]) => `<dt>${html(label)}</dt><dd>${value}</dd>`).join('\n')}
+</dl>
+${profile.profileDesc ? `<p>${html(profile.profileDesc)}</p>` : ''}
+
+<h2>Rules by severity and selection</h2>
+${table([['Severity'], ...states.map(([label]) => [label, 'num']), ['Total', 'num']], countRows, '')}
+
+<h2>Rule deviations</h2>
+${deviationTables.length ? deviationTables.join('\n') : '<p class="muted">The profile does not change any rules.</p>'}
+
+<h2>Variable overrides</h2>
+${table([['Variable'], ['Value'], ['Benchmark default'], ['Refinement'], ['Comment']], variableRows, 'The profile does not override any variables.')}
+
+<div class="signoff">
+<div>Prepared by</div>
+<div>Approved by</div>
+<div>Date</div>
+</div>
+</body>
+</html>
+`;
+};
+
+// File name for a profile's report, e.g. "cis_level2_server_customized-report.html"
+export const reportFileName = (profile) =>
+  `${(profile.profileId || 'profile').replace(/^xccdf_[^_]+_profile_/, '')}-report.html`;
@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTailoring, parseBenchmark, tailoringToHtml, reportFileName } from './node.js';
+
+const TAILORING = `<?xml version="1.0" encoding="UTF-8"?>
+<xccdf:Tailoring xmlns:xccdf="http://checklists.nist.gov/xccdf/1.2" id="xccdf_org.example_tailoring_t">
+  <xccdf:benchmark href="ssg-ds.xml"/>
+  <xccdf:version time="2026-01-01T00:00:00Z">3</xccdf:version>
+  <xccdf:metadata>
+    <exc:exceptions xmlns:exc="urn:xccdf-tailoring-editor:exceptions:1">
+      <exc:exception profile="xccdf_org.example_profile_p" idref="xccdf_org.example_rule_b" owner="ops" ticket="SEC-1">Legacy app needs &lt;it&gt; &amp; more</exc:exception>
+    </exc:exceptions>
+  </xccdf:metadata>
+  <xccdf:Profile id="xccdf_org.example_profile_p" extends="xccdf_org.example_profile_cis">
+    <xccdf:title>Servers &amp; more</xccdf:title>
+    <!--1.10.1: Ten one-->
+    <xccdf:select idref="xccdf_org.example_rule_a" selected="true"/>
+    <!--1.2.1: Two one-->
+    <xccdf:select idref="xccdf_org.example_rule_b" selected="false"/>
+    <xccdf:refine-rule idref="xccdf_org.example_rule_b" severity="high"/>
+    <xccdf:select idref="xccdf_org.example_rule_b2" selected="false"/>
+    <!--2.1: Two-->
+    <xccdf:refine-rule idref="xccdf_org.example_rule_c" severity="low"/>
+    <xccdf:set-value idref="xccdf_org.example_value_d">5</xccdf:set-value>
+  </xccdf:Profile>
+</xccdf:Tailoring>`;
+
+const BENCHMARK = `<?xml version="1.0"?>
+<Benchmark xmlns="http://checklists.nist.gov/xccdf/1.2" id="xccdf_org.example_benchmark_b">
+  <title>Example</title>
+  <version>1.0</version>
+  <Rule id="xccdf_org.example_rule_a" severity="medium"><title>Rule A</title></Rule>
+  <Rule id="xccdf_org.example_rule_b" severity="medium"><title>Rule B</title></Rule>
+  <Value id="xccdf_org.example_value_d" type="number"><title>Days</title><value>7</value></Value>
+</Benchmark>`;
+
+const data = parseTailoring(TAILORING);
+const profile = data.profiles[0];
+const generatedAt = new Date('2026-02-03T04:05:00Z');
+
+// Text of the tbody rows of the table that follows a heading
+const rowsAfter = (report, heading) => report.split(heading)[1].split('</tbody>')[0].split('<tbody>')[1].trim().split('\n');
+
+test('escapes document text and lists the profile metadata', () => {
+  const report = tailoringToHtml(data, profile, { generatedAt });
+  assert.match(report, /<title>Tailoring report: Servers &amp; more<\/title>/);
+  assert.match(report, /Legacy app needs &lt;it&gt; &amp; more<br><span class="muted">Owner: ops · Ticket: SEC-1<\/span>/);
+  assert.match(report, /<dt>Extends<\/dt><dd><code>xccdf_org.example_profile_cis<\/code><\/dd>/);
+  assert.match(report, /Generated 2026-02-03 04:05 UTC/);
+  assert.doesNotMatch(report, /<it>/);
+});
+
+test('counts rules by effective severity and selection state', () => {
+  const withoutCatalog = rowsAfter(tailoringToHtml(data, profile, { generatedAt }), 'Rules by severity and selection');
+  assert.deepEqual(withoutCatalog.map(row => row.replace(/<[^>]+>/g, ' ').trim().split(/\s+/)), [
+    ['high', '0', '1', '0', '1'],
+    ['low', '0', '0', '1', '1'],
+    ['Benchmark', 'default', '1', '1', '0', '2'],
+    ['Total', '1', '2', '1', '4']
+  ]);
+
+  const withCatalog = rowsAfter(tailoringToHtml(data, profile, { catalog: parseBenchmark(BENCHMARK), generatedAt }), 'Rules by severity and selection');
+  assert.equal(withCatalog[1].replace(/<[^>]+>/g, ' ').trim().split(/\s+/).join(' '), 'medium 1 0 0 1');
+});
+
+test('groups deviations by top-level section with unnumbered rules last', () => {
+  const report = tailoringToHtml(data, profile, { generatedAt });
+  const deviations = report.split('<h2>Rule deviations</h2>')[1].split('<h2>')[0];
+  assert.deepEqual([...deviations.matchAll(/<h3>(.*?)<\/h3>/g)].map(m => m[1]), ['Section 1', 'Section 2', 'Unsectioned']);
+  assert.deepEqual([...deviations.matchAll(/<code>(.*?)<\/code>/g)].map(m => m[1].replace('xccdf_org.example_rule_', '')), ['b', 'a', 'c', 'b2']);
+});
+
+test('shows benchmark titles, severities and variable defaults when a catalog is given', () => {
+  const report = tailoringToHtml(data, profile, { catalog: parseBenchmark(BENCHMARK), generatedAt });
+  assert.match(report, /Rule B<br><code>xccdf_org.example_rule_b<\/code>/);
+  assert.match(report, /Severity medium → high/);
+  assert.match(report, /Days<br><code>xccdf_org.example_value_d<\/code><\/td><td><code>5<\/code><\/td><td><code>7<\/code><\/td>/);
+});
+
+test('reports a profile without rule changes', () => {
+  const empty = { ...profile, items: profile.items.filter(item => item.type === 'set-value') };
+  const report = tailoringToHtml(data, empty, { generatedAt });
+  assert.match(report, /The profile does not change any rules\./);
+  assert.doesNotMatch(report, /does not override any variables/);
+  assert.equal(reportFileName(profile), 'p-report.html');
+});
@@ -0,0 +1,192 @@
+// Effective state of a tailored profile: the benchmark's defaults, then the chain of
+// Benchmark Profiles the tailoring extends, then the tailoring's own rows on top.
+
+import { escapeText, attrs } from './xml.js';
+import { XCCDF_NAMESPACES, hasException } from './tailoring.js';
+
+// The Benchmark Profiles `profileId` stands on, base first; a cycle stops at the repeat
+const profileChain = (catalog, profileId) => {
+  const chain = [];
+  const seen = new Set();
+  for (let id = profileId; id && !seen.has(id) && catalog.profiles?.has(id); id = catalog.profiles.get(id).extends) {
+    seen.add(id);
+    chain.unshift(catalog.profiles.get(id));
+  }
+  return chain;
+};
+
+const selectorValue = (catalog, idref, selector) =>
+  catalog.values.get(idref)?.selectors.find(option => option.selector === selector)?.value;
+
+// { selected, severities, values } maps with the benchmark's own defaults
+const benchmarkDefaults = (catalog) => ({
+  selected: new Map([...(catalog.groups || new Map()).values(), ...catalog.rules.values()].map(entry => [entry.id, entry.selected !== false])),
+  severities: new Map([...catalog.rules.values()].map(rule => [rule.id, rule.severity])),
+  values: new Map([...catalog.values.values()].map(value => [value.id, value.defaultValue]))
+});
+
+const copyState = (state) => ({
+  selected: new Map(state.selected),
+  severities: new Map(state.severities),
+  values: new Map(state.values)
+});
+
+// A set-value takes precedence over a refine-value selector of the same profile
+const applyBenchmarkProfile = (state, profile, catalog) => {
+  profile.selects.forEach(([idref, selected]) => state.selected.set(idref, selected));
+  profile.refineRules.forEach(([idref, severity]) => severity && state.severities.set(idref, severity));
+  profile.refineValues.forEach(([idref, selector]) => {
+    const value = selectorValue(catalog, idref, selector);
+    if (value !== undefined) state.values.set(idref, value);
+  });
+  profile.setValues.forEach(([idref, value]) => state.values.set(idref, value));
+};
+
+// What a tailoring row sets, as [map, idref, value] entries of the state
+const rowSettings = (item, catalog) => {
+  if (item.type === 'select') {
+    return [
+      ...(item.value === 'true' || item.value === 'false' ? [['selected', item.idref, item.value === 'true']] : []),
+      ...(item.severity && item.severity !== 'default' ? [['severities', item.idref, item.severity]] : [])
+    ];
+  }
+  if (item.value !== null && item.value !== undefined) return [['values', item.idref, item.value]];
+  const value = item.selector ? selectorValue(catalog, item.idref, item.selector) : undefined;
+  return value === undefined ? [] : [['values', item.idref, value]];
+};
+
+// Refinements the resolution does not track; a row carrying any of them always changes something
+const untracked = (item, catalog) => (item.type === 'select'
+  ? !!(item.role || item.weight || item.selector)
+  : !!(item.operator && item.operator !== catalog.values.get(item.idref)?.operator)
+    || (!!item.selector && selectorValue(catalog, item.idref, item.selector) === undefined));
+
+const isKnown = (item, catalog) => (item.type === 'select'
+  ? catalog.rules.has(item.idref) || !!catalog.groups?.has(item.idref)
+  : catalog.values.has(item.idref));
+
+// State of the base the tailoring extends: the defaults with the Benchmark Profile chain applied
+const baseState = (profile, catalog) => {
+  const chain = profileChain(catalog, profile.profileExtends);
+  const base = benchmarkDefaults(catalog);
+  chain.forEach(benchmarkProfile => applyBenchmarkProfile(base, benchmarkProfile, catalog));
+  return { chain, base };
+};
+
+// A Rule is evaluated only when it and every Group around it are selected
+const isEvaluated = (state, rule) => state.selected.get(rule.id) && (rule.groups || []).every(id => state.selected.get(id) !== false);
+
+/**
+ * Resolves `profile` against the loaded benchmark `catalog`. Every tailoring row gets a
+ * status: 'overridden' when it changes the base profile's state, 'no-op' when the base
+ * already has what it sets. Rows for IDs the benchmark does not define count as overridden.
+ * Returns {
+ *   baseFound,  // whether profileExtends names a Benchmark Profile (else the defaults are the base)
+ *   rowStatus,  // Map item uuid -> 'overridden' | 'no-op'
+ *   redundant,  // uuids of no-op rows without an exception, safe to remove
+ *   rules,      // every benchmark Rule: { id, title, selected, severity, base: { selected, severity }, status }
+ *   values      // every benchmark Value: { id, title, value, base, status }
+ * }
+ * where a Rule or Value status is 'overridden', 'no-op' (only no-op rows touch it) or 'inherited'.
+ */
+export const resolveProfile = (profile, catalog) => {
+  const { chain, base } = baseState(profile, catalog);
+  const state = copyState(base);
+  const rowStatus = new Map();
+  const touched = new Set();
+  profile.items.forEach(item => {
+    const settings = rowSettings(item, catalog);
+    const changes = !isKnown(item, catalog) || untracked(item, catalog)
+      || settings.some(([map, idref, value]) => base[map].get(idref) !== value);
+    rowStatus.set(item.uuid, changes ? 'overridden' : 'no-op');
+    settings.forEach(([map, idref, value]) => state[map].set(idref, value));
+    touched.add(item.idref);
+  });
+
+  const ruleGroupsTouched = (rule) => touched.has(rule.id) || (rule.groups || []).some(id => touched.has(id));
+  const status = (changed, wasTouched) => (changed ? 'overridden' : wasTouched ? 'no-op' : 'inherited');
+  const overriddenRows = new Set(profile.items.filter(item => rowStatus.get(item.uuid) === 'overridden').map(item => item.idref));
+
+  const rules = [...catalog.rules.values()].map(rule => {
+    const selected = !!isEvaluated(state, rule);
+    const baseSelected = !!isEvaluated(base, rule);
+    const severity = state.severities.get(rule.id);
+    const baseSeverity = base.severities.get(rule.id);
+    return {
+      id: rule.id,
+      title: rule.title,
+      selected,
+      severity,
+      base: { selected: baseSelected, severity: baseSeverity },
+      status: status(selected !== baseSelected || severity !== baseSeverity || overriddenRows.has(rule.id), ruleGroupsTouched(rule))
+    };
+  });
+  const values = [...catalog.values.values()].map(entry => ({
+    id: entry.id,
+    title: entry.title,
+    value: state.values.get(entry.id),
+    base: base.values.get(entry.id),
+    status: status(state.values.get(entry.id) !== base.values.get(entry.id) || overriddenRows.has(entry.id), touched.has(entry.id))
+  }));
+
+  return {
+    baseFound: !profile.profileExtends || chain.length > 0,
+    rowStatus,
+    redundant: profile.items
+      .filter(item => rowStatus.get(item.uuid) === 'no-op' && !hasException(item.exception))
+      .map(item => item.uuid),
+    rules,
+    values
+  };
+};
+
+/**
+ * Writes the resolved profile as a standalone XCCDF <Profile> that extends nothing: a
+ * select for every Group and Rule, a refine-rule where the severity differs from the
+ * Rule's own or the tailoring refines role, weight or selector, and a set-value for
+ * every Value. It can be pasted into the benchmark or handed to tools that do not
+ * read tailorings.
+ */
+export const resolvedProfileXml = (data, profile, catalog) => {
+  const state = copyState(baseState(profile, catalog).base);
+  profile.items.forEach(item => rowSettings(item, catalog).forEach(([map, idref, value]) => state[map].set(idref, value)));
+
+  const refinements = new Map();
+  profile.items.forEach(item => {
+    if (item.type === 'select' && catalog.rules.has(item.idref)) {
+      refinements.set(item.idref, { ...refinements.get(item.idref), role: item.role, weight: item.weight, selector: item.selector });
+    }
+  });
+  const operators = new Map(profile.items
+    .filter(item => item.type === 'set-value' && item.operator && catalog.values.has(item.idref))
+    .map(item => [item.idref, item.operator]));
+
+  const lines = [];
+  [...(catalog.groups || new Map()).keys(), ...catalog.rules.keys()].forEach(id => {
+    lines.push(`<select${attrs([['idref', id], ['selected', state.selected.get(id)]])}/>`);
+  });
+  catalog.rules.forEach(rule => {
+    const severity = state.severities.get(rule.id);
+    const refined = refinements.get(rule.id) || {};
+    const pairs = [['severity', severity !== rule.severity ? severity : ''], ['role', refined.role], ['weight', refined.weight], ['selector', refined.selector]];
+    if (pairs.some(([, value]) => value)) lines.push(`<refine-rule${attrs([['idref', rule.id], ...pairs])}/>`);
+  });
+  operators.forEach((operator, idref) => lines.push(`<refine-value${attrs([['idref', idref], ['operator', operator]])}/>`));
+  catalog.values.forEach(entry => {
+    lines.push(`<set-value${attrs([['idref', entry.id]])}>${escapeText(state.values.get(entry.id) ?? '')}</set-value>`);
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<Profile${attrs([['xmlns', XCCDF_NAMESPACES[data.xccdfVersion || '1.2']], ['id', profile.profileId]])}>`,
+    `  <title>${escapeText(profile.profileTitle || profile.profileId)}</title>`,
+    ...(profile.profileDesc ? [`  <description>${escapeText(profile.profileDesc)}</description>`] : []),
+    ...lines.map(line => `  ${line}`),
+    '</Profile>',
+    ''
+  ].join('\n');
+};
+
+// File name for a profile's flattened export, e.g. "cis_level2_server_customized-resolved.xml"
+export const resolvedFileName = (profile) =>
+  `${(profile.profileId || 'profile').replace(/^xccdf_[^_]+_profile_/, '')}-resolved.xml`;
@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBenchmark, parseTailoring, resolveProfile, resolvedProfileXml, resolvedFileName } from './node.js';
+
+const BENCHMARK = `<?xml version="1.0"?>
+<Benchmark xmlns="http://checklists.nist.gov/xccdf/1.2" id="xccdf_org.example_benchmark_b">
+  <title>Example</title>
+  <Profile id="xccdf_org.example_profile_base">
+    <title>Base</title>
+    <select idref="xccdf_org.example_rule_ssh" selected="true"/>
+    <select idref="xccdf_org.example_rule_cramfs" selected="true"/>
+    <refine-value idref="xccdf_org.example_value_minlen" selector="14"/>
+  </Profile>
+  <Profile id="xccdf_org.example_profile_server" extends="xccdf_org.example_profile_base">
+    <title>Server</title>
+    <select idref="xccdf_org.example_rule_cramfs" selected="false"/>
+    <refine-rule idref="xccdf_org.example_rule_ssh" severity="high"/>
+  </Profile>
+  <Value id="xccdf_org.example_value_minlen" type="number">
+    <title>Minimum length</title>
+    <value>15</value>
+    <value selector="14">14</value>
+  </Value>
+  <Group id="xccdf_org.example_group_fs">
+    <title>Filesystems</title>
+    <Rule id="xccdf_org.example_rule_cramfs" selected="false" severity="low"><title>Disable cramfs</title></Rule>
+    <Rule id="xccdf_org.example_rule_tmp" severity="medium"><title>Separate /tmp</title></Rule>
+  </Group>
+  <Rule id="xccdf_org.example_rule_ssh" selected="false" severity="medium"><title>Disable SSH root login</title></Rule>
+</Benchmark>`;
+
+const tailoring = (rows) => parseTailoring(`<?xml version="1.0"?>
+<Tailoring xmlns="http://checklists.nist.gov/xccdf/1.2" id="xccdf_org.example_tailoring_t">
+  <benchmark href="b.xml"/>
+  <version time="2026-01-01T00:00:00Z">1</version>
+  <Profile id="xccdf_org.example_profile_custom" extends="xccdf_org.example_profile_server">
+    <title>Custom</title>
+    ${rows}
+  </Profile>
+</Tailoring>`);
+
+const catalog = parseBenchmark(BENCHMARK);
+const short = (id) => id.replace(/^xccdf_org\.example_[a-z]+_/, '');
+
+test('reads Groups, default selection and Profiles from the benchmark', () => {
+  assert.deepEqual(catalog.rules.get('xccdf_org.example_rule_cramfs').groups, ['xccdf_org.example_group_fs']);
+  assert.equal(catalog.rules.get('xccdf_org.example_rule_ssh').selected, false);
+  assert.equal(catalog.groups.get('xccdf_org.example_group_fs').selected, true);
+  const server = catalog.profiles.get('xccdf_org.example_profile_server');
+  assert.equal(server.extends, 'xccdf_org.example_profile_base');
+  assert.deepEqual(server.selects, [['xccdf_org.example_rule_cramfs', false]]);
+  assert.deepEqual(server.refineRules, [['xccdf_org.example_rule_ssh', 'high']]);
+});
+
+test('resolves the base profile chain and marks rows overridden or no-op', () => {
+  const data = tailoring(`
+    <select idref="xccdf_org.example_rule_ssh" selected="true"/>
+    <select idref="xccdf_org.example_rule_cramfs" selected="true"/>
+    <set-value idref="xccdf_org.example_value_minlen">14</set-value>`);
+  const [ssh, cramfs, minlen] = data.profiles[0].items;
+  const resolved = resolveProfile(data.profiles[0], catalog);
+  assert.equal(resolved.baseFound, true);
+  assert.equal(resolved.rowStatus.get(ssh.uuid), 'no-op');
+  assert.equal(resolved.rowStatus.get(cramfs.uuid), 'overridden');
+  assert.equal(resolved.rowStatus.get(minlen.uuid), 'no-op');
+  assert.deepEqual(resolved.redundant, [ssh.uuid, minlen.uuid]);
+  assert.deepEqual(
+    resolved.rules.map(rule => [short(rule.id), rule.selected, rule.severity, rule.status]),
+    [['cramfs', true, 'low', 'overridden'], ['tmp', true, 'medium', 'inherited'], ['ssh', true, 'high', 'no-op']]
+  );
+  assert.deepEqual(resolved.values.map(value => [short(value.id), value.value, value.status]), [['minlen', '14', 'no-op']]);
+});
+
+test('deselecting a Group overrides the Rules in it; exceptions keep no-op rows', () => {
+  const data = tailoring(`
+    <select idref="xccdf_org.example_group_fs" selected="false"/>
+    <select idref="xccdf_org.example_rule_ssh" selected="true"/>`);
+  data.profiles[0].items[1].exception = { justification: 'Audited' };
+  const resolved = resolveProfile(data.profiles[0], catalog);
+  assert.deepEqual(resolved.rules.map(rule => [short(rule.id), rule.selected, rule.status]), [
+    ['cramfs', false, 'no-op'],
+    ['tmp', false, 'overridden'],
+    ['ssh', true, 'no-op']
+  ]);
+  assert.deepEqual(resolved.redundant, []);
+});
+
+test('falls back to the benchmark defaults when the base profile is unknown', () => {
+  const data = tailoring('<select idref="xccdf_org.example_rule_nope" selected="true"/>');
+  const profile = { ...data.profiles[0], profileExtends: 'xccdf_org.example_profile_missing' };
+  const resolved = resolveProfile(profile, catalog);
+  assert.equal(resolved.baseFound, false);
+  assert.equal(resolved.rowStatus.get(profile.items[0].uuid), 'overridden');
+  assert.deepEqual(resolved.rules.map(rule => rule.selected), [false, true, false]);
+});
+
+test('exports the flattened profile without extends', () => {
+  const data = tailoring(`
+    <select idref="xccdf_org.example_rule_tmp" selected="false"/>
+    <refine-rule idref="xccdf_org.example_rule_tmp" role="unscored"/>`);
+  assert.equal(resolvedProfileXml(data, data.profiles[0], catalog), `<?xml version="1.0" encoding="UTF-8"?>
+<Profile xmlns="http://checklists.nist.gov/xccdf/1.2" id="xccdf_org.example_profile_custom">
+  <title>Custom</title>
+  <select idref="xccdf_org.example_group_fs" selected="true"/>
+  <select idref="xccdf_org.example_rule_cramfs" selected="false"/>
+  <select idref="xccdf_org.example_rule_tmp" selected="false"/>
+  <select idref="xccdf_org.example_rule_ssh" selected="true"/>
+  <refine-rule idref="xccdf_org.example_rule_tmp" role="unscored"/>
+  <refine-rule idref="xccdf_org.example_rule_ssh" severity="high"/>
+  <set-value idref="xccdf_org.example_value_minlen">14</set-value>
+</Profile>
+`);
+  assert.equal(resolvedFileName(data.profiles[0]), 'custom-resolved.xml');
+});
@@ -0,0 +1,59 @@
+// Main-thread side of worker.js: runs whole-document operations in a Web Worker, or on
+// the main thread where no worker can be started.
+
+import { serializeTailoring } from './tailoring.js';
+import { parseBenchmark, parseScanResults } from './benchmark.js';
+import { parseTailoringDocument } from './cac.js';
+
+// What worker.js can run; results are plain objects and Maps, which survive postMessage
+export const WORKER_OPERATIONS = { parseTailoringDocument, serializeTailoring, parseBenchmark, parseScanResults };
+
+const runInline = ({ operation, args, resolve, reject }) => {
+  try {
+    resolve(WORKER_OPERATIONS[operation](...args));
+  } catch (err) {
+    reject(err);
+  }
+};
+
+/**
+ * Returns `run(operation, ...args)`, which resolves with what the WORKER_OPERATIONS
+ * function returns. `startWorker` is called on the first run and returns a Worker for
+ * worker.js, or null where workers are unavailable. If the worker fails to start, the
+ * calls waiting on it and every later one run on the main thread.
+ */
+export const createWorkerRunner = (startWorker) => {
+  let worker = null; // false once it is known that there is none
+  let callCount = 0;
+  const pendingCalls = new Map(); // call id -> { operation, args, resolve, reject }
+
+  const start = () => {
+    const started = startWorker();
+    if (!started) return false;
+    started.onmessage = ({ data }) => {
+      const pending = pendingCalls.get(data.id);
+      pendingCalls.delete(data.id);
+      if (data.error) pending.reject(new Error(data.error));
+      else pending.resolve(data.result);
+    };
+    started.onerror = () => {
+      started.terminate();
+      worker = false;
+      pendingCalls.forEach(runInline);
+      pendingCalls.clear();
+    };
+    return started;
+  };
+
+  return (operation, ...args) => new Promise((resolve, reject) => {
+    const call = { operation, args, resolve, reject };
+    if (worker === null) worker = start();
+    if (!worker) {
+      runInline(call);
+      return;
+    }
+    const id = ++callCount;
+    pendingCalls.set(id, call);
+    worker.postMessage({ id, operation, args });
+  });
+};
@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorkerRunner, parseTailoring, serializeTailoring } from './node.js';
+
+const SAMPLE = `<?xml version="1.0" encoding="UTF-8"?>
+<Tailoring xmlns="http://checklists.nist.gov/xccdf/1.2" id="xccdf_org.example_tailoring_t">
+  <benchmark href="ssg-ds.xml"/>
+  <version time="2024-01-01T00:00:00">1</version>
+  <Profile id="xccdf_org.example_profile_p" extends="xccdf_org.example_profile_cis">
+    <title>P</title>
+    <select idref="xccdf_org.example_rule_a" selected="true"/>
+  </Profile>
+</Tailoring>`;
+
+// worker.js itself, wired to a fake Worker: messages go through its onmessage handler
+const messages = [];
+globalThis.self = { postMessage: (message) => messages.push(message) };
+await import('./worker.js');
+const workerScope = globalThis.self;
+
+class FakeWorker {
+  constructor({ fail = false } = {}) {
+    this.fail = fail;
+    this.terminated = false;
+    this.posted = 0;
+  }
+
+  postMessage(message) {
+    this.posted++;
+    setTimeout(() => {
+      if (this.fail) return this.onerror(new Error('module workers are not supported'));
+      messages.length = 0;
+      workerScope.onmessage({ data: structuredClone(message) });
+      this.onmessage({ data: messages[0] });
+    });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+test('runs operations in the worker and returns their results', async () => {
+  const worker = new FakeWorker();
+  const run = createWorkerRunner(() => worker);
+  const data = await run('parseTailoringDocument', SAMPLE);
+  assert.equal(data.profiles[0].items[0].idref, 'xccdf_org.example_rule_a');
+  assert.equal(await run('serializeTailoring', { ...data, keepVersionTime: true }), SAMPLE);
+  assert.equal(worker.posted, 2);
+});
+
+test('rejects with the message of an error thrown in the worker', async () => {
+  const run = createWorkerRunner(() => new FakeWorker());
+  await assert.rejects(run('parseTailoringDocument', '<Tailoring'), /Invalid XML/);
+});
+
+test('falls back to the main thread when there is no worker or it fails to start', async () => {
+  let starts = 0;
+  const inline = createWorkerRunner(() => { starts++; return null; });
+  assert.equal((await inline('parseTailoringDocument', SAMPLE)).tailoringId, 'xccdf_org.example_tailoring_t');
+  await inline('parseTailoringDocument', SAMPLE);
+  assert.equal(starts, 1);
+
+  const broken = new FakeWorker({ fail: true });
+  const run = createWorkerRunner(() => broken);
+  const data = parseTailoring(SAMPLE);
+  const waiting = [run('serializeTailoring', { ...data, keepVersionTime: true }), run('parseTailoringDocument', SAMPLE)];
+  const [xml, parsed] = await Promise.all(waiting);
+  assert.equal(xml, serializeTailoring({ ...data, keepVersionTime: true }));
+  assert.equal(parsed.profiles.length, 1);
+  assert.equal(broken.terminated, true);
+  await run('parseTailoringDocument', SAMPLE);
+  assert.equal(broken.posted, 2);
+});
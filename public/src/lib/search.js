@@ -0,0 +1,212 @@
+// Rule search: a lowercased haystack per row, cached by row object so only rows changed
+// since the last search (edits create new row objects) are indexed again, and the query
+// language of the search box.
+
+import { RULE_ROLES, hasException } from './tailoring.js';
+import { sectionOf, isRefined } from './sections.js';
+import { SEVERITIES } from './validation.js';
+
+const haystacks = new WeakMap();
+
+// ID, comment and title, one per line: `raw` for /regex/ terms, `text` lowercased for words
+const haystackOf = (item, title) => {
+  const cached = haystacks.get(item);
+  if (cached && cached.title === title) return cached;
+  const raw = [item.idref, item.comment, title].filter(Boolean).join('\n');
+  const haystack = { title, raw, text: raw.toLowerCase() };
+  haystacks.set(item, haystack);
+  return haystack;
+};
+
+/**
+ * `entryOf(item)` supplies the benchmark Rule/Value of a row when a catalog is loaded; its
+ * title is searchable and its severity counts for rules whose severity is not refined.
+ */
+export const buildSearchIndex = (items, entryOf = () => null) => items.map(item => {
+  const entry = entryOf(item);
+  const severity = item.type !== 'select' ? null
+    : item.severity && item.severity !== 'default' ? item.severity
+      : entry?.severity || 'default';
+  const { raw, text } = haystackOf(item, entry?.title || '');
+  return { item, severity, raw, text };
+});
+
+const YES = ['yes', 'true'];
+const NO = ['no', 'false'];
+
+const oneOf = (field, value, allowed) => {
+  if (!allowed.includes(value)) throw new Error(`${field}: expects ${allowed.join(', ')}.`);
+  return value;
+};
+
+const yesNo = (field, value) => YES.includes(oneOf(field, value, [...YES, ...NO]));
+
+// "1.1.*" -> /^1\.1\..*$/
+const sectionPattern = (glob) => new RegExp(`^${glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+
+/**
+ * Query fields, each turning its value into a test of an index entry. Values are
+ * case-insensitive; "section" takes * wildcards.
+ */
+const FIELDS = {
+  type: (value) => {
+    const type = oneOf('type', value, ['rule', 'var']) === 'rule' ? 'select' : 'set-value';
+    return ({ item }) => item.type === type;
+  },
+  severity: (value) => {
+    oneOf('severity', value, [...SEVERITIES, 'default']);
+    return ({ severity }) => severity === value;
+  },
+  selected: (value) => {
+    const state = { yes: 'true', true: 'true', no: 'false', false: 'false', default: 'default' }[value];
+    if (!state) throw new Error('selected: expects yes, no or default.');
+    return ({ item }) => item.type === 'select' && item.value === state;
+  },
+  section: (value) => {
+    const pattern = sectionPattern(value);
+    return ({ item }) => pattern.test(sectionOf(item) || '');
+  },
+  refined: (value) => {
+    const wanted = yesNo('refined', value);
+    return ({ item }) => isRefined(item) === wanted;
+  },
+  role: (value) => {
+    oneOf('role', value, RULE_ROLES);
+    return ({ item }) => item.role === value;
+  },
+  exception: (value) => {
+    const wanted = yesNo('exception', value);
+    return ({ item }) => hasException(item.exception) === wanted;
+  }
+};
+
+// Words, "quoted phrases" (also as field values), /regex/flags, parentheses
+const tokenize = (query) => {
+  const tokens = [];
+  let i = 0;
+  while (i < query.length) {
+    const ch = query[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '(' || ch === ')') {
+      tokens.push({ kind: ch });
+      i++;
+    } else if (ch === '/') {
+      let end = i + 1;
+      while (end < query.length && query[end] !== '/') end += query[end] === '\\' ? 2 : 1;
+      if (end >= query.length) throw new Error('Unterminated /regex/.');
+      const flags = query.slice(end + 1).match(/^[a-z]*/)[0];
+      tokens.push({ kind: 'regex', source: query.slice(i + 1, end), flags });
+      i = end + 1 + flags.length;
+    } else {
+      let word = '';
+      let quoted = false;
+      while (i < query.length && !/[\s()]/.test(query[i])) {
+        if (query[i] === '"') {
+          const close = query.indexOf('"', i + 1);
+          if (close === -1) throw new Error('Unterminated "quote".');
+          word += query.slice(i + 1, close);
+          quoted = true;
+          i = close + 1;
+        } else {
+          word += query[i++];
+        }
+      }
+      tokens.push(!quoted && ['AND', 'OR', 'NOT'].includes(word) ? { kind: word } : { kind: 'word', word });
+    }
+  }
+  return tokens;
+};
+
+const wordTest = (word) => {
+  const colon = word.indexOf(':');
+  const field = colon > 0 ? word.slice(0, colon).toLowerCase() : null;
+  if (field && FIELDS[field]) {
+    const value = word.slice(colon + 1).toLowerCase();
+    if (!value) throw new Error(`${field}: needs a value.`);
+    return FIELDS[field](value);
+  }
+  const needle = word.toLowerCase();
+  return ({ text }) => text.includes(needle);
+};
+
+// ^ and $ anchor at each of ID, comment and title; case-insensitive unless flags are given.
+// g and y are dropped: they would make test() resume where the previous row matched.
+const regexTest = ({ source, flags }) => {
+  let pattern;
+  try {
+    pattern = new RegExp(source, `${flags.replace(/[gym]/g, '') || (flags ? '' : 'i')}m`);
+  } catch (err) {
+    throw new Error(`Invalid regular expression /${source}/: ${err.message}`);
+  }
+  return ({ raw }) => pattern.test(raw);
+};
+
+// or := and (OR and)* ; and := not (AND? not)* ; not := NOT not | primary
+const parseTokens = (tokens) => {
+  let pos = 0;
+  const peek = () => tokens[pos]?.kind;
+
+  const parseOr = () => {
+    const tests = [parseAnd()];
+    while (peek() === 'OR') {
+      pos++;
+      tests.push(parseAnd());
+    }
+    return tests.length === 1 ? tests[0] : (entry) => tests.some(test => test(entry));
+  };
+  const parseAnd = () => {
+    const tests = [parseNot()];
+    while (peek() && peek() !== 'OR' && peek() !== ')') {
+      if (peek() === 'AND') pos++;
+      tests.push(parseNot());
+    }
+    return tests.length === 1 ? tests[0] : (entry) => tests.every(test => test(entry));
+  };
+  const parseNot = () => {
+    if (peek() !== 'NOT') return parsePrimary();
+    pos++;
+    const test = parseNot();
+    return (entry) => !test(entry);
+  };
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error('The query ends too early.');
+    if (token.kind === '(') {
+      const test = parseOr();
+      if (tokens[pos++]?.kind !== ')') throw new Error('Missing ")".');
+      return test;
+    }
+    if (token.kind === 'word') return wordTest(token.word);
+    if (token.kind === 'regex') return regexTest(token);
+    throw new Error(`Unexpected "${token.kind}".`);
+  };
+
+  const test = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].kind}".`);
+  return test;
+};
+
+/**
+ * Parses a search query into a test of index entries. Space-separated terms must all
+ * match; terms combine with AND, OR, NOT and parentheses. A term is a word or "phrase"
+ * (found in the ID, comment or title), a /regex/ over the same fields, or a field filter:
+ *   type:rule|var  severity:high  selected:yes|no|default  section:1.1.*
+ *   refined:yes|no  role:unscored  exception:yes|no
+ * An invalid query reports `error` and falls back to matching the text as typed.
+ */
+export const parseQuery = (query) => {
+  if (!query.trim()) return { test: () => true, error: null };
+  try {
+    return { test: parseTokens(tokenize(query)), error: null };
+  } catch (err) {
+    const needle = query.toLowerCase();
+    return { test: ({ text }) => text.includes(needle), error: err.message };
+  }
+};
+
+// Rows matching the query, in profile order
+export const searchItems = (index, query) => {
+  const { test } = typeof query === 'string' ? parseQuery(query) : query;
+  return index.filter(test).map(entry => entry.item);
+};
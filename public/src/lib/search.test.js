@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSearchIndex, searchItems, parseQuery, createItem } from './node.js';
+
+const items = [
+  createItem('select', 'xccdf_org.example_rule_mount_cramfs', { comment: '1.1.1.1: Ensure cramfs is disabled' }),
+  createItem('select', 'xccdf_org.example_rule_sshd_root', { comment: '', value: 'false', severity: 'high', role: 'unscored' }),
+  createItem('set-value', 'xccdf_org.example_value_minlen', { value: '14', comment: '5.3.1: Password length' }),
+  createItem('select', 'xccdf_org.example_rule_mount_tmp', {
+    comment: '1.1.2: /tmp is a separate partition',
+    value: 'default',
+    exception: { justification: 'Cloud images' }
+  })
+];
+const catalog = {
+  'xccdf_org.example_rule_sshd_root': { title: 'Disable SSH Root Login', severity: 'medium' },
+  'xccdf_org.example_rule_mount_cramfs': { title: 'Disable cramfs', severity: 'low' }
+};
+const index = buildSearchIndex(items, item => catalog[item.idref]);
+const ids = (query, from = index) => searchItems(from, query).map(item => item.idref.replace(/^xccdf_org\.example_(rule|value)_/, ''));
+
+test('matches IDs, comments and catalog titles case-insensitively, in profile order', () => {
+  assert.deepEqual(ids(''), ['mount_cramfs', 'sshd_root', 'minlen', 'mount_tmp']);
+  assert.deepEqual(ids('CRAMFS'), ['mount_cramfs']);
+  assert.deepEqual(ids('root login'), ['sshd_root']);
+  assert.deepEqual(ids('"ssh root"'), ['sshd_root']);
+  assert.deepEqual(ids('nothing'), []);
+});
+
+test('re-indexes a row when its object or its title changes', () => {
+  const edited = items.map((item, i) => (i === 1 ? { ...item, comment: '5.2.10: remote access' } : item));
+  assert.deepEqual(searchItems(buildSearchIndex(edited), 'remote').map(item => item.uuid), [items[1].uuid]);
+  assert.deepEqual(searchItems(buildSearchIndex(items), 'remote'), []);
+  assert.equal(searchItems(buildSearchIndex(items, () => ({ title: 'Remote' })), 'remote').length, 4);
+});
+
+test('filters on fields', () => {
+  assert.deepEqual(ids('type:var'), ['minlen']);
+  assert.deepEqual(ids('type:rule selected:false'), ['sshd_root']);
+  assert.deepEqual(ids('selected:yes'), ['mount_cramfs']);
+  assert.deepEqual(ids('selected:default'), ['mount_tmp']);
+  assert.deepEqual(ids('section:1.1.*'), ['mount_cramfs', 'mount_tmp']);
+  assert.deepEqual(ids('section:1.1.2'), ['mount_tmp']);
+  assert.deepEqual(ids('refined:yes type:rule'), ['sshd_root']);
+  assert.deepEqual(ids('role:unscored'), ['sshd_root']);
+  assert.deepEqual(ids('exception:yes'), ['mount_tmp']);
+  assert.deepEqual(ids('Severity:HIGH'), ['sshd_root']);
+});
+
+test('takes the benchmark severity of rules that do not refine it', () => {
+  assert.deepEqual(ids('severity:low'), ['mount_cramfs']);
+  assert.deepEqual(ids('severity:default'), ['mount_tmp']);
+  assert.deepEqual(ids('severity:low', buildSearchIndex(items)), []);
+});
+
+test('combines terms with AND, OR, NOT and parentheses', () => {
+  assert.deepEqual(ids('mount AND NOT cramfs'), ['mount_tmp']);
+  assert.deepEqual(ids('type:var OR selected:false'), ['sshd_root', 'minlen']);
+  assert.deepEqual(ids('NOT (type:var OR section:1.*)'), ['sshd_root']);
+  assert.deepEqual(ids('mount (cramfs OR tmp) NOT exception:yes'), ['mount_cramfs']);
+  assert.deepEqual(ids('not'), [], 'lowercase keywords are plain words');
+});
+
+test('matches /regex/ against the searchable text', () => {
+  assert.deepEqual(ids('/^xccdf_org\\.example_rule_mount_/'), ['mount_cramfs', 'mount_tmp']);
+  assert.deepEqual(ids('/SSH\\s+root/'), ['sshd_root']);
+  assert.deepEqual(ids('/_root$/'), ['sshd_root']);
+  assert.deepEqual(ids('/^Disable/'), ['mount_cramfs', 'sshd_root']);
+  assert.deepEqual(ids('/^disable/s'), [], 'explicit flags make it case-sensitive');
+  assert.deepEqual(ids('/^disable/gi'), ['mount_cramfs', 'sshd_root']);
+});
+
+test('reports invalid queries and falls back to a plain text match', () => {
+  const error = (query) => parseQuery(query).error;
+  assert.equal(error('severity:urgent'), 'severity: expects unknown, info, low, medium, high, default.');
+  assert.equal(error('selected:'), 'selected: needs a value.');
+  assert.equal(error('(cramfs'), 'Missing ")".');
+  assert.equal(error('cramfs OR'), 'The query ends too early.');
+  assert.match(error('/[/'), /^Invalid regular expression/);
+  assert.equal(error('1.1.1.1: Ensure'), null, 'unknown fields are plain words');
+  assert.deepEqual(ids('1.1.1.1: Ensure'), ['mount_cramfs']);
+  assert.deepEqual(ids('(cramfs'), []);
+  assert.deepEqual(ids('"cramfs'), []);
+});
@@ -0,0 +1,92 @@
+// CIS section numbers taken from rule comments ("1.1.1.1: Ensure ...").
+
+// "1.1.1.1: Ensure mounting of cramfs..." -> "1.1.1.1"
+const SECTION_PATTERN = /^\s*(\d+(?:\.\d+)*)(?=[\s:.)-]|$)/;
+
+export const sectionOf = (item) => {
+  const match = item.comment && item.comment.match(SECTION_PATTERN);
+  return match ? match[1].replace(/\.$/, '') : null;
+};
+
+const parentSection = (section) => (section.includes('.') ? section.slice(0, section.lastIndexOf('.')) : null);
+
+// Natural order: 1.2 < 1.10, and a section sorts before its own subsections
+export const compareSections = (a, b) => {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return left.length - right.length;
+};
+
+export const isRefined = (item) => (item.type === 'select'
+  ? (item.severity && item.severity !== 'default') || !!item.role || !!item.weight || !!item.selector
+  : true);
+
+/**
+ * Groups items into a section tree. A numbered rule ("1.1.1.1") sits under its parent
+ * section ("1.1.1"); each node lists its rules and subsections interleaved in natural
+ * order. Rows without a number are collected under an "Unsectioned" node at the end.
+ */
+export const buildSectionTree = (items) => {
+  const makeNode = (section) => ({
+    section,
+    entries: [],
+    counts: { enabled: 0, disabled: 0, refined: 0 },
+    uuids: []
+  });
+  const root = makeNode(null);
+  const nodes = new Map();
+  const unsectioned = makeNode('');
+
+  const nodeFor = (section) => {
+    if (nodes.has(section)) return nodes.get(section);
+    const node = makeNode(section);
+    nodes.set(section, node);
+    const parent = parentSection(section);
+    (parent ? nodeFor(parent) : root).entries.push({ section, node });
+    return node;
+  };
+
+  items.forEach(item => {
+    const section = sectionOf(item);
+    const home = section ? nodeFor(parentSection(section) || section) : unsectioned;
+    home.entries.push({ section: section || '', item });
+    const path = [home];
+    for (let key = parentSection(home.section || ''); key; key = parentSection(key)) path.push(nodes.get(key));
+    path.forEach(ancestor => {
+      ancestor.uuids.push(item.uuid);
+      if (item.type === 'select') ancestor.counts[item.value === 'false' ? 'disabled' : 'enabled']++;
+      if (isRefined(item)) ancestor.counts.refined++;
+    });
+  });
+
+  const sortEntries = (node) => {
+    node.entries.sort((a, b) => compareSections(a.section || '0', b.section || '0'));
+    node.entries.forEach(entry => entry.node && sortEntries(entry.node));
+  };
+  sortEntries(root);
+  const top = root.entries.map(entry => entry.node);
+  return unsectioned.uuids.length ? [...top, unsectioned] : top;
+};
+
+/**
+ * Reorders items into natural section order. Unnumbered rows travel with the numbered
+ * row above them (leading ones stay first), and the sort is stable for equal numbers.
+ */
+export const sortItemsBySection = (items) => {
+  const blocks = [];
+  items.forEach(item => {
+    const section = sectionOf(item);
+    if (section || !blocks.length) blocks.push({ section, items: [item] });
+    else blocks[blocks.length - 1].items.push(item);
+  });
+  return blocks
+    .map((block, index) => ({ ...block, index }))
+    .sort((a, b) => {
+      if (!a.section || !b.section) return a.section ? 1 : b.section ? -1 : a.index - b.index;
+      return compareSections(a.section, b.section) || a.index - b.index;
+    })
+    .flatMap(block => block.items);
+};
@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createItem, sectionOf, compareSections, buildSectionTree, sortItemsBySection } from './node.js';
+
+const rule = (comment, value = 'true') => createItem('select', `xccdf_org.example_rule_${comment || 'x'}`, { comment, value });
+
+test('reads the section number from the leading comment text', () => {
+  assert.equal(sectionOf(rule('1.1.1.1: Ensure mounting of cramfs is disabled')), '1.1.1.1');
+  assert.equal(sectionOf(rule('2 Services')), '2');
+  assert.equal(sectionOf(rule('5.2.10) Ensure SSH root login is disabled')), '5.2.10');
+  assert.equal(sectionOf(rule('Ensure AIDE is installed')), null);
+  assert.equal(sectionOf(rule('')), null);
+});
+
+test('orders sections naturally', () => {
+  const sorted = ['1.10', '1.2', '1', '1.1.1', '10', '2'].sort(compareSections);
+  assert.deepEqual(sorted, ['1', '1.1.1', '1.2', '1.10', '2', '10']);
+});
+
+test('sorts rows by section, keeping unnumbered rows with the row above', () => {
+  const items = [rule('1.10: Ten'), rule('untitled'), rule('1.2: Two'), rule('1.2: Two again')];
+  assert.deepEqual(sortItemsBySection(items).map(item => item.comment), ['1.2: Two', '1.2: Two again', '1.10: Ten', 'untitled']);
+});
+
+test('builds a tree with per-section counts', () => {
+  const items = [rule('1.1.1: a'), rule('1.1.2: b', 'false'), rule('1.2.1: c'), rule('no section', 'false')];
+  const [one, unsectioned] = buildSectionTree(items);
+  assert.equal(one.section, '1');
+  assert.deepEqual(one.counts, { enabled: 2, disabled: 1, refined: 0 });
+  assert.deepEqual(one.entries.map(entry => entry.section), ['1.1', '1.2']);
+  assert.equal(one.entries[0].node.uuids.length, 2);
+  assert.equal(unsectioned.section, '');
+  assert.deepEqual(unsectioned.counts, { enabled: 0, disabled: 1, refined: 0 });
+});
@@ -0,0 +1,649 @@
+// XCCDF Tailoring documents: the editor model, its parser and its lossless serializer.
+
+import {
+  ELEMENT_NODE, TEXT_NODE, COMMENT_NODE, parseXml, childElements, attributePairs, XML_ILLEGAL_CHARS,
+  escapeText, escapeAttr, serializeNode, detectIndent, formatAttributes, withAttribute
+} from './xml.js';
+
+/**
+ * Parsed profiles and rows get IDs derived from the document ("profile-0/select:<idref>"),
+ * so parsing the same file twice (in a worker, after a restore) yields the same IDs.
+ * Rows and profiles created while editing take a per-load prefix plus a counter instead,
+ * which cannot collide with IDs restored from an earlier session.
+ */
+const SESSION_PREFIX = Date.now().toString(36);
+let createdCount = 0;
+
+export const newUuid = () => `${SESSION_PREFIX}-${(++createdCount).toString(36)}`;
+
+const MANAGED_ITEM_TAGS = ['select', 'refine-rule', 'refine-value', 'set-value'];
+
+/**
+ * XCCDF 1.2 tailorings are in the 1.2 namespace throughout. XCCDF 1.1 has no Tailoring
+ * element; OpenSCAP wraps 1.1 Profiles in one of its own namespace, while the children
+ * stay in the 1.1 namespace:
+ *   <cdf-11-tailoring:Tailoring xmlns:cdf-11-tailoring="http://open-scap.org/page/Xccdf-1.1-tailoring"
+ *       xmlns:xccdf="http://checklists.nist.gov/xccdf/1.1" id="...">
+ *     <xccdf:benchmark href="..."/> ... <xccdf:Profile id="...">
+ */
+export const XCCDF_NAMESPACES = {
+  '1.1': 'http://checklists.nist.gov/xccdf/1.1',
+  '1.2': 'http://checklists.nist.gov/xccdf/1.2'
+};
+
+export const XCCDF11_TAILORING_NS = 'http://open-scap.org/page/Xccdf-1.1-tailoring';
+
+// Documents in neither namespace are read as 1.2, the format the editor writes
+const xccdfVersionOf = (root, profile) =>
+  (root.namespaceURI === XCCDF11_TAILORING_NS || profile?.namespaceURI === XCCDF_NAMESPACES['1.1'] ? '1.1' : '1.2');
+
+/**
+ * Exception records (justification, owner, ticket, expiry) live in a Tailoring-level
+ * <metadata> element under this namespace, which XCCDF allows and OpenSCAP ignores:
+ *   <exc:exceptions xmlns:exc="...">
+ *     <exc:exception profile="..." idref="..." owner="..." ticket="..." expires="2025-12-31">Why</exc:exception>
+ *   </exc:exceptions>
+ */
+export const EXCEPTIONS_NS = 'urn:xccdf-tailoring-editor:exceptions:1';
+
+export const EXCEPTION_FIELDS = ['owner', 'ticket', 'expires'];
+
+export const hasException = (exception) => !!exception && ['justification', ...EXCEPTION_FIELDS].some(field => exception[field]);
+
+/**
+ * A profile merged from several tailorings records its layers (lowest precedence first)
+ * and the layer each effective setting came from, in the same <metadata> element:
+ *   <lay:layers xmlns:lay="..." profile="...">
+ *     <lay:layer name="baseline.xml"/>
+ *     <lay:origin idref="..." type="select" field="severity" layer="baseline.xml"/>
+ *   </lay:layers>
+ */
+export const LAYERS_NS = 'urn:xccdf-tailoring-editor:layers:1';
+
+const isEditorMetadata = (node) => node.nodeType === ELEMENT_NODE && (
+  (node.localName === 'exceptions' && node.namespaceURI === EXCEPTIONS_NS) ||
+  (node.localName === 'layers' && node.namespaceURI === LAYERS_NS)
+);
+
+// XCCDF 1.2 refine-rule@role and refine-value@operator enumerations
+export const RULE_ROLES = ['full', 'unscored', 'unchecked'];
+
+export const VALUE_OPERATORS = [
+  'equals', 'not equal', 'greater than', 'less than',
+  'greater than or equal', 'less than or equal', 'pattern match'
+];
+
+/**
+ * Parses one <Profile>. Everything the editor does not model (status, platform, reference,
+ * set-complex-value, stray comments...) is kept as serialized markup, either in the profile
+ * layout (before the first rule) or trailing the rule it followed, so export can put it back.
+ */
+const parseProfile = (profile, uuid) => {
+  const layout = [];
+  const rowCounts = new Map(); // A repeated idref gets "#2", "#3"... so row IDs stay unique
+  const itemsMap = new Map(); // Use Map to merge select/refine-rule
+  const valuesMap = new Map(); // ...and set-value/refine-value
+  const itemsOrder = []; // Keep track of order
+  let titleNode = null;
+  let descNode = null;
+  let pendingComments = [];
+
+  const pushRaw = (xml) => {
+    if (itemsOrder.length) itemsOrder[itemsOrder.length - 1].trailing.push(xml);
+    else layout.push({ kind: 'raw', xml });
+  };
+  const flushComments = () => {
+    pendingComments.forEach(comment => pushRaw(serializeNode(comment)));
+    pendingComments = [];
+  };
+  // The comment directly preceding an item names it; earlier ones stay where they were
+  const takeComment = () => {
+    const comment = pendingComments.pop();
+    flushComments();
+    return comment;
+  };
+  const addItem = (item, commentNode) => {
+    if (!itemsOrder.length) layout.push({ kind: 'items' });
+    const key = `${uuid}/${item.type}:${item.idref}`;
+    const count = (rowCounts.get(key) || 0) + 1;
+    rowCounts.set(key, count);
+    Object.assign(item, {
+      uuid: count > 1 ? `${key}#${count}` : key,
+      comment: commentNode ? commentNode.data.trim() : "",
+      sourceComment: commentNode ? commentNode.data : null,
+      extraAttributes: {},
+      trailing: []
+    });
+    itemsOrder.push(item);
+    return item;
+  };
+
+  Array.from(profile.childNodes).forEach(node => {
+    if (node.nodeType === COMMENT_NODE) {
+      pendingComments.push(node);
+      return;
+    }
+    if (node.nodeType !== ELEMENT_NODE) {
+      if (node.nodeType !== TEXT_NODE || node.data.trim()) pushRaw(serializeNode(node));
+      return;
+    }
+
+    const tagName = node.localName;
+    const idref = node.getAttribute("idref");
+
+    if (!itemsOrder.length && tagName === 'title' && !titleNode) {
+      flushComments();
+      titleNode = node;
+      layout.push({ kind: 'title' });
+      return;
+    }
+    if (!itemsOrder.length && tagName === 'description' && !descNode) {
+      flushComments();
+      descNode = node;
+      layout.push({ kind: 'description' });
+      return;
+    }
+    if (!idref || !MANAGED_ITEM_TAGS.includes(tagName)) {
+      flushComments();
+      pushRaw(serializeNode(node));
+      return;
+    }
+
+    // Handle Select (Rule Selection)
+    if (tagName === "select") {
+      const existingItem = itemsMap.get(idref);
+      if (existingItem && existingItem.value === 'default') {
+        // refine-rule came first; attach the selection to it
+        flushComments();
+        existingItem.value = node.getAttribute("selected") || "false";
+        existingItem.extraAttributes.select = attributePairs(node, ['idref', 'selected']);
+        return;
+      }
+      const item = addItem({
+        type: 'select',
+        idref,
+        value: node.getAttribute("selected") || "false",
+        severity: 'default', // Default severity
+        weight: '',
+        role: '',
+        selector: ''
+      }, takeComment());
+      item.extraAttributes.select = attributePairs(node, ['idref', 'selected']);
+      itemsMap.set(idref, item);
+    }
+    // Handle Refine-Rule (Severity, Weight, Role, Selector)
+    else if (tagName === "refine-rule") {
+      let item = itemsMap.get(idref);
+      if (item) {
+        // Update existing item
+        flushComments();
+      } else {
+        // Create new item if refine-rule appears before select or alone
+        item = addItem({
+          type: 'select', // Treat as rule even if only refined
+          idref,
+          value: 'default' // Indicates no explicit select tag yet
+        }, takeComment());
+        itemsMap.set(idref, item);
+      }
+      item.severity = node.getAttribute("severity") || 'default';
+      item.weight = node.getAttribute("weight") || '';
+      item.role = node.getAttribute("role") || '';
+      item.selector = node.getAttribute("selector") || '';
+      item.extraAttributes['refine-rule'] = attributePairs(node, ['idref', 'severity', 'weight', 'role', 'selector']);
+    }
+    // Handle Set-Value (Variables)
+    else if (tagName === "set-value") {
+      let item = valuesMap.get(idref);
+      if (item && item.value === null) {
+        // refine-value came first; attach the value to it
+        flushComments();
+        item.value = node.textContent;
+      } else {
+        item = addItem({
+          type: 'set-value',
+          idref,
+          value: node.textContent,
+          selector: '',
+          operator: ''
+        }, takeComment());
+        valuesMap.set(idref, item);
+      }
+      item.extraAttributes['set-value'] = attributePairs(node, ['idref']);
+    }
+    // Handle Refine-Value (Selector, Operator)
+    else if (tagName === "refine-value") {
+      let item = valuesMap.get(idref);
+      if (item) {
+        flushComments();
+      } else {
+        item = addItem({
+          type: 'set-value',
+          idref,
+          value: null, // Only refined; no set-value element
+          refineValueFirst: true
+        }, takeComment());
+        valuesMap.set(idref, item);
+      }
+      item.selector = node.getAttribute("selector") || '';
+      item.operator = node.getAttribute("operator") || '';
+      item.extraAttributes['refine-value'] = attributePairs(node, ['idref', 'selector', 'operator']);
+    }
+  });
+  flushComments();
+  if (!layout.some(token => token.kind === 'items')) layout.push({ kind: 'items' });
+
+  const profileTitle = titleNode ? titleNode.textContent : "Unknown Profile";
+  const profileDesc = descNode ? descNode.textContent : "";
+
+  return {
+    uuid,
+    profileId: profile.getAttribute("id"),
+    profileExtends: profile.getAttribute("extends") || "",
+    profileTitle,
+    profileDesc,
+    items: itemsOrder,
+    attributes: attributePairs(profile),
+    layout,
+    // Untouched title/description are re-emitted verbatim (they may contain xhtml markup)
+    source: {
+      title: titleNode ? { text: profileTitle, xml: serializeNode(titleNode), attributes: attributePairs(titleNode) } : null,
+      description: descNode ? { text: profileDesc, xml: serializeNode(descNode), attributes: attributePairs(descNode) } : null
+    }
+  };
+};
+
+/**
+ * Parses a Tailoring document into the editor model. The root layout records where the
+ * benchmark, version and Profile elements sat among any other children (status, metadata,
+ * comments...) so that serializeTailoring() can reproduce the document in its original order.
+ */
+export const parseTailoring = (xmlString) => {
+  const doc = parseXml(xmlString);
+
+  const root = doc.documentElement;
+  if (root.localName !== 'Tailoring') throw new Error("No Tailoring found in XML");
+
+  const rootStart = xmlString.search(new RegExp(`<${root.nodeName}[\\s>/]`));
+  const rootEnd = xmlString.lastIndexOf(`</${root.nodeName}>`);
+
+  let benchmark = "";
+  let benchmarkAttributes = [];
+  let version = "";
+  let versionTime = "";
+  let versionAttributes = [];
+  const layout = [];
+  const profiles = [];
+  const exceptions = [];
+  const layerRecords = [];
+  const firstProfile = childElements(root, 'Profile')[0];
+  const firstChild = childElements(root, 'benchmark')[0] || childElements(root, 'version')[0];
+
+  Array.from(root.childNodes).forEach(node => {
+    if (node.nodeType === TEXT_NODE && !node.data.trim()) return;
+    if (node.nodeType !== ELEMENT_NODE) {
+      layout.push({ kind: 'raw', xml: serializeNode(node) });
+      return;
+    }
+    if (node.localName === 'benchmark' && !layout.some(token => token.kind === 'benchmark')) {
+      benchmark = node.getAttribute("href") || "";
+      benchmarkAttributes = attributePairs(node, ['href']);
+      layout.push({ kind: 'benchmark' });
+    } else if (node.localName === 'version' && !layout.some(token => token.kind === 'version')) {
+      version = node.textContent;
+      versionTime = node.getAttribute("time") || "";
+      versionAttributes = attributePairs(node, ['time']);
+      layout.push({ kind: 'version' });
+    } else if (node.localName === 'metadata' && Array.from(node.childNodes).some(isEditorMetadata)) {
+      // Our exception and layer records are lifted into the model; anything else in the element is kept
+      const extra = [];
+      Array.from(node.childNodes).forEach(child => {
+        if (isEditorMetadata(child) && child.localName === 'exceptions') {
+          childElements(child, 'exception').forEach(entry => exceptions.push({
+            profile: entry.getAttribute('profile') || '',
+            idref: entry.getAttribute('idref') || '',
+            justification: entry.textContent,
+            ...Object.fromEntries(EXCEPTION_FIELDS.map(field => [field, entry.getAttribute(field) || '']))
+          }));
+        } else if (isEditorMetadata(child)) {
+          layerRecords.push({
+            profile: child.getAttribute('profile') || '',
+            names: childElements(child, 'layer').map(layer => layer.getAttribute('name') || ''),
+            origins: childElements(child, 'origin').map(origin =>
+              Object.fromEntries(['idref', 'type', 'field', 'layer'].map(name => [name, origin.getAttribute(name) || ''])))
+          });
+        } else if (child.nodeType !== TEXT_NODE || child.data.trim()) {
+          extra.push(serializeNode(child));
+        }
+      });
+      layout.push({ kind: 'metadata', attributes: attributePairs(node), extra });
+    } else if (node.localName === 'Profile') {
+      const profile = parseProfile(node, `profile-${profiles.length}`);
+      profiles.push(profile);
+      layout.push({ kind: 'profile', uuid: profile.uuid });
+    } else {
+      layout.push({ kind: 'raw', xml: serializeNode(node) });
+    }
+  });
+
+  if (profiles.length === 0) throw new Error("No Profile found in XML");
+
+  // Attach exceptions to their rows; records whose row is gone are carried along untouched
+  const orphanExceptions = exceptions.filter(({ profile: profileId, idref, ...exception }) => {
+    const item = profiles.find(p => p.profileId === profileId)?.items.find(i => i.idref === idref);
+    if (!item || item.exception) return true;
+    item.exception = exception;
+    return false;
+  });
+
+  // Layer provenance only describes rows that still exist; records for removed rows are dropped
+  layerRecords.forEach(({ profile: profileId, names, origins }) => {
+    const profile = profiles.find(p => p.profileId === profileId);
+    if (!profile) return;
+    profile.layers = names;
+    origins.forEach(({ idref, type, field, layer }) => {
+      const item = profile.items.find(i => i.type === type && i.idref === idref);
+      if (item) item.origin = { ...item.origin, [field]: layer };
+    });
+  });
+
+  return {
+    tailoringId: root.getAttribute("id") || "",
+    xccdfVersion: xccdfVersionOf(root, firstProfile),
+    benchmark,
+    version,
+    versionTime,
+    keepVersionTime: false, // Export stamps version@time with the current time unless asked to keep it
+    profiles,
+    source: {
+      prolog: rootStart > 0 ? xmlString.slice(0, rootStart).trimEnd() : `<?xml version='1.0' encoding='UTF-8'?>`,
+      epilog: rootEnd >= 0 ? xmlString.slice(rootEnd + root.nodeName.length + 3) : '',
+      prefix: root.prefix || '',
+      // Both differ from the root's in OpenSCAP 1.1 tailorings
+      childPrefix: (firstChild || root).prefix || '',
+      profilePrefix: (firstProfile || root).prefix || '',
+      indent: detectIndent(root),
+      rootAttributes: attributePairs(root),
+      benchmarkAttributes,
+      versionAttributes,
+      orphanExceptions,
+      layout
+    }
+  };
+};
+
+const DEFAULT_TEXT_ATTRIBUTES = [
+  ['xmlns:xhtml', 'http://www.w3.org/1999/xhtml'],
+  ['xml:lang', 'en-US'],
+  ['override', 'true']
+];
+
+// XML comments may not contain "--" or end with "-"
+const safeComment = (text) => String(text)
+  .replace(new RegExp(XML_ILLEGAL_CHARS.source, 'g'), '')
+  .replace(/-(?=-)/g, '- ')
+  .replace(/-$/, '- ');
+
+const serializeItem = (item, tag, pad) => {
+  const extra = (name) => formatAttributes(item.extraAttributes?.[name] || []);
+  const lines = [];
+
+  if (item.comment) {
+    // Keep the original spacing inside <!-- --> when the comment was not edited
+    const data = item.sourceComment?.trim() === item.comment ? item.sourceComment : safeComment(item.comment);
+    lines.push(`${pad}<!--${data}-->`);
+  }
+  
+  if (item.type === 'select') {
+    // Only write select if value is not 'default' (meaning we have an explicit selection)
+    // OR if we want to enforce inclusion. XCCDF usually requires explicit select.
+    if (item.value !== 'default') {
+      lines.push(`${pad}<${tag('select')} idref="${escapeAttr(item.idref)}" selected="${escapeAttr(item.value)}"${extra('select')}/>`);
+    }
+    // Write refine-rule if any refinement is set
+    const refinements = formatAttributes([
+      ['severity', item.severity === 'default' ? '' : item.severity],
+      ['weight', item.weight],
+      ['role', item.role],
+      ['selector', item.selector]
+    ].filter(([, value]) => value)) + extra('refine-rule');
+    if (refinements) {
+      lines.push(`${pad}<${tag('refine-rule')} idref="${escapeAttr(item.idref)}"${refinements}/>`);
+    }
+  } else if (item.type === 'set-value') {
+    const refinements = formatAttributes([
+      ['selector', item.selector],
+      ['operator', item.operator]
+    ].filter(([, value]) => value)) + extra('refine-value');
+    const refineLine = refinements && `${pad}<${tag('refine-value')} idref="${escapeAttr(item.idref)}"${refinements}/>`;
+    const valueLine = item.value !== null && item.value !== undefined &&
+      `${pad}<${tag('set-value')} idref="${escapeAttr(item.idref)}"${extra('set-value')}>${escapeText(item.value)}</${tag('set-value')}>`;
+    // Keep the element order of the source file
+    (item.refineValueFirst ? [refineLine, valueLine] : [valueLine, refineLine])
+      .filter(Boolean)
+      .forEach(line => lines.push(line));
+  }
+
+  (item.trailing || []).forEach(xml => lines.push(`${pad}${xml}`));
+  return lines;
+};
+
+const serializeText = (tag, pad, text, original) => {
+  if (original && original.text === text) return `${pad}${original.xml}`;
+  const attrs = original ? original.attributes : DEFAULT_TEXT_ATTRIBUTES;
+  return `${pad}<${tag}${formatAttributes(attrs)}>${escapeText(text)}</${tag}>`;
+};
+
+const serializeProfile = (profile, tag, indent) => {
+  const pad = indent + indent;
+  const source = profile.source || {};
+  let layout = profile.layout || [{ kind: 'title' }, { kind: 'description' }, { kind: 'items' }];
+  if (profile.profileDesc && !layout.some(token => token.kind === 'description')) {
+    // A description added in the editor goes straight after the title, as the schema orders them
+    const titleSlot = layout.findIndex(token => token.kind === 'title');
+    const slot = titleSlot >= 0 ? titleSlot + 1 : layout.findIndex(token => token.kind === 'items');
+    layout = [...layout.slice(0, slot), { kind: 'description' }, ...layout.slice(slot)];
+  }
+  let attrs = withAttribute(profile.attributes || [], 'id', profile.profileId);
+  attrs = withAttribute(attrs, 'extends', profile.profileExtends);
+
+  const lines = [`${indent}<${tag('Profile')}${formatAttributes(attrs)}>`];
+  layout.forEach(token => {
+    if (token.kind === 'raw') {
+      lines.push(`${pad}${token.xml}`);
+    } else if (token.kind === 'title') {
+      lines.push(serializeText(tag('title'), pad, profile.profileTitle, source.title));
+    } else if (token.kind === 'description') {
+      // A profile that never had a description only gets one once it is filled in
+      if (source.description || profile.profileDesc || !profile.source) {
+        lines.push(serializeText(tag('description'), pad, profile.profileDesc, source.description));
+      }
+    } else if (token.kind === 'items') {
+      profile.items.forEach(item => lines.push(...serializeItem(item, tag, pad)));
+    }
+  });
+  lines.push(`${indent}</${tag('Profile')}>`);
+  return lines;
+};
+
+// The <metadata> element holding exception and layer records, or nothing when there are none to write
+const serializeMetadata = (data, token, tag, indent) => {
+  const entries = [];
+  data.profiles.forEach(profile => profile.items.forEach(item => {
+    if (hasException(item.exception)) entries.push({ profile: profile.profileId, idref: item.idref, ...item.exception });
+  }));
+  entries.push(...(data.source.orphanExceptions || []));
+  const layered = data.profiles.filter(profile => profile.layers?.length);
+  const extra = token ? token.extra : [];
+  if (!entries.length && !layered.length && !extra.length) return [];
+
+  const pad = indent + indent;
+  const lines = [`${indent}<${tag('metadata')}${formatAttributes(token ? token.attributes : [])}>`];
+  extra.forEach(xml => lines.push(`${pad}${xml}`));
+  if (entries.length) {
+    lines.push(`${pad}<exc:exceptions xmlns:exc="${EXCEPTIONS_NS}">`);
+    entries.forEach(entry => {
+      const attrs = [['profile', entry.profile], ['idref', entry.idref], ...EXCEPTION_FIELDS.map(field => [field, entry[field]])]
+        .filter(([, value]) => value);
+      lines.push(`${pad}${indent}<exc:exception${formatAttributes(attrs)}>${escapeText(entry.justification || '')}</exc:exception>`);
+    });
+    lines.push(`${pad}</exc:exceptions>`);
+  }
+  layered.forEach(profile => {
+    const inner = pad + indent;
+    lines.push(`${pad}<lay:layers xmlns:lay="${LAYERS_NS}"${formatAttributes([['profile', profile.profileId]])}>`);
+    profile.layers.forEach(name => lines.push(`${inner}<lay:layer${formatAttributes([['name', name]])}/>`));
+    profile.items.forEach(item => Object.entries(item.origin || {}).forEach(([field, layer]) => {
+      const attrs = [['idref', item.idref], ['type', item.type], ['field', field], ['layer', layer]];
+      lines.push(`${inner}<lay:origin${formatAttributes(attrs)}/>`);
+    }));
+    lines.push(`${pad}</lay:layers>`);
+  });
+  lines.push(`${indent}</${tag('metadata')}>`);
+  return lines;
+};
+
+/**
+ * Writes the editor model back to XML. Anything kept in `source` by parseTailoring() is
+ * re-emitted in its original position, so an import/export round-trip only changes what
+ * was edited (plus the version timestamp).
+ */
+
+export const serializeTailoring = (data) => {
+  const source = data.source;
+  const indent = source.indent;
+  const rootTag = (name) => (source.prefix ? `${source.prefix}:${name}` : name);
+  const childPrefix = source.childPrefix ?? source.prefix;
+  const tag = (name) => (childPrefix ? `${childPrefix}:${name}` : name);
+  const profilePrefix = source.profilePrefix ?? source.prefix;
+  const profileTag = (name) => (profilePrefix ? `${profilePrefix}:${name}` : name);
+  const rootAttrs = withAttribute(source.rootAttributes, 'id', data.tailoringId);
+
+  const knownProfiles = new Set(source.layout.filter(t => t.kind === 'profile').map(t => t.uuid));
+  const newProfiles = data.profiles.filter(profile => !knownProfiles.has(profile.uuid));
+  const lastProfileSlot = source.layout.map(t => t.kind).lastIndexOf('profile');
+  // Without an existing <metadata> slot, our records go just before the first Profile as the schema orders them
+  const metadataSlot = source.layout.some(t => t.kind === 'metadata') ? -1 : source.layout.findIndex(t => t.kind === 'profile');
+
+  const lines = [source.prolog, `<${rootTag('Tailoring')}${formatAttributes(rootAttrs)}>`];
+  if (data.benchmark && !source.layout.some(t => t.kind === 'benchmark')) {
+    lines.push(`${indent}<${tag('benchmark')} href="${escapeAttr(data.benchmark)}"/>`);
+  }
+
+  source.layout.forEach((token, index) => {
+    if (index === metadataSlot) lines.push(...serializeMetadata(data, null, tag, indent));
+    if (token.kind === 'raw') {
+      lines.push(`${indent}${token.xml}`);
+    } else if (token.kind === 'metadata') {
+      lines.push(...serializeMetadata(data, token, tag, indent));
+    } else if (token.kind === 'benchmark') {
+      if (data.benchmark) {
+        lines.push(`${indent}<${tag('benchmark')} href="${escapeAttr(data.benchmark)}"${formatAttributes(source.benchmarkAttributes)}/>`);
+      }
+    } else if (token.kind === 'version') {
+      const time = data.keepVersionTime && data.versionTime ? data.versionTime : new Date().toISOString();
+      lines.push(`${indent}<${tag('version')} time="${escapeAttr(time)}"${formatAttributes(source.versionAttributes)}>${escapeText(data.version)}</${tag('version')}>`);
+    } else if (token.kind === 'profile') {
+      const profile = data.profiles.find(p => p.uuid === token.uuid);
+      if (profile) lines.push(...serializeProfile(profile, profileTag, indent));
+    }
+    if (index === lastProfileSlot) {
+      newProfiles.forEach(profile => lines.push(...serializeProfile(profile, profileTag, indent)));
+    }
+  });
+
+  lines.push(`</${rootTag('Tailoring')}>`);
+  return lines.join('\n') + source.epilog;
+};
+
+// A new row with the same defaults the editor's "Add Rule" dialog uses
+export const createItem = (type, idref, fields = {}) => ({
+  uuid: newUuid(),
+  type,
+  idref,
+  value: type === 'select' ? 'true' : '',
+  selector: '',
+  comment: '',
+  ...(type === 'select' ? { severity: 'default', weight: '', role: '' } : { operator: '' }),
+  ...fields
+});
+
+/**
+ * Applies field updates to a row. A setting changed here no longer comes from the layer
+ * a merge recorded for it, so its provenance is dropped.
+ */
+export const updateItem = (item, fields) => {
+  const changed = Object.keys(fields).filter(field => item.origin?.[field] && item[field] !== fields[field]);
+  if (!changed.length) return { ...item, ...fields };
+  const origin = Object.fromEntries(Object.entries(item.origin).filter(([field]) => !changed.includes(field)));
+  return { ...item, ...fields, origin: Object.keys(origin).length ? origin : undefined };
+};
+
+/**
+ * Applies field updates to the row for type + idref, or adds the row at the top (where
+ * the editor puts new rules) when the profile has none; `initial` only applies to a new
+ * row. Returns the new item list.
+ */
+export const upsertItem = (profile, type, idref, fields, initial = {}) => {
+  const exists = profile.items.some(item => item.type === type && item.idref === idref);
+  if (!exists) return [createItem(type, idref, { ...initial, ...fields }), ...profile.items];
+  return profile.items.map(item => (item.type === type && item.idref === idref ? updateItem(item, fields) : item));
+};
+
+/**
+ * Moves a row to just before or after another one. A row is written with its comment and
+ * any markup that trailed it, so those move along and export keeps the new order.
+ */
+export const moveItem = (items, uuid, targetUuid, position = 'before') => {
+  const moving = items.find(item => item.uuid === uuid);
+  if (!moving || uuid === targetUuid) return items;
+  const rest = items.filter(item => item !== moving);
+  const target = rest.findIndex(item => item.uuid === targetUuid);
+  if (target < 0) return items;
+  rest.splice(position === 'after' ? target + 1 : target, 0, moving);
+  return rest;
+};
+
+// Adds a row after the one with `afterUuid`, or at the top (where new rows go by default)
+export const insertItem = (items, item, afterUuid = null) => {
+  const index = afterUuid ? items.findIndex(existing => existing.uuid === afterUuid) : -1;
+  return [...items.slice(0, index + 1), item, ...items.slice(index + 1)];
+};
+
+/**
+ * Removes items from a profile. Markup the editor does not model that trailed a removed
+ * row moves to the row before it (or ahead of the rules), so deleting never drops it.
+ */
+export const removeItems = (profile, uuids) => {
+  const items = [];
+  const orphaned = [];
+  profile.items.forEach(item => {
+    if (!uuids.has(item.uuid)) {
+      items.push(item);
+      return;
+    }
+    const trailing = item.trailing || [];
+    if (!trailing.length) return;
+    if (items.length) {
+      const previous = items[items.length - 1];
+      items[items.length - 1] = { ...previous, trailing: [...(previous.trailing || []), ...trailing] };
+    } else {
+      orphaned.push(...trailing);
+    }
+  });
+
+  if (!orphaned.length) return { items };
+  const layout = profile.layout || [{ kind: 'title' }, { kind: 'description' }, { kind: 'items' }];
+  const itemsSlot = layout.findIndex(token => token.kind === 'items');
+  return {
+    items,
+    layout: [...layout.slice(0, itemsSlot), ...orphaned.map(xml => ({ kind: 'raw', xml })), ...layout.slice(itemsSlot)]
+  };
+};
+
+// "1" -> "2", "1.4.9" -> "1.4.10", "v2-rc1" -> "v2-rc2"; versions without a number gain ".1"
+export const bumpVersion = (version) => {
+  const match = String(version).match(/^(.*?)(\d+)(\D*)$/);
+  if (!match) return version ? `${version}.1` : '1';
+  return `${match[1]}${Number(match[2]) + 1}${match[3]}`;
+};
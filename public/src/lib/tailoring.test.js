@@ -0,0 +1,147 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTailoring, serializeTailoring, upsertItem, removeItems, moveItem, insertItem, createItem, bumpVersion, newUuid } from './node.js';
+
+const SAMPLE = `<?xml version="1.0" encoding="UTF-8"?>
+<xccdf:Tailoring xmlns:xccdf="http://checklists.nist.gov/xccdf/1.2" id="xccdf_org.example_tailoring_t">
+  <xccdf:status>draft</xccdf:status>
+  <xccdf:benchmark href="ssg-ds.xml"/>
+  <xccdf:version time="2024-01-01T00:00:00">1</xccdf:version>
+  <xccdf:Profile id="xccdf_org.example_profile_p" extends="xccdf_org.ssgproject.content_profile_cis">
+    <xccdf:title>P &amp; Q</xccdf:title>
+    <!--1.10.1: Ten one-->
+    <xccdf:select idref="xccdf_org.example_rule_a" selected="true"/>
+    <!--1.2.1: Two one-->
+    <xccdf:select idref="xccdf_org.example_rule_b" selected="false"/>
+    <xccdf:refine-rule idref="xccdf_org.example_rule_b" severity="high" role="unscored"/>
+    <!--1.1.1.1: cramfs-->
+    <xccdf:select idref="xccdf_org.example_rule_c" selected="true"/>
+    <!--2 Services-->
+    <xccdf:set-value idref="xccdf_org.example_value_d">5</xccdf:set-value>
+  </xccdf:Profile>
+</xccdf:Tailoring>
+`;
+
+const keepTime = (data) => ({ ...data, keepVersionTime: true });
+
+test('parses document metadata and rows', () => {
+  const data = parseTailoring(SAMPLE);
+  assert.equal(data.tailoringId, 'xccdf_org.example_tailoring_t');
+  assert.equal(data.benchmark, 'ssg-ds.xml');
+  assert.equal(data.version, '1');
+  assert.equal(data.versionTime, '2024-01-01T00:00:00');
+  assert.equal(data.profiles.length, 1);
+
+  const [profile] = data.profiles;
+  assert.equal(profile.profileTitle, 'P & Q');
+  assert.deepEqual(profile.items.map(item => [item.type, item.idref, item.value]), [
+    ['select', 'xccdf_org.example_rule_a', 'true'],
+    ['select', 'xccdf_org.example_rule_b', 'false'],
+    ['select', 'xccdf_org.example_rule_c', 'true'],
+    ['set-value', 'xccdf_org.example_value_d', '5']
+  ]);
+  const refined = profile.items[1];
+  assert.equal(refined.severity, 'high');
+  assert.equal(refined.role, 'unscored');
+  assert.equal(refined.comment, '1.2.1: Two one');
+});
+
+test('round-trips an untouched document byte for byte', () => {
+  assert.equal(serializeTailoring(keepTime(parseTailoring(SAMPLE))), SAMPLE);
+});
+
+test('stamps the current time unless asked to keep it', () => {
+  const xml = serializeTailoring(parseTailoring(SAMPLE));
+  assert.doesNotMatch(xml, /time="2024-01-01T00:00:00"/);
+  assert.match(xml, /<xccdf:version time="\d{4}-\d{2}-\d{2}T[^"]+">1<\/xccdf:version>/);
+});
+
+test('derives the same profile and row IDs each time a document is parsed', () => {
+  const first = parseTailoring(SAMPLE);
+  assert.deepEqual(first, parseTailoring(SAMPLE));
+  assert.equal(first.profiles[0].uuid, 'profile-0');
+  assert.deepEqual(first.profiles[0].items.map(item => item.uuid), [
+    'profile-0/select:xccdf_org.example_rule_a',
+    'profile-0/select:xccdf_org.example_rule_b',
+    'profile-0/select:xccdf_org.example_rule_c',
+    'profile-0/set-value:xccdf_org.example_value_d'
+  ]);
+
+  const repeated = parseTailoring(SAMPLE.replace('<!--1.2.1', '<xccdf:select idref="xccdf_org.example_rule_a" selected="false"/>\n    <!--1.2.1'));
+  assert.deepEqual(repeated.profiles[0].items.slice(0, 2).map(item => item.uuid), [
+    'profile-0/select:xccdf_org.example_rule_a',
+    'profile-0/select:xccdf_org.example_rule_a#2'
+  ]);
+  assert.notEqual(newUuid(), newUuid());
+});
+
+test('rejects malformed XML and documents without a Tailoring root', () => {
+  assert.throws(() => parseTailoring('<xccdf:Tailoring'), /Invalid XML/);
+  assert.throws(() => parseTailoring('<Benchmark/>'));
+});
+
+test('upsertItem updates an existing row in place', () => {
+  const [profile] = parseTailoring(SAMPLE).profiles;
+  const items = upsertItem(profile, 'select', 'xccdf_org.example_rule_a', { value: 'false' });
+  assert.equal(items.length, profile.items.length);
+  assert.equal(items[0].value, 'false');
+  assert.equal(items[0].comment, '1.10.1: Ten one');
+});
+
+test('upsertItem prepends a new row, applying initial fields only when creating', () => {
+  const [profile] = parseTailoring(SAMPLE).profiles;
+  const items = upsertItem(profile, 'select', 'xccdf_org.example_rule_new', { severity: 'low' }, { value: 'default' });
+  assert.equal(items.length, profile.items.length + 1);
+  assert.equal(items[0].idref, 'xccdf_org.example_rule_new');
+  assert.equal(items[0].value, 'default');
+
+  const xml = serializeTailoring(keepTime({ ...parseTailoring(SAMPLE), profiles: [{ ...profile, items }] }));
+  assert.match(xml, /<xccdf:refine-rule idref="xccdf_org.example_rule_new" severity="low"\/>/);
+  assert.doesNotMatch(xml, /<xccdf:select idref="xccdf_org.example_rule_new"/);
+});
+
+test('escapes edited text on export', () => {
+  const data = parseTailoring(SAMPLE);
+  const [profile] = data.profiles;
+  const items = upsertItem(profile, 'set-value', 'xccdf_org.example_value_d', { value: 'a<b&c' });
+  const xml = serializeTailoring({ ...data, profiles: [{ ...profile, items }] });
+  assert.match(xml, />a&lt;b&amp;c<\/xccdf:set-value>/);
+  assert.equal(parseTailoring(xml).profiles[0].items[3].value, 'a<b&c');
+});
+
+test('removeItems drops rows and their elements', () => {
+  const data = parseTailoring(SAMPLE);
+  const [profile] = data.profiles;
+  const changes = removeItems(profile, new Set([profile.items[1].uuid]));
+  assert.equal(changes.items.length, profile.items.length - 1);
+  const xml = serializeTailoring(keepTime({ ...data, profiles: [{ ...profile, ...changes }] }));
+  assert.doesNotMatch(xml, /example_rule_b"/);
+  assert.match(xml, /<xccdf:status>draft<\/xccdf:status>/);
+});
+
+test('moveItem reorders rows with their comments and refinements', () => {
+  const data = parseTailoring(SAMPLE);
+  const [profile] = data.profiles;
+  const [a, b, c, d] = profile.items;
+  const ids = (items) => items.map(item => item.idref.split('_').pop());
+  assert.deepEqual(ids(moveItem(profile.items, b.uuid, d.uuid, 'after')), ['a', 'c', 'd', 'b']);
+  assert.deepEqual(ids(moveItem(profile.items, c.uuid, a.uuid, 'before')), ['c', 'a', 'b', 'd']);
+  assert.equal(moveItem(profile.items, a.uuid, a.uuid), profile.items);
+
+  const items = moveItem(profile.items, b.uuid, d.uuid, 'after');
+  const xml = serializeTailoring(keepTime({ ...data, profiles: [{ ...profile, items }] }));
+  assert.match(xml, /<xccdf:set-value idref="xccdf_org.example_value_d">5<\/xccdf:set-value>\n {4}<!--1.2.1: Two one-->\n {4}<xccdf:select idref="xccdf_org.example_rule_b" selected="false"\/>\n {4}<xccdf:refine-rule idref="xccdf_org.example_rule_b"/);
+});
+
+test('insertItem adds a row after another one, or at the top', () => {
+  const [profile] = parseTailoring(SAMPLE).profiles;
+  const item = createItem('select', 'xccdf_org.example_rule_new');
+  const ids = (items) => items.map(row => row.idref.split('_').pop());
+  assert.deepEqual(ids(insertItem(profile.items, item, profile.items[1].uuid)), ['a', 'b', 'new', 'c', 'd']);
+  assert.deepEqual(ids(insertItem(profile.items, item)), ['new', 'a', 'b', 'c', 'd']);
+});
+
+test('bumpVersion increments the last number', () => {
+  assert.equal(bumpVersion('1'), '2');
+  assert.equal(bumpVersion('1.9'), '1.10');
+});
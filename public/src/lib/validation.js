@@ -0,0 +1,140 @@
+// Schema and semantic checks run before export.
+
+import { XML_ILLEGAL_CHARS } from './xml.js';
+import { RULE_ROLES, VALUE_OPERATORS } from './tailoring.js';
+import { checkValue } from './benchmark.js';
+
+export const ID_PATTERNS = {
+  tailoring: /^xccdf_[^_\s]+_tailoring_\S+$/,
+  profile: /^xccdf_[^_\s]+_profile_\S+$/,
+  rule: /^xccdf_[^_\s]+_(rule|group)_\S+$/,
+  value: /^xccdf_[^_\s]+_value_\S+$/
+};
+
+// XCCDF 1.1 IDs are plain xsd:NCNames
+const NCNAME = /^[A-Za-z_][\w.-]*$/;
+
+// Why an ID does not fit its kind, or null; the ID form depends on the XCCDF version
+const idProblem = (id, kind, version) => {
+  if (version === '1.1') return NCNAME.test(id || '') ? null : 'is not a valid XCCDF 1.1 ID (an XML NCName).';
+  return ID_PATTERNS[kind].test(id || '') ? null : `does not match xccdf_<reverse-DNS>_${kind}_<name>.`;
+};
+
+export const SEVERITIES = ['unknown', 'info', 'low', 'medium', 'high'];
+
+// xsd:dateTime, e.g. 2024-03-01T12:00:00 with optional fraction and zone
+const DATE_TIME_PATTERN = /^-?\d{4,}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/;
+
+/**
+ * Checks the editor model against the Tailoring schema rules that matter for export:
+ * ID patterns (XCCDF 1.2 or 1.1, as the document is), enumerations, duplicate idrefs
+ * and characters XML cannot carry.
+ * Returns a flat list of { level, profileUuid, itemUuid, message }.
+ */
+export const validateTailoring = (data) => {
+  const issues = [];
+  const report = (level, message, profileUuid = null, itemUuid = null) =>
+    issues.push({ level, message, profileUuid, itemUuid });
+  const checkChars = (text, what, profileUuid, itemUuid) => {
+    if (text && XML_ILLEGAL_CHARS.test(text)) {
+      report('error', `${what} contains characters that are not allowed in XML.`, profileUuid, itemUuid);
+    }
+  };
+
+  const version = data.xccdfVersion;
+  const tailoringIdProblem = idProblem(data.tailoringId, 'tailoring', version);
+  if (tailoringIdProblem) report('error', `Tailoring ID "${data.tailoringId}" ${tailoringIdProblem}`);
+  if (!String(data.version).trim()) {
+    report('error', 'Tailoring version is required.');
+  }
+  checkChars(data.version, 'Tailoring version');
+  if (data.keepVersionTime && !DATE_TIME_PATTERN.test(data.versionTime || '')) {
+    report('error', `Version time "${data.versionTime || ''}" is not a valid xsd:dateTime (e.g. 2024-03-01T12:00:00).`);
+  }
+  if (!String(data.benchmark || '').trim()) {
+    report('error', 'Benchmark href is required; it names the benchmark the tailoring applies to.');
+  }
+  checkChars(data.benchmark, 'Benchmark href');
+
+  const profileIds = new Set();
+  data.profiles.forEach(profile => {
+    const p = profile.uuid;
+    const name = profile.profileTitle || profile.profileId;
+
+    const profileIdProblem = idProblem(profile.profileId, 'profile', version);
+    if (profileIdProblem) report('error', `Profile ID "${profile.profileId}" ${profileIdProblem}`, p);
+    if (profileIds.has(profile.profileId)) {
+      report('error', `Profile ID "${profile.profileId}" is used by more than one profile.`, p);
+    }
+    profileIds.add(profile.profileId);
+
+    if (!profile.profileExtends || !profile.profileExtends.trim()) {
+      report('error', `Profile "${name}" has an empty extends; it must name the benchmark profile it tailors.`, p);
+    } else if (idProblem(profile.profileExtends, 'profile', version)) {
+      report('error', `Extends "${profile.profileExtends}" ${idProblem(profile.profileExtends, 'profile', version)}`, p);
+    }
+    if (!profile.profileTitle || !profile.profileTitle.trim()) {
+      report('warning', `Profile "${profile.profileId}" has no title.`, p);
+    }
+    checkChars(profile.profileTitle, 'Profile title', p);
+    checkChars(profile.profileDesc, 'Profile description', p);
+
+    const seen = new Set();
+    profile.items.forEach(item => {
+      const i = item.uuid;
+      const isRule = item.type === 'select';
+      const idrefProblem = idProblem(item.idref, isRule ? 'rule' : 'value', version);
+      if (idrefProblem) report('error', `"${item.idref}" ${idrefProblem}`, p, i);
+      const key = `${item.type}:${item.idref}`;
+      if (seen.has(key)) {
+        report('error', `Duplicate ${isRule ? 'select/refine-rule' : 'set-value'} for "${item.idref}"; only one entry per idref is allowed.`, p, i);
+      }
+      seen.add(key);
+
+      if (isRule) {
+        if (!['true', 'false', 'default'].includes(item.value)) {
+          report('error', `select value "${item.value}" must be "true" or "false".`, p, i);
+        }
+        if (item.severity && item.severity !== 'default' && !SEVERITIES.includes(item.severity)) {
+          report('error', `Severity "${item.severity}" is not one of ${SEVERITIES.join(', ')}.`, p, i);
+        }
+        if (item.role && !RULE_ROLES.includes(item.role)) {
+          report('error', `Role "${item.role}" is not one of ${RULE_ROLES.join(', ')}.`, p, i);
+        }
+        if (item.weight && !/^\d+(\.\d+)?$/.test(item.weight)) {
+          report('error', `Weight "${item.weight}" must be a non-negative decimal number.`, p, i);
+        }
+      } else if (item.operator && !VALUE_OPERATORS.includes(item.operator)) {
+        report('error', `Operator "${item.operator}" is not a valid XCCDF operator.`, p, i);
+      }
+
+      checkChars(item.comment, 'Comment', p, i);
+      checkChars(item.value, 'Value', p, i);
+      checkChars(item.selector, 'Selector', p, i);
+      if (item.comment && (item.comment.includes('--') || item.comment.endsWith('-'))) {
+        report('warning', 'Comment contains "--" or ends with "-", which XML comments cannot hold; it will be written with "- -".', p, i);
+      }
+    });
+  });
+
+  return issues;
+};
+
+/**
+ * Checks variable rows against the <Value> definitions of a loaded benchmark catalog.
+ * Returns issues in the same shape as validateTailoring().
+ */
+export const validateValues = (data, catalog) => {
+  const issues = [];
+  data.profiles.forEach(profile => profile.items.forEach(item => {
+    const entry = item.type === 'set-value' && catalog.values.get(item.idref);
+    if (!entry) return;
+    checkValue(entry, item).forEach(({ level, message }) => issues.push({
+      level,
+      message: `${item.idref}: ${message}`,
+      profileUuid: profile.uuid,
+      itemUuid: item.uuid
+    }));
+  }));
+  return issues;
+};
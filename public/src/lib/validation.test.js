@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTailoring, createItem, validateTailoring } from './node.js';
+
+const SAMPLE = `<Tailoring xmlns="http://checklists.nist.gov/xccdf/1.2" id="xccdf_org.example_tailoring_t">
+  <benchmark href="ssg-ds.xml"/>
+  <version time="2024-01-01T00:00:00">1</version>
+  <Profile id="xccdf_org.example_profile_p" extends="xccdf_org.ssgproject.content_profile_cis">
+    <title>P</title>
+    <select idref="xccdf_org.example_rule_a" selected="true"/>
+  </Profile>
+</Tailoring>`;
+
+const withItems = (...items) => {
+  const data = parseTailoring(SAMPLE);
+  const [profile] = data.profiles;
+  return { ...data, profiles: [{ ...profile, items: [...profile.items, ...items] }] };
+};
+
+const messages = (data, level = 'error') =>
+  validateTailoring(data).filter(issue => issue.level === level).map(issue => issue.message);
+
+test('accepts a well-formed document', () => {
+  assert.deepEqual(validateTailoring(parseTailoring(SAMPLE)), []);
+});
+
+test('checks document and profile IDs', () => {
+  const data = parseTailoring(SAMPLE);
+  const broken = { ...data, tailoringId: 'my-tailoring', profiles: [{ ...data.profiles[0], profileExtends: ' ' }] };
+  assert.deepEqual(messages(broken), [
+    'Tailoring ID "my-tailoring" does not match xccdf_<reverse-DNS>_tailoring_<name>.',
+    'Profile "P" has an empty extends; it must name the benchmark profile it tailors.'
+  ]);
+});
+
+test('requires a benchmark href', () => {
+  assert.deepEqual(messages({ ...parseTailoring(SAMPLE), benchmark: ' ' }), [
+    'Benchmark href is required; it names the benchmark the tailoring applies to.'
+  ]);
+});
+
+test('flags duplicate idrefs and bad enumerations against the offending row', () => {
+  const duplicate = createItem('select', 'xccdf_org.example_rule_a', { value: 'yes', severity: 'critical', role: 'skip' });
+  const issues = validateTailoring(withItems(duplicate));
+  assert.ok(issues.every(issue => issue.itemUuid === duplicate.uuid));
+  assert.deepEqual(issues.map(issue => issue.message), [
+    'Duplicate select/refine-rule for "xccdf_org.example_rule_a"; only one entry per idref is allowed.',
+    'select value "yes" must be "true" or "false".',
+    'Severity "critical" is not one of unknown, info, low, medium, high.',
+    'Role "skip" is not one of full, unscored, unchecked.'
+  ]);
+});
+
+test('flags characters XML cannot carry and comments it has to rewrite', () => {
+  const data = withItems(
+    createItem('set-value', 'xccdf_org.example_value_b', { value: 'a\u0001b' }),
+    createItem('select', 'xccdf_org.example_rule_c', { comment: 'see --help' })
+  );
+  assert.deepEqual(messages(data), ['Value contains characters that are not allowed in XML.']);
+  assert.equal(messages(data, 'warning').length, 1);
+});
+
+test('requires a valid xsd:dateTime only when the time stamp is kept', () => {
+  const data = { ...parseTailoring(SAMPLE), versionTime: 'yesterday' };
+  assert.deepEqual(messages(data), []);
+  assert.equal(messages({ ...data, keepVersionTime: true }).length, 1);
+});
@@ -0,0 +1,13 @@
+// Web Worker entry point: the editor parses and serializes whole documents here, off the
+// main thread (see runner.js for the other side).
+
+import './node.js';
+import { WORKER_OPERATIONS } from './runner.js';
+
+self.onmessage = ({ data: { id, operation, args } }) => {
+  try {
+    self.postMessage({ id, result: WORKER_OPERATIONS[operation](...args) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
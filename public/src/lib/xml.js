@@ -0,0 +1,98 @@
+/**
+ * DOM plumbing shared by the parsers. The browser's DOMParser is used by default; Node
+ * callers install one (see node.js) since the library itself has no DOM dependency.
+ */
+
+// DOM nodeType values, so nothing depends on a global `Node`
+export const ELEMENT_NODE = 1;
+export const TEXT_NODE = 3;
+export const CDATA_SECTION_NODE = 4;
+export const PROCESSING_INSTRUCTION_NODE = 7;
+export const COMMENT_NODE = 8;
+
+let DOMParserImpl = typeof DOMParser === 'undefined' ? null : DOMParser;
+
+export const setDOMParser = (impl) => {
+  DOMParserImpl = impl;
+};
+
+// Parses an XML string, throwing on malformed input
+export const parseXml = (xmlString) => {
+  if (!DOMParserImpl) throw new Error("No DOMParser available; call setDOMParser() first");
+  const doc = new DOMParserImpl().parseFromString(xmlString, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("Invalid XML");
+  return doc;
+};
+
+// Direct element children matching a local name, regardless of namespace prefix.
+export const childElements = (node, localName) =>
+  Array.from(node.childNodes).filter(n => n.nodeType === ELEMENT_NODE && n.localName === localName);
+
+export const collapseText = (node) => (node ? node.textContent.replace(/\s+/g, ' ').trim() : '');
+
+export const attributePairs = (node, skip = []) =>
+  Array.from(node.attributes)
+    .filter(attr => !skip.includes(attr.name))
+    .map(attr => [attr.name, attr.value]);
+
+// Characters outside the XML 1.0 Char production; they cannot be written even escaped
+// eslint-disable-next-line no-control-regex
+export const XML_ILLEGAL_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/;
+
+export const escapeText = (text) => String(text)
+  .replace(new RegExp(XML_ILLEGAL_CHARS.source, 'g'), '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+export const escapeAttr = (text) => escapeText(text).replace(/"/g, '&quot;');
+
+/**
+ * Serializes a DOM node back to markup exactly as it was declared: original prefixes,
+ * attribute order and inner whitespace. Unlike XMLSerializer, it does not repeat
+ * namespace declarations that are inherited from the Tailoring root.
+ */
+export const serializeNode = (node) => {
+  switch (node.nodeType) {
+    case ELEMENT_NODE: {
+      const attrs = Array.from(node.attributes).map(a => ` ${a.name}="${escapeAttr(a.value)}"`).join('');
+      if (node.childNodes.length === 0) return `<${node.nodeName}${attrs}/>`;
+      const inner = Array.from(node.childNodes).map(serializeNode).join('');
+      return `<${node.nodeName}${attrs}>${inner}</${node.nodeName}>`;
+    }
+    case TEXT_NODE:
+      return escapeText(node.data);
+    case CDATA_SECTION_NODE:
+      return `<![CDATA[${node.data}]]>`;
+    case COMMENT_NODE:
+      return `<!--${node.data}-->`;
+    case PROCESSING_INSTRUCTION_NODE:
+      return `<?${node.target} ${node.data}?>`;
+    default:
+      return '';
+  }
+};
+
+// Indentation unit of the source file, taken from the whitespace before the first root child
+export const detectIndent = (root) => {
+  const ws = Array.from(root.childNodes).find(n => n.nodeType === TEXT_NODE && n.data.includes('\n'));
+  const unit = ws ? ws.data.slice(ws.data.lastIndexOf('\n') + 1) : '';
+  return /^[ \t]+$/.test(unit) ? unit : '  ';
+};
+
+export const formatAttributes = (pairs) =>
+  pairs.map(([name, value]) => ` ${name}="${escapeAttr(value)}"`).join('');
+
+// Like formatAttributes for generated markup: empty values are left out, others stringified
+export const attrs = (pairs) => pairs
+  .filter(([, value]) => value !== undefined && value !== null && value !== '')
+  .map(([name, value]) => ` ${name}="${escapeAttr(String(value))}"`)
+  .join('');
+
+// Replaces an attribute in place (keeping its original position), appends it if new,
+// or drops it when the new value is empty.
+export const withAttribute = (pairs, name, value) => {
+  const result = pairs.filter(([key]) => key !== name || value);
+  if (!value) return result;
+  return result.some(([key]) => key === name)
+    ? result.map(([key, v]) => [key, key === name ? value : v])
+    : [...result, [name, value]];
+};